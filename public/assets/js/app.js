@@ -7,6 +7,7 @@ import { ChatManager } from './modules/chat.js';
 import { ScannerManager } from './modules/scanner.js';
 import { ProjectManager } from './modules/project.js';
 import { UIManager } from './modules/ui.js';
+import { UsageManager } from './modules/usage.js';
 
 class AIAgentApp {
   constructor() {
@@ -14,6 +15,7 @@ class AIAgentApp {
     this.scannerManager = new ScannerManager();
     this.projectManager = new ProjectManager();
     this.uiManager = new UIManager();
+    this.usageManager = new UsageManager();
 
     this.initializeEventListeners();
     this.loadInitialData();
@@ -29,6 +31,9 @@ class AIAgentApp {
     document.getElementById('chat-form').addEventListener('submit', (e) =>
       this.chatManager.handleSubmit(e)
     );
+    document.getElementById('cancel-btn').addEventListener('click', () =>
+      this.chatManager.cancelStream()
+    );
     document.querySelectorAll('.command-btn').forEach((btn) => {
       btn.addEventListener('click', (e) => this.chatManager.executeCommand(e));
     });
@@ -48,6 +53,9 @@ class AIAgentApp {
     document.getElementById('auto-commit-toggle').addEventListener('change', (e) =>
       this.handleSettingsChange('autoCommit', e.target.checked)
     );
+    document.getElementById('refresh-usage-btn').addEventListener('click', () =>
+      this.usageManager.loadUsage()
+    );
   }
 
   async loadInitialData() {
@@ -89,6 +97,10 @@ class AIAgentApp {
       tab.classList.remove('active');
     });
     document.getElementById(`${tabName}-tab`).classList.add('active');
+
+    if (tabName === 'settings') {
+      this.usageManager.loadUsage();
+    }
   }
 
   handleSettingsChange(setting, value) {
@@ -36,6 +36,17 @@ export class ApiClient {
     }
   }
 
+  /**
+   * Open a Server-Sent Events stream
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {EventSource} Event source (call close() to cancel)
+   */
+  stream(endpoint, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return new EventSource(`${this.baseUrl}/api${endpoint}?${query}`);
+  }
+
   get(endpoint) {
     return this.request('GET', endpoint);
   }
@@ -11,6 +11,7 @@ export class ChatManager {
     this.api = new ApiClient();
     this.sessionId = null;
     this.messageHistory = [];
+    this.activeStream = null;
   }
 
   async initialize() {
@@ -34,7 +35,7 @@ export class ChatManager {
     const input = document.getElementById('message-input');
     const message = input.value.trim();
 
-    if (!message) return;
+    if (!message || this.activeStream) return;
 
     // Clear input
     input.value = '';
@@ -43,21 +44,71 @@ export class ChatManager {
     // Add user message to UI
     this.addMessage('user', message);
 
-    try {
-      // Send to API
-      const response = await this.api.post('/chat/message', {
-        sessionId: this.sessionId,
-        message,
-      });
-
-      // Add AI response to UI
-      this.addMessage('assistant', response.response);
+    // Stream AI response into a placeholder message
+    const messageEl = this.addMessage('assistant', '');
+    const textEl = messageEl.querySelector('.message-text');
+    let partial = '';
+
+    const stream = this.api.stream('/chat/stream', {
+      sessionId: this.sessionId,
+      message,
+    });
+    this.setStreaming(stream);
+
+    stream.addEventListener('sources', (e) => {
+      this.addSources(messageEl, JSON.parse(e.data));
+    });
+
+    stream.addEventListener('tool', (e) => {
+      this.addToolCall(messageEl, JSON.parse(e.data));
+      this.scrollToBottom();
+    });
+
+    stream.addEventListener('token', (e) => {
+      partial += JSON.parse(e.data).text;
+      textEl.innerHTML = this.formatMessageText(partial);
+      this.scrollToBottom();
+    });
+
+    stream.addEventListener('done', (e) => {
+      const { response } = JSON.parse(e.data);
+      textEl.innerHTML = this.formatMessageText(response);
       this.messageHistory.push({ role: 'user', content: message });
-      this.messageHistory.push({ role: 'assistant', content: response.response });
-    } catch (error) {
-      console.error('Chat error:', error);
-      this.addMessage('system', `Error: ${error.message}`);
+      this.messageHistory.push({ role: 'assistant', content: response });
+      this.setStreaming(null);
+    });
+
+    stream.addEventListener('failure', (e) => {
+      const { details, error } = JSON.parse(e.data);
+      console.error('Chat error:', details || error);
+      if (!partial && !messageEl.querySelector('.tool-calls')) messageEl.remove();
+      this.addMessage('system', `Error: ${details || error}`);
+      this.setStreaming(null);
+    });
+
+    // Connection-level error: EventSource would otherwise reconnect and resend
+    stream.onerror = () => {
+      if (this.activeStream !== stream) return;
+      if (!partial) messageEl.remove();
+      this.addMessage('system', 'Error: connection to the server was lost');
+      this.setStreaming(null);
+    };
+  }
+
+  cancelStream() {
+    if (!this.activeStream) return;
+    this.setStreaming(null);
+    this.addSystemMessage('Response cancelled.');
+  }
+
+  setStreaming(stream) {
+    if (this.activeStream && this.activeStream !== stream) {
+      this.activeStream.close();
     }
+    this.activeStream = stream;
+
+    document.getElementById('cancel-btn').hidden = !stream;
+    document.querySelector('#chat-form .send-btn').disabled = !!stream;
   }
 
   async executeCommand(event) {
@@ -84,6 +135,41 @@ export class ChatManager {
     }
 
     messagesContainer.appendChild(messageEl);
+    this.scrollToBottom();
+    return messageEl;
+  }
+
+  addToolCall(messageEl, call) {
+    let listEl = messageEl.querySelector('.tool-calls');
+    if (!listEl) {
+      listEl = document.createElement('ul');
+      listEl.className = 'tool-calls';
+      messageEl.querySelector('.message-content').prepend(listEl);
+    }
+
+    const args = Object.entries(call.args || {})
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+      .join(', ');
+    const itemEl = document.createElement('li');
+    itemEl.className = call.error ? 'tool-call tool-call-error' : 'tool-call';
+    itemEl.title = call.error || '';
+    itemEl.innerHTML = `🔧 <code>${this.escapeHtml(call.name)}(${this.escapeHtml(args)})</code>`;
+    listEl.appendChild(itemEl);
+  }
+
+  addSources(messageEl, sources) {
+    if (!sources.length) return;
+
+    const sourcesEl = document.createElement('div');
+    sourcesEl.className = 'message-sources';
+    sourcesEl.innerHTML = 'Sources: ' + sources
+      .map((s) => `<code>${this.escapeHtml(`${s.path}:${s.startLine}-${s.endLine}`)}</code>`)
+      .join(' ');
+    messageEl.querySelector('.message-time').before(sourcesEl);
+  }
+
+  scrollToBottom() {
+    const messagesContainer = document.getElementById('chat-messages');
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
@@ -77,7 +77,7 @@ export class ScannerManager {
           <li class="issue-item ${severityClass}">
             <span class="severity-badge">${this.escapeHtml(issue.severity)}</span>
             <span class="issue-message">${this.escapeHtml(issue.message)}</span>
-            <span class="issue-file"><code>${this.escapeHtml(issue.file)}</code></span>
+            <span class="issue-file"><code>${this.escapeHtml(issue.line ? `${issue.file}:${issue.line}` : issue.file)}</code></span>
           </li>
         `;
       });
@@ -0,0 +1,110 @@
+/**
+ * Usage Manager Module
+ * Displays LLM token usage and cost per task, the model routing table and GitHub API rate limits
+ */
+
+import { ApiClient } from './api-client.js';
+import { UIManager } from './ui.js';
+
+export class UsageManager {
+  constructor() {
+    this.api = new ApiClient();
+  }
+
+  async loadUsage() {
+    const container = document.getElementById('usage-dashboard');
+
+    try {
+      const response = await this.api.get('/usage');
+      container.innerHTML = this.renderUsage(response.usage) + this.renderGitHub(response.github);
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+      UIManager.showError(`Failed to load usage: ${error.message}`);
+    }
+  }
+
+  renderUsage(usage) {
+    const today = usage.today;
+    let html = `
+      <p class="usage-summary">
+        <strong>${this.escapeHtml(usage.provider)}</strong> · ${this.escapeHtml(usage.date)} ·
+        ${today.requests} requests · ${this.formatNumber(today.inputTokens)} in /
+        ${this.formatNumber(today.outputTokens)} out · ${this.formatCost(today.cost)}
+      </p>
+    `;
+
+    // Today's usage per task
+    const tasks = Object.entries(today.tasks);
+    html += '<h5>Today by task</h5>';
+    html += tasks.length > 0
+      ? this.renderTable(['Task', 'Requests', 'Input', 'Output', 'Errors', 'Cost'], tasks.map(([task, c]) => [
+        task,
+        c.requests,
+        this.formatNumber(c.inputTokens),
+        this.formatNumber(c.outputTokens),
+        c.errors,
+        this.formatCost(c.cost),
+      ]))
+      : '<p class="usage-empty">No requests today</p>';
+
+    // Routing table
+    html += '<h5>Model routes</h5>';
+    html += this.renderTable(['Task', 'Model', 'Temperature', 'Max tokens'], Object.entries(usage.routes).map(
+      ([task, route]) => [task, route.model, route.temperature ?? 'default', route.maxTokens ?? 'default']
+    ));
+
+    // Recent days, newest first
+    const days = Object.entries(usage.history).sort(([a], [b]) => b.localeCompare(a)).slice(0, 7);
+    html += '<h5>Recent days</h5>';
+    html += this.renderTable(['Date', 'Requests', 'Input', 'Output', 'Cost'], days.map(([date, c]) => [
+      date,
+      c.requests,
+      this.formatNumber(c.inputTokens),
+      this.formatNumber(c.outputTokens),
+      this.formatCost(c.cost || 0),
+    ]));
+
+    return html;
+  }
+
+  renderGitHub(github) {
+    const resources = Object.entries(github.rateLimits);
+    let html = '<h5>GitHub API</h5>';
+    html += `
+      <p class="usage-summary">
+        ${github.requests} requests · ${github.notModified} not modified (cached) · ${github.rateLimitWaits} rate limit waits
+      </p>
+    `;
+    html += resources.length > 0
+      ? this.renderTable(['Resource', 'Remaining', 'Limit', 'Resets'], resources.map(([resource, r]) => [
+        r.limited ? `${resource} (waiting)` : resource,
+        r.remaining,
+        r.limit,
+        new Date(r.reset).toLocaleTimeString(),
+      ]))
+      : '<p class="usage-empty">No GitHub requests yet</p>';
+    return html;
+  }
+
+  renderTable(headers, rows) {
+    const head = headers.map((h) => `<th>${this.escapeHtml(h)}</th>`).join('');
+    const body = rows
+      .map((row) => `<tr>${row.map((cell) => `<td>${this.escapeHtml(String(cell))}</td>`).join('')}</tr>`)
+      .join('');
+    return `<table class="usage-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  formatNumber(value) {
+    return value.toLocaleString();
+  }
+
+  formatCost(value) {
+    return `$${value.toFixed(4)}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
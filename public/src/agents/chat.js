@@ -6,8 +6,28 @@
 import { geminiService } from '../services/gemini.js';
 import { projectService } from '../services/project.js';
 import { githubService } from '../services/github.js';
+import { promptRegistry } from '../services/prompts.js';
+import { searchService } from '../services/search.js';
+import { reviewerAgent } from './reviewer.js';
+import { releaseNotesAgent } from './release-notes.js';
+import { ciDoctorAgent } from './ci-doctor.js';
+import { getToolDeclarations, runTool } from './tools.js';
+import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
 
+const MAX_HISTORY_MESSAGES = 20; // Last 10 exchanges sent to the model
+const MAX_README_CHARS = 4000;
+const COMMANDS = ['/scan', '/status', '/issues', '/review', '/release-notes', '/ci', '/help'];
+
+/**
+ * Reduce a search result to the citation stored with a reply
+ * @param {Object} result - Search result
+ * @returns {Object} { path, startLine, endLine }
+ */
+function toCitation({ path, startLine, endLine }) {
+  return { path, startLine, endLine };
+}
+
 class ChatAgent {
   constructor() {
     this.conversations = new Map();
@@ -36,24 +56,10 @@ class ChatAgent {
    * Process user message
    * @param {string} sessionId - Session ID
    * @param {string} message - User message
-   * @returns {Promise<string>} AI response
+   * @returns {Promise<Object>} { content, toolCalls, sources } - AI response, the tools it used and cited code
    */
   async processMessage(sessionId, message) {
-    let context = this.conversations.get(sessionId);
-
-    if (!context) {
-      context = this.startConversation(sessionId);
-    }
-
-    // Load project context if needed
-    if (!context.projectContext) {
-      try {
-        context.projectContext = await projectService.getProjectStructure();
-        context.projectContext.readme = await projectService.getReadme();
-      } catch (e) {
-        logger.warn('Failed to load project context', { error: e.message });
-      }
-    }
+    const context = await this.getConversation(sessionId);
 
     // Add message to history
     context.messages.push({
@@ -64,18 +70,20 @@ class ChatAgent {
 
     try {
       // Check if message is a command
-      const response = await this.handleMessage(message, context);
+      const reply = await this.handleMessage(message, context);
 
       // Add response to history
       context.messages.push({
         role: 'assistant',
-        content: response,
+        content: reply.content,
         timestamp: new Date().toISOString(),
+        ...(reply.toolCalls.length && { toolCalls: reply.toolCalls }),
+        ...(reply.sources.length && { sources: reply.sources }),
       });
 
       this.conversations.set(sessionId, context);
 
-      return response;
+      return reply;
     } catch (error) {
       logger.error('Failed to process message', { error: error.message, sessionId });
       const errorResponse = `Sorry, I encountered an error: ${error.message}`;
@@ -84,42 +92,263 @@ class ChatAgent {
         role: 'assistant',
         content: errorResponse,
         timestamp: new Date().toISOString(),
+        error: true,
       });
 
       this.conversations.set(sessionId, context);
-      return errorResponse;
+      return { content: errorResponse, toolCalls: [], sources: [] };
+    }
+  }
+
+  /**
+   * Process user message, streaming the AI reply as it is generated
+   * With tools on, the tool steps run first (reported through onToolCall) and the answer is then streamed
+   * with their results; commands are answered in a single chunk
+   * @param {string} sessionId - Session ID
+   * @param {string} message - User message
+   * @param {Object} options - { signal } to cancel generation, { onToolCall } notified as tools run,
+   *   { onSources } called with the retrieved code citations before the reply
+   * @returns {AsyncGenerator<string>} Response chunks
+   */
+  async *streamMessage(sessionId, message, options = {}) {
+    const context = await this.getConversation(sessionId);
+
+    context.messages.push({
+      role: 'user',
+      content: message,
+      timestamp: new Date().toISOString(),
+    });
+
+    let response = '';
+    let toolCalls = [];
+    let sources = [];
+    try {
+      if (this.isCommand(message)) {
+        const reply = await this.handleCommand(message, context);
+        if (options.signal?.aborted) return;
+        response = reply;
+        yield response;
+      } else {
+        const retrieved = await this.retrieveSources(message);
+        sources = retrieved.map(toCitation);
+        options.onSources?.(sources);
+        const systemPrompt = this.buildAIContext(context, retrieved);
+
+        let toolTurns = [];
+        if (config.CHAT_TOOLS_ENABLED) {
+          const steps = await this.runToolLoop(message, context, systemPrompt, options);
+          if (options.signal?.aborted) return;
+          toolCalls = steps.toolCalls;
+          if (steps.limitReached) {
+            response = steps.content;
+            yield response;
+            return;
+          }
+          // The text the tool step ended with is not streamed; the answer is generated again as a stream
+          toolTurns = steps.turns;
+        }
+
+        const stream = geminiService.chatStream(message, {
+          history: this.buildHistory(context),
+          systemPrompt,
+          toolTurns,
+          signal: options.signal,
+        });
+
+        for await (const chunk of stream) {
+          response += chunk;
+          yield chunk;
+        }
+      }
+    } catch (error) {
+      // Providers that can cancel the HTTP request reject once aborted
+      if (options.signal?.aborted) return;
+      logger.error('Failed to stream message', { error: error.message, sessionId });
+      throw error;
+    } finally {
+      // Keep whatever was generated, including partial replies from cancelled streams
+      if (response) {
+        context.messages.push({
+          role: 'assistant',
+          content: response,
+          timestamp: new Date().toISOString(),
+          ...(toolCalls.length && { toolCalls }),
+          ...(sources.length && { sources }),
+          ...(options.signal?.aborted && { cancelled: true }),
+        });
+      }
+      this.conversations.set(sessionId, context);
+    }
+  }
+
+  /**
+   * Get conversation for a session, creating it and loading project context if needed
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Conversation context
+   */
+  async getConversation(sessionId) {
+    let context = this.conversations.get(sessionId);
+
+    if (!context) {
+      context = this.startConversation(sessionId);
+    }
+
+    // Load project context if needed
+    if (!context.projectContext) {
+      try {
+        // The structure is cached and shared with other sessions and the scanner: copy, don't mutate
+        const structure = await projectService.getProjectStructure();
+        context.projectContext = { ...structure, readme: await projectService.getReadme() };
+      } catch (e) {
+        logger.warn('Failed to load project context', { error: e.message });
+      }
     }
+
+    return context;
+  }
+
+  /**
+   * Check whether a message is a slash command
+   * @param {string} message - User message
+   * @returns {boolean} True for commands
+   */
+  isCommand(message) {
+    return this.getCommand(message) !== null;
+  }
+
+  /**
+   * Helper: The command a message starts with; only an exact first word counts, so "/scanner" is not "/scan"
+   * @param {string} message - User message
+   * @returns {string|null} Command, or null for regular messages
+   */
+  getCommand(message) {
+    const [word] = message.split(/\s+/, 1);
+    return COMMANDS.includes(word) ? word : null;
   }
 
   /**
    * Handle different message types
    * @param {string} message - User message
    * @param {Object} context - Conversation context
-   * @returns {Promise<string>} Response
+   * @param {Object} options - { signal, onToolCall, onSources } for AI replies
+   * @returns {Promise<Object>} { content, toolCalls, sources }
    */
-  async handleMessage(message, context) {
-    // Check for commands
-    if (message.startsWith('/scan')) {
-      return this.handleScanCommand(context);
+  async handleMessage(message, context, options = {}) {
+    if (this.isCommand(message)) {
+      return { content: await this.handleCommand(message, context), toolCalls: [], sources: [] };
     }
 
-    if (message.startsWith('/status')) {
-      return this.handleStatusCommand(context);
+    // Regular conversation with AI, grounded in the most relevant code
+    const retrieved = await this.retrieveSources(message);
+    const sources = retrieved.map(toCitation);
+    options.onSources?.(sources);
+    const systemPrompt = this.buildAIContext(context, retrieved);
+
+    if (config.CHAT_TOOLS_ENABLED) {
+      const { content, toolCalls } = await this.runToolLoop(message, context, systemPrompt, options);
+      return { content, toolCalls, sources };
     }
 
-    if (message.startsWith('/issues')) {
-      return this.handleIssuesCommand(context);
+    const response = await geminiService.chat(message, {
+      history: this.buildHistory(context),
+      systemPrompt,
+    });
+
+    return { content: response, toolCalls: [], sources };
+  }
+
+  /**
+   * Retrieve code chunks relevant to a message from the search index
+   * Retrieval is best effort: chat still works when the index cannot be built, and does not wait
+   * for the first build (replies have no sources until it is done)
+   * @param {string} message - User message
+   * @returns {Promise<Array>} Search results ({ path, startLine, endLine, snippet })
+   */
+  async retrieveSources(message) {
+    if (config.SEARCH_CHAT_RESULTS <= 0) return [];
+
+    try {
+      const { results } = await searchService.search(message, { limit: config.SEARCH_CHAT_RESULTS, wait: false });
+      return results;
+    } catch (error) {
+      logger.warn('Code retrieval failed', { error: error.message });
+      return [];
     }
+  }
 
-    if (message.startsWith('/help')) {
-      return this.getHelpText();
+  /**
+   * Dispatch a slash command
+   * @param {string} message - User message starting with a command
+   * @param {Object} context - Conversation context
+   * @returns {Promise<string>} Response
+   */
+  async handleCommand(message, context) {
+    switch (this.getCommand(message)) {
+      case '/scan':
+        return this.handleScanCommand(context);
+      case '/status':
+        return this.handleStatusCommand(context);
+      case '/issues':
+        return this.handleIssuesCommand(context);
+      case '/review':
+        return this.handleReviewCommand(message, context);
+      case '/release-notes':
+        return this.handleReleaseNotesCommand(message, context);
+      case '/ci':
+        return this.handleCICommand(message, context);
+      default:
+        return this.getHelpText();
     }
+  }
+
+  /**
+   * Answer with function calling: run the tools the model asks for and feed the results back
+   * until it replies in text or CHAT_MAX_TOOL_STEPS model calls have been made
+   * @param {string} message - User message
+   * @param {Object} context - Conversation context
+   * @param {string} systemPrompt - System prompt
+   * @param {Object} options - { signal } to stop between steps, { onToolCall } notified per call
+   * @returns {Promise<Object>} { content, toolCalls: [{ name, args, error? }], turns, limitReached },
+   *   where turns are the model and tool turns that followed the user message
+   */
+  async runToolLoop(message, context, systemPrompt, options = {}) {
+    const history = [...this.buildHistory(context), { role: 'user', content: message }];
+    const messages = [...history];
+    const followingTurns = () => messages.slice(history.length);
+    const chatOptions = {
+      tools: getToolDeclarations(),
+      systemPrompt,
+    };
+    const toolCalls = [];
+
+    for (let step = 0; step < config.CHAT_MAX_TOOL_STEPS; step++) {
+      const reply = await geminiService.chatWithTools(messages, chatOptions);
+      if (reply.toolCalls.length === 0) {
+        return { content: reply.text, toolCalls, turns: followingTurns(), limitReached: false };
+      }
 
-    // Regular conversation with AI
-    const aiContext = this.buildAIContext(context);
-    const response = await geminiService.chat(message);
+      messages.push({ role: 'model', content: reply.text, toolCalls: reply.toolCalls });
+
+      for (const call of reply.toolCalls) {
+        if (options.signal?.aborted) return { content: '', toolCalls, turns: followingTurns(), limitReached: false };
+
+        const result = await runTool(call.name, call.args);
+        const record = { name: call.name, args: call.args, ...(result.error && { error: result.error }) };
+        toolCalls.push(record);
+        options.onToolCall?.(record);
+        logger.debug('Chat tool called', { sessionId: context.sessionId, ...record });
+
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, result });
+      }
+    }
 
-    return response;
+    logger.warn('Chat tool step limit reached', { sessionId: context.sessionId, steps: config.CHAT_MAX_TOOL_STEPS });
+    return {
+      content: `I stopped after ${config.CHAT_MAX_TOOL_STEPS} steps without finishing. Try asking a narrower question.`,
+      toolCalls,
+      turns: followingTurns(),
+      limitReached: true,
+    };
   }
 
   /**
@@ -148,6 +377,88 @@ class ChatAgent {
     }
   }
 
+  /**
+   * Handle /review command: review a pull request and post the review to GitHub
+   * @param {string} message - "/review <number>"
+   * @param {Object} context - Conversation context
+   * @returns {Promise<string>} Response
+   */
+  async handleReviewCommand(message, context) {
+    const match = message.match(/^\/review\s+#?(\d+)/);
+    if (!match) {
+      return 'Usage: /review <pull request number>, e.g. /review 42';
+    }
+
+    try {
+      const review = await reviewerAgent.reviewPullRequest(parseInt(match[1], 10));
+      const files = review.files
+        .map((f) => `• ${f.path}: ${f.findings} findings${f.summary ? ` - ${f.summary}` : ''}`)
+        .join('\n');
+
+      return `🔎 Reviewed PR #${review.prNumber}: ${review.title}
+Verdict: ${review.verdict.replace('_', ' ')} (${review.comments.length} inline comments)
+
+${files || 'No reviewable source changes.'}${review.review?.url ? `\n\n${review.review.url}` : ''}`;
+    } catch (error) {
+      return `❌ Review failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Handle /release-notes command: release notes between two refs
+   * @param {string} message - "/release-notes [from] [to]" (defaults: latest release tag, GITHUB_BRANCH)
+   * @param {Object} context - Conversation context
+   * @returns {Promise<string>} Response
+   */
+  async handleReleaseNotesCommand(message, context) {
+    const [from, to] = message.split(/\s+/).slice(1);
+
+    try {
+      const notes = await releaseNotesAgent.generateReleaseNotes({ from, to });
+      return `📦 Release notes (${notes.pullRequests} pull requests, ${notes.commits} direct commits)\n\n${notes.markdown}`;
+    } catch (error) {
+      return `❌ Release notes failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Handle /ci command: diagnose failed GitHub Actions runs
+   * @param {string} message - "/ci [run ID]" (default: the most recent failed runs)
+   * @param {Object} context - Conversation context
+   * @returns {Promise<string>} Response
+   */
+  async handleCICommand(message, context) {
+    const runId = message.split(/\s+/)[1];
+    if (runId && !/^\d+$/.test(runId)) {
+      return 'Usage: /ci [workflow run ID], e.g. /ci or /ci 9876543210';
+    }
+
+    try {
+      const runs = runId
+        ? [await ciDoctorAgent.diagnoseRun(parseInt(runId, 10))]
+        : (await ciDoctorAgent.diagnoseFailures()).runs;
+
+      if (runs.length === 0) {
+        return '✅ No failed workflow runs!';
+      }
+
+      const reports = runs.map((run) => {
+        const jobs = run.jobs.map((job) => {
+          const where = `${job.name}${job.failedStep ? ` › ${job.failedStep}` : ''}`;
+          if (!job.diagnosis) return `• ${where}: diagnosis unavailable (${job.error})`;
+          return `• ${where} [${job.diagnosis.category}]: ${job.diagnosis.summary}\n  Fix: ${job.diagnosis.suggestedFix}`;
+        });
+        return `🩺 ${run.workflow} run ${run.runId} on ${run.branch} (${run.headSha.slice(0, 7)})
+${jobs.join('\n') || '• No failed jobs found'}
+${run.url}`;
+      });
+
+      return reports.join('\n\n');
+    } catch (error) {
+      return `❌ CI diagnosis failed: ${error.message}`;
+    }
+  }
+
   /**
    * Handle /status command
    * @param {Object} context - Conversation context
@@ -163,12 +474,22 @@ class ChatAgent {
 - Default Branch: ${repoInfo.default_branch}
 - Stars: ${repoInfo.stargazers_count}
 - Open Issues: ${issues.length}
-- Last Updated: ${new Date(repoInfo.updated_at).toLocaleDateString()}`;
+- Last Updated: ${new Date(repoInfo.updated_at).toLocaleDateString()}${this.formatRateLimit()}`;
     } catch (error) {
       return `❌ Failed to get status: ${error.message}`;
     }
   }
 
+  /**
+   * Helper: GitHub API rate limit line for /status
+   * @returns {string} Line, or '' before any response has reported the limit
+   */
+  formatRateLimit() {
+    const core = githubService.getRateLimitStats().rateLimits.core;
+    if (!core) return '';
+    return `\n- GitHub API: ${core.remaining}/${core.limit} requests left (resets ${new Date(core.reset).toLocaleTimeString()})`;
+  }
+
   /**
    * Handle /issues command
    * @param {Object} context - Conversation context
@@ -194,29 +515,60 @@ class ChatAgent {
   }
 
   /**
-   * Build AI context from conversation
+   * Build system prompt from project context
    * @param {Object} context - Conversation context
-   * @returns {string} Context string
+   * @param {Array} sources - Retrieved code chunks to include
+   * @returns {string} System prompt
    */
-  buildAIContext(context) {
-    let aiContext = 'You are an AI assistant helping with software development.';
+  buildAIContext(context, sources = []) {
+    let aiContext = '';
 
     if (context.projectContext) {
       const projectInfo = context.projectContext;
       aiContext += `\n\nProject Information:
 - Files: ${projectInfo.files?.length || 0}
 - Directories: ${projectInfo.directories?.length || 0}`;
+
+      if (projectInfo.files?.length) {
+        aiContext += `\n- File names: ${projectInfo.files.map((f) => f.path).join(', ')}`;
+      }
+
+      if (projectInfo.readme) {
+        aiContext += `\n\nREADME:\n${projectInfo.readme.substring(0, MAX_README_CHARS)}`;
+      }
     }
 
-    if (context.messages.length > 0) {
-      const recentMessages = context.messages.slice(-6); // Last 3 exchanges
-      aiContext += '\n\nRecent Context:\n';
-      recentMessages.forEach((msg) => {
-        aiContext += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
-      });
+    let sourceContext = '';
+    if (sources.length > 0) {
+      sourceContext = '\n\nRelevant code:' + sources
+        .map((s) => `\n\n${s.path}:${s.startLine}-${s.endLine}\n\`\`\`\n${s.snippet}\n\`\`\``)
+        .join('');
     }
 
-    return aiContext;
+    return promptRegistry.render('chat-system', { projectContext: aiContext, sources: sourceContext }).text;
+  }
+
+  /**
+   * Build model history from the session's earlier messages
+   * @param {Object} context - Conversation context (last message is the current user turn)
+   * @returns {Array} History as { role: 'user' | 'model', content }
+   */
+  buildHistory(context) {
+    const previous = context.messages.slice(0, -1);
+    const history = [];
+
+    // Keep only completed exchanges: Gemini requires strictly alternating user/model turns,
+    // and error replies are not real model output
+    for (let i = 0; i < previous.length - 1; i++) {
+      const msg = previous[i];
+      const reply = previous[i + 1];
+      if (msg.role === 'user' && reply.role === 'assistant' && !reply.error) {
+        history.push({ role: 'user', content: msg.content }, { role: 'model', content: reply.content });
+        i++;
+      }
+    }
+
+    return history.slice(-MAX_HISTORY_MESSAGES);
   }
 
   /**
@@ -224,15 +576,22 @@ class ChatAgent {
    * @returns {string} Help text
    */
   getHelpText() {
+    const tools = config.CHAT_TOOLS_ENABLED
+      ? ' I can read files, list issues\nand look at the last scan report when a question needs them.'
+      : '';
+
     return `🤖 AI Agent Help
 
 Available Commands:
 • /scan - Scan project for issues
 • /status - Get project status
 • /issues - List open GitHub issues
+• /review <number> - Review a pull request and post comments on GitHub
+• /release-notes [from] [to] - Release notes since the last release (or between two refs)
+• /ci [run ID] - Diagnose failed GitHub Actions runs
 • /help - Show this help message
 
-Or just chat normally for project assistance!
+Or just chat normally for project assistance!${tools}
 
 Examples:
 - "What are the main components of this project?"
@@ -0,0 +1,249 @@
+/**
+ * CI Doctor Agent
+ * Reads the logs of failed GitHub Actions jobs, pulls out the failing step and error lines,
+ * and asks the model for a diagnosis with a suggested fix
+ */
+
+import { githubService } from '../services/github.js';
+import { geminiService } from '../services/gemini.js';
+import { projectService } from '../services/project.js';
+import { promptRegistry } from '../services/prompts.js';
+import { ciDiagnosisSchema } from '../schemas/ci.js';
+import { parseJobLog } from '../utils/actionsLog.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+const FAILED_CONCLUSIONS = ['failure', 'timed_out'];
+const MAX_JOBS_PER_RUN = 3;
+const MAX_CACHED_RUNS = 50;
+const WORKFLOW_FILE_CHARS = 6000;
+// Hidden marker in the diagnosis comment, one per run
+const commentMarker = (runId) => `<!-- ai-ci-doctor:run-${runId} -->`;
+
+class CIDoctorAgent {
+  constructor() {
+    // "runId:attempt" -> diagnosis; a finished attempt's logs never change
+    this.diagnoses = new Map();
+  }
+
+  /**
+   * Diagnose the most recent failed workflow runs
+   * @param {Object} options - { limit, branch, workflow (ID or filename), noCache }
+   * @returns {Promise<Object>} { runs: [diagnosis] }, newest first
+   */
+  async diagnoseFailures(options = {}) {
+    const {
+      limit = config.CI_MAX_RUNS,
+      branch,
+      workflow = config.CI_WORKFLOW || undefined,
+      ...analysisOptions
+    } = options;
+
+    const runs = await githubService.listWorkflowRuns({ status: 'failure', branch, workflow, max: limit });
+
+    const diagnoses = [];
+    for (const run of runs.slice(0, limit)) {
+      diagnoses.push(await this.diagnoseRun(run, analysisOptions));
+    }
+
+    logger.info('CI failures diagnosed', { runs: diagnoses.length, workflow });
+    return { runs: diagnoses };
+  }
+
+  /**
+   * Diagnose the failed jobs of one workflow run
+   * @param {Object|number} runOrId - Workflow run, or its ID
+   * @param {Object} options - { noCache }
+   * @returns {Promise<Object>} { runId, attempt, workflow, path, branch, headSha, event, conclusion, url,
+   *   createdAt, pullRequests, jobs: [{ jobId, name, url, failedStep, command, errorLines, excerpt,
+   *   diagnosis: { category, summary, cause, suggestedFix } | null, prompt, error? }] }
+   */
+  async diagnoseRun(runOrId, options = {}) {
+    const run = typeof runOrId === 'object' ? runOrId : await githubService.getWorkflowRun(runOrId);
+    const key = `${run.id}:${run.run_attempt}`;
+    if (!options.noCache && this.diagnoses.has(key)) {
+      logger.debug('Using cached CI diagnosis', { runId: run.id });
+      return this.diagnoses.get(key);
+    }
+
+    const jobs = (await githubService.listWorkflowRunJobs(run.id))
+      .filter((job) => FAILED_CONCLUSIONS.includes(job.conclusion))
+      .slice(0, MAX_JOBS_PER_RUN);
+    const workflowFile = await this.getWorkflowFile(run);
+
+    const diagnosis = {
+      runId: run.id,
+      attempt: run.run_attempt,
+      workflow: run.name,
+      path: run.path,
+      branch: run.head_branch,
+      headSha: run.head_sha,
+      event: run.event,
+      conclusion: run.conclusion,
+      url: run.html_url,
+      createdAt: run.created_at,
+      pullRequests: (run.pull_requests || []).map((pr) => pr.number),
+      jobs: [],
+    };
+
+    for (const job of jobs) {
+      try {
+        diagnosis.jobs.push(await this.diagnoseJob(run, job, workflowFile, options));
+      } catch (error) {
+        logger.error('CI job diagnosis failed', { error: error.message, runId: run.id, jobId: job.id });
+        diagnosis.jobs.push({
+          jobId: job.id,
+          name: job.name,
+          url: job.html_url,
+          failedStep: failedStepName(job),
+          diagnosis: null,
+          error: error.message,
+        });
+      }
+    }
+
+    // Runs that are still being retried or whose diagnosis failed are worth another look later
+    if (run.status === 'completed' && diagnosis.jobs.every((j) => !j.error)) {
+      this.diagnoses.set(key, diagnosis);
+      if (this.diagnoses.size > MAX_CACHED_RUNS) {
+        this.diagnoses.delete(this.diagnoses.keys().next().value);
+      }
+    }
+
+    return diagnosis;
+  }
+
+  /**
+   * Diagnose one failed job from its log
+   * @param {Object} run - Workflow run
+   * @param {Object} job - Failed job
+   * @param {string} workflowFile - Workflow YAML ('' when it could not be read)
+   * @param {Object} options - { noCache }
+   * @returns {Promise<Object>} Job diagnosis (see diagnoseRun)
+   */
+  async diagnoseJob(run, job, workflowFile, options = {}) {
+    const log = await githubService.getJobLogs(job.id);
+    const parsed = parseJobLog(log, { contextLines: config.CI_LOG_CONTEXT_LINES });
+    const failedStep = failedStepName(job);
+
+    const prompt = promptRegistry.render('ci-diagnosis', {
+      workflow: run.name,
+      event: run.event,
+      branch: run.head_branch,
+      job: job.name,
+      step: failedStep || '(unknown)',
+      command: parsed.command || '(none)',
+      errors: parsed.errorLines.length > 0 ? parsed.errorLines.map((l) => `- ${l}`).join('\n') : '(none found)',
+      excerpt: parsed.excerpt || '(empty)',
+      workflowPath: run.path,
+      workflowFile: workflowFile || '(unavailable)',
+    });
+
+    const diagnosis = await geminiService.generateStructured(prompt.text, {
+      ...options,
+      schema: ciDiagnosisSchema,
+      promptVersion: prompt.id,
+      task: 'ciDiagnosis',
+      source: `${run.name} / ${job.name}`,
+    });
+
+    return {
+      jobId: job.id,
+      name: job.name,
+      url: job.html_url,
+      failedStep,
+      command: parsed.command,
+      errorLines: parsed.errorLines,
+      excerpt: parsed.excerpt,
+      diagnosis,
+      prompt: prompt.id,
+    };
+  }
+
+  /**
+   * Post a run's diagnosis as a comment on an issue or pull request
+   * A run is commented on at most once per issue (found by a hidden marker)
+   * @param {Object} diagnosis - Result of diagnoseRun
+   * @param {number} issueNumber - Issue or pull request (default: the run's first pull request)
+   * @returns {Promise<Object>} { issueNumber, posted, url }
+   */
+  async postComment(diagnosis, issueNumber = diagnosis.pullRequests[0]) {
+    if (!issueNumber) {
+      throw new Error(`Run ${diagnosis.runId} has no pull request; give an issue number to comment on`);
+    }
+
+    const marker = commentMarker(diagnosis.runId);
+    const comments = await githubService.listIssueComments(issueNumber);
+    const existing = comments.find((comment) => comment.body?.includes(marker));
+    if (existing) {
+      return { issueNumber, posted: false, url: existing.html_url };
+    }
+
+    const comment = await githubService.addIssueComment(issueNumber, this.formatComment(diagnosis));
+    logger.info('CI diagnosis posted', { runId: diagnosis.runId, issueNumber });
+    return { issueNumber, posted: true, url: comment.html_url };
+  }
+
+  /**
+   * Helper: Workflow YAML at the run's commit, as context for the model
+   * @param {Object} run - Workflow run
+   * @returns {Promise<string>} File text, or '' when it cannot be read
+   */
+  async getWorkflowFile(run) {
+    try {
+      const content = await projectService.getFileContent(run.path, run.head_sha);
+      return content.slice(0, WORKFLOW_FILE_CHARS);
+    } catch (error) {
+      logger.warn('Could not read workflow file', { error: error.message, path: run.path });
+      return '';
+    }
+  }
+
+  /**
+   * Helper: Diagnosis comment body
+   * @param {Object} diagnosis - Result of diagnoseRun
+   * @returns {string} Markdown ending with the run's marker
+   */
+  formatComment(diagnosis) {
+    let body = `### 🩺 CI failure: ${diagnosis.workflow}\n\n`;
+    body += `[Run ${diagnosis.runId}](${diagnosis.url}) on \`${diagnosis.branch}\` `;
+    body += `(${diagnosis.event}, ${diagnosis.headSha.slice(0, 7)}) ${diagnosis.conclusion}.\n\n`;
+
+    if (diagnosis.jobs.length === 0) {
+      body += 'No failed jobs were found in this run.\n\n';
+    }
+
+    for (const job of diagnosis.jobs) {
+      body += `#### ${job.name}${job.failedStep ? ` › ${job.failedStep}` : ''}\n\n`;
+      if (!job.diagnosis) {
+        body += `Diagnosis unavailable: ${job.error}\n\n`;
+        continue;
+      }
+
+      body += `**${job.diagnosis.category}:** ${job.diagnosis.summary}\n\n`;
+      body += `**Cause:** ${job.diagnosis.cause}\n\n`;
+      body += `**Suggested fix:** ${job.diagnosis.suggestedFix}\n\n`;
+      if (job.errorLines.length > 0) {
+        body += '<details><summary>Error lines</summary>\n\n```\n';
+        body += job.errorLines.join('\n');
+        body += '\n```\n</details>\n\n';
+      }
+    }
+
+    body += '*Generated by AI CI Doctor*\n';
+    body += commentMarker(diagnosis.runId);
+    return body;
+  }
+}
+
+/**
+ * Name of the first failed step of a job
+ * @param {Object} job - Job with steps
+ * @returns {string|null} Step name, or null when no step is marked failed (e.g. the job timed out)
+ */
+function failedStepName(job) {
+  const step = (job.steps || []).find((s) => FAILED_CONCLUSIONS.includes(s.conclusion));
+  return step ? step.name : null;
+}
+
+export const ciDoctorAgent = new CIDoctorAgent();
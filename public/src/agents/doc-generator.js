@@ -5,28 +5,27 @@
 
 import { projectService } from '../services/project.js';
 import { geminiService } from '../services/gemini.js';
+import { promptRegistry } from '../services/prompts.js';
+import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
+import { chunkSource } from '../utils/chunker.js';
 
 class DocGeneratorAgent {
   /**
    * Generate documentation for project structure
    * @param {Object} structure - Project structure
-   * @returns {Promise<string>} Generated documentation
+   * @param {Object} options - { noCache }
+   * @returns {Promise<Object>} { content, prompt } where prompt is the template id used
    */
-  async generateProjectDocumentation(structure) {
+  async generateProjectDocumentation(structure, options = {}) {
     try {
-      const prompt = `Generate concise documentation for this project structure. Include:
-1. Project overview
-2. Directory structure explanation
-3. Key files purpose
-4. How to get started
-
-Project structure:
-- Files: ${structure.files.map((f) => f.name).join(', ')}
-- Directories: ${structure.directories.map((d) => d.name).join(', ')}`;
-
-      const doc = await geminiService.generate(prompt);
-      return doc;
+      const prompt = promptRegistry.render('docs-project', {
+        files: structure.files.map((f) => f.name).join(', '),
+        directories: structure.directories.map((d) => d.name).join(', '),
+      });
+
+      const content = await geminiService.generate(prompt.text, { ...options, promptVersion: prompt.id, task: 'docs' });
+      return { content, prompt: prompt.id };
     } catch (error) {
       logger.error('Failed to generate documentation', { error: error.message });
       throw error;
@@ -35,27 +34,42 @@ Project structure:
 
   /**
    * Generate file-specific documentation
+   * Files over the token budget are summarized chunk by chunk, then documented from the summaries
    * @param {string} filePath - Path to file
-   * @returns {Promise<string>} File documentation
+   * @param {Object} options - { noCache }
+   * @returns {Promise<Object>} { content, prompt } where prompt is the template id used
    */
-  async generateFileDocumentation(filePath) {
+  async generateFileDocumentation(filePath, options = {}) {
     try {
-      const content = await projectService.getFileContent(filePath);
+      const code = await projectService.getFileContent(filePath);
       const language = this.getLanguageFromPath(filePath);
+      const chunks = chunkSource(code, { maxTokens: config.LLM_MAX_INPUT_TOKENS });
 
-      const prompt = `Analyze this ${language} file and generate:
-1. Purpose/Summary
-2. Key functions or exports
-3. Dependencies
-4. Usage example (if applicable)
-
-Code:
+      let source = `Code:
 \`\`\`${language}
-${content.substring(0, 2000)}
+${code}
 \`\`\``;
 
-      const doc = await geminiService.generate(prompt);
-      return doc;
+      if (chunks.length > 1) {
+        logger.debug('Documenting file in chunks', { file: filePath, chunks: chunks.length });
+        const summaries = [];
+        for (const chunk of chunks) {
+          summaries.push(await this.summarizeChunk(filePath, language, chunk, options));
+        }
+        source = `The file is large, so here are summaries of its parts in order:
+
+${summaries.join('\n\n')}`;
+      }
+
+      const prompt = promptRegistry.render('docs-file', { language, filePath, source });
+
+      const doc = await geminiService.generate(prompt.text, {
+        ...options,
+        promptVersion: prompt.id,
+        source: filePath,
+        task: 'docs',
+      });
+      return { content: doc, prompt: prompt.id };
     } catch (error) {
       logger.error('Failed to generate file documentation', {
         error: error.message,
@@ -65,11 +79,38 @@ ${content.substring(0, 2000)}
     }
   }
 
+  /**
+   * Summarize one chunk of a large file for documentation
+   * @param {string} filePath - Path to file
+   * @param {string} language - Language
+   * @param {Object} chunk - Chunk from chunkSource
+   * @param {Object} options - { noCache }
+   * @returns {Promise<string>} Summary prefixed with the chunk's line range
+   */
+  async summarizeChunk(filePath, language, chunk, options = {}) {
+    const prompt = promptRegistry.render('docs-file-chunk', {
+      filePath,
+      language,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      code: chunk.content,
+    });
+
+    const summary = await geminiService.generate(prompt.text, {
+      ...options,
+      promptVersion: prompt.id,
+      source: filePath,
+      task: 'docs',
+    });
+    return `### Lines ${chunk.startLine}-${chunk.endLine}\n${summary}`;
+  }
+
   /**
    * Generate README for project
-   * @returns {Promise<string>} Generated README
+   * @param {Object} options - { noCache }
+   * @returns {Promise<Object>} { content, prompt } where prompt is the template id used
    */
-  async generateReadme() {
+  async generateReadme(options = {}) {
     try {
       const structure = await projectService.getProjectStructure();
       const keyFiles = structure.files.filter(
@@ -78,22 +119,12 @@ ${content.substring(0, 2000)}
           f.name.endsWith('.md')
       );
 
-      const prompt = `Create a professional README.md for a Node.js AI agent project. Include:
-1. Project title and description
-2. Features
-3. Prerequisites
-4. Installation steps
-5. Configuration (with example .env)
-6. Running the application
-7. API documentation
-8. Architecture overview
-9. Contributing
-10. License
-
-Key files in project: ${keyFiles.map((f) => f.name).join(', ')}`;
-
-      const readme = await geminiService.generate(prompt);
-      return readme;
+      const prompt = promptRegistry.render('docs-readme', {
+        keyFiles: keyFiles.map((f) => f.name).join(', '),
+      });
+
+      const content = await geminiService.generate(prompt.text, { ...options, promptVersion: prompt.id, task: 'docs' });
+      return { content, prompt: prompt.id };
     } catch (error) {
       logger.error('Failed to generate README', { error: error.message });
       throw error;
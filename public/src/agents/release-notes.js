@@ -0,0 +1,255 @@
+/**
+ * Release Notes Agent
+ * Collects the commits and merged pull requests between two refs, groups them by
+ * conventional-commit type and labels, and writes a Markdown release section with an AI summary
+ */
+
+import { githubService } from '../services/github.js';
+import { geminiService } from '../services/gemini.js';
+import { promptRegistry } from '../services/prompts.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+const SECTIONS = [
+  { key: 'breaking', title: '⚠️ Breaking Changes' },
+  { key: 'feat', title: '✨ Features' },
+  { key: 'fix', title: '🐛 Bug Fixes' },
+  { key: 'perf', title: '⚡ Performance' },
+  { key: 'docs', title: '📝 Documentation' },
+  { key: 'refactor', title: '♻️ Refactoring' },
+  { key: 'chore', title: '🔧 Maintenance' },
+  { key: 'other', title: 'Other Changes' },
+];
+// Conventional-commit types listed under Maintenance
+const MAINTENANCE_TYPES = ['chore', 'build', 'ci', 'style', 'test', 'revert'];
+// Pull request labels used when the title has no conventional-commit prefix
+const LABEL_TYPES = {
+  'breaking-change': 'breaking',
+  breaking: 'breaking',
+  bug: 'fix',
+  enhancement: 'feat',
+  feature: 'feat',
+  performance: 'perf',
+  documentation: 'docs',
+  refactor: 'refactor',
+  dependencies: 'chore',
+};
+const CONVENTIONAL = /^(\w+)(?:\([^)]*\))?(!)?:\s*(.+)$/;
+const MAX_COMMITS = 500;
+
+class ReleaseNotesAgent {
+  /**
+   * Generate release notes for the changes between two refs
+   * @param {Object} options - { from (default: latest release tag), to (default: GITHUB_BRANCH),
+   *   tag (heading; default: to), noCache }
+   * @returns {Promise<Object>} { from, to, markdown, summary, sections, pullRequests, commits, truncated, prompt }
+   */
+  async generateReleaseNotes(options = {}) {
+    const { from: fromRef, to = config.GITHUB_BRANCH, tag, ...generationOptions } = options;
+    const from = fromRef || (await this.getLatestReleaseTag());
+
+    const { commits, truncated } = await githubService.compareCommits(from, to, MAX_COMMITS);
+    const mainline = this.getMainline(commits);
+
+    // A merged pull request was updated no earlier than the oldest commit in the range
+    const pulls = mainline.length > 0
+      ? await githubService.listMergedPullRequests(commits[0].commit.committer.date)
+      : [];
+    const byMergeCommit = new Map(pulls.map((pr) => [pr.merge_commit_sha, pr]));
+
+    const entries = mainline
+      .map((commit) => {
+        const pr = byMergeCommit.get(commit.sha);
+        if (pr) return this.fromPullRequest(pr);
+        // Branch merges that are not pull requests carry no description of their own
+        if (commit.parents.length > 1 && commit.commit.message.startsWith('Merge ')) return null;
+        return this.fromCommit(commit);
+      })
+      .filter(Boolean)
+      .reverse(); // newest first
+
+    const sections = this.groupEntries(entries);
+    const prompt = promptRegistry.render('release-notes', {
+      repo: config.GITHUB_REPO,
+      from,
+      to,
+      changes: this.formatSections(sections) || '(no changes)',
+    });
+
+    const summary = entries.length > 0
+      ? await geminiService.generate(prompt.text, { ...generationOptions, promptVersion: prompt.id, task: 'docs' })
+      : 'No changes in this range.';
+
+    const notes = {
+      from,
+      to,
+      summary: summary.trim(),
+      sections,
+      pullRequests: entries.filter((e) => e.pullRequest).length,
+      commits: entries.filter((e) => !e.pullRequest).length,
+      truncated,
+      prompt: prompt.id,
+    };
+    notes.markdown = this.formatMarkdown(notes, tag || to);
+
+    logger.info('Release notes generated', { from, to, pullRequests: notes.pullRequests, commits: notes.commits });
+    return notes;
+  }
+
+  /**
+   * Create a draft GitHub release from generated notes
+   * @param {Object} notes - Result of generateReleaseNotes
+   * @param {string} tag - Tag the release will create when published
+   * @returns {Promise<Object>} { id, url, tag, draft }
+   */
+  async publishDraftRelease(notes, tag) {
+    const release = await githubService.createRelease({
+      tagName: tag,
+      name: tag,
+      body: notes.markdown,
+      targetCommitish: notes.to,
+      draft: true,
+    });
+    return { id: release.id, url: release.html_url, tag, draft: release.draft };
+  }
+
+  /**
+   * Helper: Tag of the latest published release, the default start of the range
+   * @returns {Promise<string>} Tag name
+   */
+  async getLatestReleaseTag() {
+    const latest = await githubService.getLatestRelease();
+    if (!latest) {
+      throw new Error('No "from" ref given and the repository has no published releases');
+    }
+    return latest.tag_name;
+  }
+
+  /**
+   * Helper: Commits on the first-parent chain of the newest commit, oldest first
+   * Commits brought in by a merge are left out; the merge (usually a pull request) stands for them
+   * @param {Array} commits - Compare API commits, oldest first
+   * @returns {Array} Mainline commits
+   */
+  getMainline(commits) {
+    const bySha = new Map(commits.map((c) => [c.sha, c]));
+    const mainline = [];
+    for (let commit = commits[commits.length - 1]; commit; commit = bySha.get(commit.parents[0]?.sha)) {
+      mainline.push(commit);
+    }
+    return mainline.reverse();
+  }
+
+  /**
+   * Helper: Release entry for a merged pull request
+   * The title's conventional-commit prefix decides the type, then the labels
+   * @param {Object} pr - Pull request
+   * @returns {Object} Entry
+   */
+  fromPullRequest(pr) {
+    const labels = pr.labels.map((l) => (typeof l === 'string' ? l : l.name));
+    const parsed = parseConventional(pr.title);
+    const labelTypes = labels.map((label) => LABEL_TYPES[label]).filter(Boolean);
+
+    return {
+      type: parsed.type || labelTypes.find((type) => type !== 'breaking') || 'other',
+      breaking: parsed.breaking || labelTypes.includes('breaking'),
+      title: parsed.description,
+      pullRequest: pr.number,
+      ref: `#${pr.number}`,
+      author: pr.user?.login,
+    };
+  }
+
+  /**
+   * Helper: Release entry for a commit pushed without a pull request
+   * @param {Object} commit - Compare API commit
+   * @returns {Object} Entry
+   */
+  fromCommit(commit) {
+    const [subject, ...body] = commit.commit.message.split('\n');
+    const parsed = parseConventional(subject);
+
+    return {
+      type: parsed.type || 'other',
+      breaking: parsed.breaking || body.some((line) => line.startsWith('BREAKING CHANGE')),
+      title: parsed.description,
+      pullRequest: null,
+      ref: commit.sha.slice(0, 7),
+      author: commit.author?.login || commit.commit.author?.name,
+    };
+  }
+
+  /**
+   * Helper: Group entries into release sections
+   * @param {Array} entries - Release entries
+   * @returns {Object} section key -> entries (only non-empty sections)
+   */
+  groupEntries(entries) {
+    const sections = {};
+    for (const entry of entries) {
+      const key = sectionKey(entry);
+      (sections[key] = sections[key] || []).push(entry);
+    }
+    return sections;
+  }
+
+  /**
+   * Helper: Sections as Markdown lists under ### headings
+   * @param {Object} sections - Grouped entries
+   * @returns {string} Markdown
+   */
+  formatSections(sections) {
+    return SECTIONS.filter(({ key }) => sections[key])
+      .map(({ key, title }) => {
+        const items = sections[key].map((e) => `- ${e.title} (${e.ref})${e.author ? ` @${e.author}` : ''}`);
+        return `### ${title}\n${items.join('\n')}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Helper: Full release section
+   * @param {Object} notes - Release notes
+   * @param {string} heading - Version or ref shown in the heading
+   * @returns {string} Markdown
+   */
+  formatMarkdown(notes, heading) {
+    let markdown = `## ${heading} (${new Date().toISOString().slice(0, 10)})\n\n${notes.summary}\n\n`;
+
+    const sections = this.formatSections(notes.sections);
+    if (sections) {
+      markdown += `${sections}\n\n`;
+    }
+    if (notes.truncated) {
+      markdown += `_Only the first ${MAX_COMMITS} commits of this range are included._\n\n`;
+    }
+
+    markdown += `**Full changelog:** https://github.com/${config.GITHUB_REPO}/compare/${notes.from}...${notes.to}\n`;
+    return markdown;
+  }
+}
+
+/**
+ * Split a conventional-commit subject ("feat(api)!: add x") into its parts
+ * @param {string} subject - Commit subject or pull request title
+ * @returns {Object} { type, breaking, description }; type is null when there is no prefix
+ */
+function parseConventional(subject) {
+  const match = subject.trim().match(CONVENTIONAL);
+  if (!match) return { type: null, breaking: false, description: subject.trim() };
+  return { type: match[1].toLowerCase(), breaking: Boolean(match[2]), description: match[3] };
+}
+
+/**
+ * Section an entry belongs to
+ * @param {Object} entry - Release entry
+ * @returns {string} Section key
+ */
+function sectionKey(entry) {
+  if (entry.breaking) return 'breaking';
+  if (MAINTENANCE_TYPES.includes(entry.type)) return 'chore';
+  return SECTIONS.some(({ key }) => key === entry.type) ? entry.type : 'other';
+}
+
+export const releaseNotesAgent = new ReleaseNotesAgent();
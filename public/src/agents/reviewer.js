@@ -0,0 +1,215 @@
+/**
+ * Pull Request Reviewer Agent
+ * Analyzes the changed hunks of a pull request and posts a GitHub review with inline comments
+ */
+
+import { githubService } from '../services/github.js';
+import { geminiService } from '../services/gemini.js';
+import { projectService } from '../services/project.js';
+import { scannerAgent } from './scanner.js';
+import { parsePatch } from '../utils/diff.js';
+import { getErrorStatus } from '../utils/errors.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+// Findings at these severities make the verdict "changes requested"
+const BLOCKING_SEVERITIES = ['critical', 'high'];
+
+class ReviewerAgent {
+  /**
+   * Review a pull request
+   * @param {number} prNumber - Pull request number
+   * @param {Object} options - { post: false } to skip submitting the review, { noCache }
+   * @returns {Promise<Object>} { prNumber, title, headSha, verdict, event, body, files, comments, skipped, review }
+   */
+  async reviewPullRequest(prNumber, options = {}) {
+    const { post = true, ...analysisOptions } = options;
+    logger.info('Reviewing pull request', { prNumber });
+
+    const pr = await githubService.getPullRequest(prNumber);
+    const changedFiles = await githubService.listPullRequestFiles(prNumber);
+
+    const reviewable = changedFiles.filter(
+      (f) => f.status !== 'removed' && f.patch && projectService.isSourceFile(f.filename)
+    );
+    const selected = reviewable.slice(0, config.REVIEW_MAX_FILES);
+    const skipped = changedFiles
+      .filter((f) => !selected.includes(f))
+      .map((f) => f.filename);
+
+    const files = [];
+    for (const file of selected) {
+      files.push(await this.reviewFile(file, analysisOptions));
+    }
+
+    const comments = files.flatMap((f) => f.comments);
+    const verdict = this.getVerdict(files);
+    const result = {
+      prNumber,
+      title: pr.title,
+      headSha: pr.head.sha,
+      verdict: verdict.name,
+      event: verdict.event,
+      body: this.formatReviewBody(verdict, files, skipped),
+      files: files.map(({ path, summary, findings, outsideDiff, error }) => ({
+        path,
+        summary,
+        findings: findings.length,
+        outsideDiff,
+        ...(error && { error }),
+      })),
+      comments,
+      skipped,
+      review: null,
+    };
+
+    if (post) {
+      const review = await this.submitReview(prNumber, result);
+      result.review = { id: review.id, url: review.html_url, event: review.state };
+    }
+
+    logger.info('Pull request reviewed', {
+      prNumber,
+      verdict: result.verdict,
+      comments: comments.length,
+      posted: post,
+    });
+    return result;
+  }
+
+  /**
+   * Analyze each changed hunk of a file
+   * @param {Object} file - Entry from the pull request files API
+   * @param {Object} options - Analysis options
+   * @returns {Promise<Object>} { path, summary, findings, comments, outsideDiff, error? }
+   */
+  async reviewFile(file, options = {}) {
+    const language = scannerAgent.getLanguageFromFile(file.filename);
+    const summaries = [];
+    const findings = [];
+    const comments = [];
+    const errors = [];
+    let outsideDiff = 0;
+
+    for (const hunk of parsePatch(file.patch)) {
+      const code = hunk.lines.map((l) => l.content).join('\n');
+      const analysis = await geminiService.analyzeCode(code, language, {
+        ...options,
+        startLine: hunk.startLine,
+        source: file.filename,
+      });
+
+      if (analysis.error) errors.push(analysis.error);
+      if (analysis.summary) summaries.push(analysis.summary);
+
+      for (const finding of analysis.findings) {
+        findings.push(finding);
+        // Review comments can only be placed on lines that appear in the diff
+        if (finding.line >= hunk.startLine && finding.line <= hunk.endLine) {
+          comments.push({ path: file.filename, line: finding.line, body: this.formatComment(finding) });
+        } else {
+          outsideDiff++;
+        }
+      }
+    }
+
+    return {
+      path: file.filename,
+      summary: summaries.join(' '),
+      findings,
+      comments,
+      outsideDiff,
+      ...(errors.length > 0 && { error: errors[0] }),
+    };
+  }
+
+  /**
+   * Submit the review; falls back to a plain comment review when GitHub refuses
+   * "request changes" (e.g. on a pull request opened by the same account)
+   * @param {number} prNumber - Pull request number
+   * @param {Object} result - Review result
+   * @returns {Promise<Object>} Created review
+   */
+  async submitReview(prNumber, result) {
+    const review = {
+      commitId: result.headSha,
+      body: result.body,
+      event: result.event,
+      comments: result.comments,
+    };
+
+    try {
+      return await githubService.createReview(prNumber, review);
+    } catch (error) {
+      if (getErrorStatus(error) !== 422 || review.event === 'COMMENT') throw error;
+
+      logger.warn('Review event refused, posting as comment', { prNumber, event: review.event });
+      return githubService.createReview(prNumber, { ...review, event: 'COMMENT' });
+    }
+  }
+
+  /**
+   * Helper: Overall verdict from the findings
+   * Never approves: a passing review is posted as a comment
+   * @param {Array} files - Reviewed files
+   * @returns {Object} { name, label, event }
+   */
+  getVerdict(files) {
+    const findings = files.flatMap((f) => f.findings);
+
+    if (findings.some((f) => BLOCKING_SEVERITIES.includes(f.severity))) {
+      return { name: 'changes_requested', label: '🔴 Changes requested', event: 'REQUEST_CHANGES' };
+    }
+    if (findings.length > 0) {
+      return { name: 'comments', label: '🟡 Comments', event: 'COMMENT' };
+    }
+    return { name: 'looks_good', label: '🟢 Looks good', event: 'COMMENT' };
+  }
+
+  /**
+   * Helper: Inline comment text for a finding
+   * @param {Object} finding - Analysis finding
+   * @returns {string} Markdown
+   */
+  formatComment(finding) {
+    let body = `**[${finding.severity}] ${finding.category}:** ${finding.message}`;
+    if (finding.suggestedFix) {
+      body += `\n\n**Suggested fix:**\n\`\`\`\n${finding.suggestedFix}\n\`\`\``;
+    }
+    return body;
+  }
+
+  /**
+   * Helper: Review summary body
+   * @param {Object} verdict - Verdict from getVerdict
+   * @param {Array} files - Reviewed files
+   * @param {Array} skipped - Paths that were not reviewed
+   * @returns {string} Markdown
+   */
+  formatReviewBody(verdict, files, skipped) {
+    let body = `## 🤖 AI Review\n\n**Verdict:** ${verdict.label}\n\n`;
+
+    if (files.length > 0) {
+      body += '### Files reviewed\n';
+      files.forEach((f) => {
+        const notes = [`${f.comments.length} inline comments`];
+        if (f.outsideDiff > 0) notes.push(`${f.outsideDiff} findings outside the diff`);
+        if (f.error) notes.push(`analysis incomplete: ${f.error}`);
+        body += `- \`${f.path}\` (${notes.join(', ')})${f.summary ? `: ${f.summary}` : ''}\n`;
+      });
+    } else {
+      body += 'No reviewable source changes.\n';
+    }
+
+    if (skipped.length > 0) {
+      body += `\n<details><summary>Not reviewed (${skipped.length})</summary>\n\n`;
+      body += skipped.map((path) => `- \`${path}\``).join('\n');
+      body += '\n</details>\n';
+    }
+
+    body += '\n*Generated by AI Reviewer Agent*';
+    return body;
+  }
+}
+
+export const reviewerAgent = new ReviewerAgent();
@@ -6,10 +6,22 @@
 import { projectService } from '../services/project.js';
 import { geminiService } from '../services/gemini.js';
 import { githubService } from '../services/github.js';
+import { promptRegistry } from '../services/prompts.js';
+import { usageTracker } from '../services/usage.js';
 import { docGeneratorAgent } from './doc-generator.js';
+import { historyService } from '../services/history.js';
+import { matchFingerprints } from '../utils/fingerprint.js';
+import { SEVERITIES } from '../schemas/analysis.js';
 import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
 
+// Hidden marker in the scanner issue body: open findings as JSON, keyed by fingerprint
+const FINDINGS_MARKER = 'ai-scanner:findings';
+const ISSUE_LABELS = ['ai-detected', 'needs-review', 'auto-generated'];
+const CHECK_RUN_NAME = 'AI Scanner';
+const ANNOTATION_LEVELS = { critical: 'failure', high: 'failure', medium: 'warning', low: 'notice' };
+const MODIFICATION_BRANCH_PREFIX = 'ai-agent/auto-modifications-';
+
 class ScannerAgent {
   constructor() {
     this.lastScan = null;
@@ -30,14 +42,48 @@ class ScannerAgent {
     });
 
     // Run immediately
-    this.performScan();
+    this.performScheduledScan({ trigger: 'schedule' });
 
     // Then run at intervals
     this.scanInterval = setInterval(() => {
-      this.performScan();
+      this.performScheduledScan({ trigger: 'schedule' });
     }, config.SCAN_INTERVAL);
   }
 
+  /**
+   * Run an automated scan unless today's LLM quota or the GitHub rate limit is nearly used up
+   * @param {Object} options - Passed to performScan (e.g. an incremental scan from a webhook)
+   * @returns {Promise<Object|null>} Scan results, or null when skipped
+   */
+  async performScheduledScan(options = {}) {
+    const reserve = {
+      requests: config.LLM_SCAN_RESERVE_REQUESTS,
+      tokens: config.LLM_SCAN_RESERVE_TOKENS,
+    };
+
+    if (!usageTracker.hasBudget(reserve)) {
+      logger.warn('Skipping scheduled scan: daily LLM quota nearly exhausted', {
+        remaining: usageTracker.getRemaining(),
+        reserve,
+      });
+      return null;
+    }
+
+    if (githubService.isRateLimited()) {
+      logger.warn('Skipping scheduled scan: GitHub rate limit nearly exhausted', {
+        rateLimits: githubService.getRateLimitStats().rateLimits,
+      });
+      return null;
+    }
+
+    try {
+      return await this.performScan(options);
+    } catch (error) {
+      // Already logged by performScan; keep the interval alive
+      return null;
+    }
+  }
+
   /**
    * Stop periodic scanning
    */
@@ -51,27 +97,35 @@ class ScannerAgent {
 
   /**
    * Perform full project scan
+   * @param {Object} options - { noCache } to re-analyze unchanged files;
+   *   { files } to analyze only these paths (incremental scan); { ref } to scan a branch, tag or commit;
+   *   { trigger } recorded on the report (manual, schedule, push, pull_request)
    * @returns {Promise<Object>} Scan results
    */
-  async performScan() {
+  async performScan(options = {}) {
     const startTime = Date.now();
+    const { files, ref, trigger = 'manual', ...analysisOptions } = options;
     
-    logger.info('Starting project scan...');
+    logger.info('Starting project scan...', { trigger, ref, files: files?.length });
 
     try {
       // 1. Get project structure
-      const structure = await projectService.getProjectStructure();
+      const structure = await projectService.getProjectStructure(ref);
 
       // 2. Scan for issues
-      const issues = await projectService.scanForIssues();
+      const issues = await projectService.scanForIssues(ref);
 
       // 3. Analyze critical files
-      const analysis = await this.analyzeProject();
+      const analysis = await this.analyzeProject(analysisOptions, { files, ref });
+      issues.issues.push(...this.findingsToIssues(analysis));
 
       // 4. Generate report
       const report = {
         timestamp: new Date().toISOString(),
         duration: Date.now() - startTime,
+        trigger,
+        ref: structure.ref,
+        changedFiles: files || null,
         structure,
         issues: issues.issues,
         analysis,
@@ -85,14 +139,22 @@ class ScannerAgent {
         issuesFound: issues.issues.length,
       });
 
-      // 5. Optionally create issue if problems found
-      if (config.ENABLE_AUTO_FIX && issues.issues.length > 0) {
-        await this.createIssueFromScan(report);
+      // 5. Optionally create or update the tracking issue (branch scans only, not pull request heads)
+      if (config.ENABLE_AUTO_FIX && !ref) {
+        report.trackingIssue = await this.createIssueFromScan(report);
       }
 
-      // 6. Perform auto-modifications if enabled
-      if (config.ENABLE_AUTO_MODIFY) {
-        await this.performAutoModifications(report);
+      // 6. Optionally publish the results as a check run on the scanned commit
+      if (config.ENABLE_CHECK_RUNS) {
+        report.checkRun = await this.publishCheckRun(report);
+      }
+
+      // 7. Perform auto-modifications if enabled (whole-project changes, so not for incremental scans)
+      if (config.ENABLE_AUTO_MODIFY && !files) {
+        const pr = await this.performAutoModifications(report);
+        if (pr) {
+          report.pullRequest = { number: pr.number, url: pr.html_url };
+        }
       }
 
       return report;
@@ -104,27 +166,39 @@ class ScannerAgent {
 
   /**
    * Analyze project files with AI
+   * @param {Object} options - { noCache }
+   * @param {Object} scope - { files } to limit analysis to these paths, { ref } to read them at
    * @returns {Promise<Object>} Analysis results
    */
-  async analyzeProject() {
+  async analyzeProject(options = {}, { files, ref } = {}) {
     try {
-      const sourceFiles = await projectService.getSourceFiles();
+      let sourceFiles = await projectService.getSourceFiles(ref);
+      if (files) {
+        sourceFiles = sourceFiles.filter((f) => files.includes(f.path));
+      }
+      const selection = await this.selectFiles(sourceFiles, ref);
       const analysis = {
         files: [],
         overallHealth: 'unknown',
+        selection: {
+          strategy: selection.strategy,
+          files: selection.files.map((f) => ({ path: f.path, score: f.score ?? null })),
+        },
       };
 
-      // Analyze first 5 source files for performance
-      for (const file of sourceFiles.slice(0, 5)) {
+      // Analyze only the riskiest files, for performance
+      for (const file of selection.files) {
         try {
-          const content = await projectService.getFileContent(file.path);
+          const content = await projectService.getFileContent(file.path, ref);
           const codeAnalysis = await geminiService.analyzeCode(
             content,
-            this.getLanguageFromFile(file.name)
+            this.getLanguageFromFile(file.name),
+            { ...options, source: file.path }
           );
 
           analysis.files.push({
             name: file.name,
+            path: file.path,
             analysis: codeAnalysis,
           });
         } catch (e) {
@@ -139,6 +213,53 @@ class ScannerAgent {
     }
   }
 
+  /**
+   * Helper: Pick up to SCAN_MAX_FILES source files to analyze, riskiest first
+   * Ranks by churn hotspots and the previous scan's findings; ties and files without history keep
+   * tree order. Falls back to tree order when commit history is unavailable
+   * @param {Array} sourceFiles - Candidate source files
+   * @param {string} ref - Ref being scanned
+   * @returns {Promise<Object>} { strategy: 'risk' | 'order', files }
+   */
+  async selectFiles(sourceFiles, ref) {
+    const limit = config.SCAN_MAX_FILES;
+
+    try {
+      const hotspots = await historyService.getHotspots({ ref, findings: this.lastScan?.issues || [] });
+      const scores = new Map(hotspots.map((h) => [h.path, h.score]));
+      const ranked = [...sourceFiles].sort((a, b) => (scores.get(b.path) || 0) - (scores.get(a.path) || 0));
+
+      return {
+        strategy: 'risk',
+        files: ranked.slice(0, limit).map((f) => ({ ...f, score: scores.get(f.path) || 0 })),
+      };
+    } catch (error) {
+      logger.warn('Hotspot ranking unavailable, analyzing files in tree order', { error: error.message });
+      return { strategy: 'order', files: sourceFiles.slice(0, limit) };
+    }
+  }
+
+  /**
+   * Convert AI findings into scan issue entries
+   * @param {Object} analysis - Analysis results from analyzeProject
+   * @returns {Array} Issues
+   */
+  findingsToIssues(analysis) {
+    return analysis.files.flatMap((file) =>
+      (file.analysis.findings || []).map((finding) => ({
+        type: finding.category,
+        severity: finding.severity,
+        file: file.path,
+        line: finding.line,
+        endLine: finding.endLine,
+        rule: finding.rule,
+        message: finding.message,
+        suggestedFix: finding.suggestedFix,
+        source: 'ai',
+      }))
+    );
+  }
+
   /**
    * Generate recommendations based on scan
    * @param {Object} issues - Issues found
@@ -161,22 +282,16 @@ class ScannerAgent {
         .map((i) => `- [${i.severity}] ${i.message}`)
         .join('\n');
 
-      const prompt = `Based on these project issues, suggest 3 actionable fixes:
+      const prompt = promptRegistry.render('scan-recommendations', { issues: issuesText });
 
-${issuesText}
-
-For each suggestion provide:
-1. What to fix
-2. Why it's important
-3. How to implement (brief)`;
-
-      const response = await geminiService.generate(prompt);
+      const response = await geminiService.generate(prompt.text, { promptVersion: prompt.id, task: 'recommendations' });
 
       return [
         {
           priority: 'high',
           suggestion: response,
           reason: 'AI-generated recommendations based on scan',
+          prompt: prompt.id,
         },
       ];
     } catch (error) {
@@ -186,41 +301,156 @@ For each suggestion provide:
   }
 
   /**
-   * Create GitHub issue from scan results
+   * Create or update the scanner's GitHub issue from scan results
+   * One open `ai-detected` issue is kept, found through the hidden findings marker in its body.
+   * Later scans edit it and comment with only the new and resolved findings; it is closed once
+   * nothing is left.
    * @param {Object} report - Scan report
+   * @returns {Promise<Object|null>} { issueNumber, action, added, resolved }, null when nothing was filed
    */
   async createIssueFromScan(report) {
     try {
-      const issueBody = this.formatScanReportAsIssue(report);
+      const existing = await this.findScannerIssue();
+      const previous = existing ? this.parseFindingsMarker(existing.body) : {};
+      const findings = this.mergeFindings(report, previous);
+
+      const added = Object.keys(findings).filter((fp) => !previous[fp]);
+      const resolved = Object.keys(previous).filter((fp) => !findings[fp]);
+      const counts = { added: added.length, resolved: resolved.length };
+
+      if (!existing) {
+        if (added.length === 0) return null;
 
-      const issue = await githubService.createIssue({
-        title: `🤖 AI Scanner: Issues Detected (${new Date().toLocaleDateString()})`,
-        body: issueBody,
-        labels: ['ai-detected', 'needs-review', 'auto-generated'],
+        const issue = await githubService.createIssue({
+          title: `🤖 AI Scanner: Issues Detected (${new Date().toLocaleDateString()})`,
+          body: this.formatScanReportAsIssue(report, findings),
+          labels: ISSUE_LABELS,
+        });
+
+        logger.info('Created issue from scan', { issueNumber: issue.number, repo: config.GITHUB_REPO });
+        return { issueNumber: issue.number, action: 'created', ...counts };
+      }
+
+      if (added.length === 0 && resolved.length === 0) {
+        logger.info('Scanner issue already up to date', { issueNumber: existing.number });
+        return { issueNumber: existing.number, action: 'unchanged', ...counts };
+      }
+
+      const allResolved = Object.keys(findings).length === 0;
+      await githubService.addIssueComment(
+        existing.number,
+        this.formatFindingsUpdate(
+          added.map((fp) => findings[fp]),
+          resolved.map((fp) => previous[fp]),
+          report,
+          allResolved
+        )
+      );
+      await githubService.updateIssue(existing.number, {
+        body: this.formatScanReportAsIssue(report, findings),
+        ...(allResolved && { state: 'closed', stateReason: 'completed' }),
       });
 
-      logger.info('Created issue from scan', { issueNumber: issue.number, repo: config.GITHUB_REPO });
+      const action = allResolved ? 'closed' : 'updated';
+      logger.info('Updated issue from scan', { issueNumber: existing.number, action, ...counts });
+      return { issueNumber: existing.number, action, ...counts };
     } catch (error) {
       logger.error('Failed to create issue', { error: error.message, repo: config.GITHUB_REPO });
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Find the open issue this agent maintains
+   * @returns {Promise<Object|undefined>} Issue
+   */
+  async findScannerIssue() {
+    const issues = await githubService.listIssues('open', 'ai-detected');
+    return issues.find((issue) => issue.body?.includes(`<!-- ${FINDINGS_MARKER} `));
+  }
+
+  /**
+   * Helper: Open findings after this scan, keyed by fingerprint
+   * Previous AI findings on files this scan did not analyze (incremental scans, file limits,
+   * failed analyses) are carried over rather than counted as resolved. Findings are matched to the
+   * previous ones by fingerprint, then by file, type and line proximity (see matchFingerprints)
+   * @param {Object} report - Scan report
+   * @param {Object} previous - Findings from the existing issue's marker
+   * @returns {Object} Findings { fingerprint: { severity, type, file, line, rule, message, source, suggestedFix } }
+   */
+  mergeFindings(report, previous) {
+    const analyzed = new Set(
+      (report.analysis?.files || []).filter((f) => !f.analysis.error).map((f) => f.path)
+    );
+    const findings = {};
+
+    for (const [fp, finding] of Object.entries(previous)) {
+      if (finding.source === 'ai' && !analyzed.has(finding.file)) {
+        findings[fp] = finding;
+      }
+    }
+
+    const fingerprints = matchFingerprints(report.issues, previous);
+    report.issues.forEach((issue, index) => {
+      const { severity, type, file, line, rule, message, source, suggestedFix } = issue;
+      findings[fingerprints[index]] = { severity, type, file, line, rule, message, source, suggestedFix };
+    });
+
+    return findings;
+  }
+
+  /**
+   * Helper: Hidden marker holding the open findings
+   * @param {Object} findings - Findings by fingerprint
+   * @returns {string} HTML comment
+   */
+  buildFindingsMarker(findings) {
+    const entries = Object.fromEntries(
+      Object.entries(findings).map(([fp, { suggestedFix, ...finding }]) => [fp, finding])
+    );
+    // Escaping ">" keeps "-->" in a message from ending the comment early
+    return `<!-- ${FINDINGS_MARKER} ${JSON.stringify(entries).replace(/>/g, '\\u003e')} -->`;
+  }
+
+  /**
+   * Helper: Read the findings marker from an issue body
+   * @param {string} body - Issue body
+   * @returns {Object} Findings by fingerprint (empty when missing or unreadable)
+   */
+  parseFindingsMarker(body = '') {
+    const match = body.match(new RegExp(`<!-- ${FINDINGS_MARKER} (.*?) -->`, 's'));
+    if (!match) return {};
+
+    try {
+      return JSON.parse(match[1]);
+    } catch (error) {
+      logger.warn('Unreadable findings marker in scanner issue', { error: error.message });
+      return {};
     }
   }
 
   /**
    * Format scan report as GitHub issue
    * @param {Object} report - Scan report
+   * @param {Object} findings - Open findings by fingerprint
    * @returns {string} Formatted issue body
    */
-  formatScanReportAsIssue(report) {
+  formatScanReportAsIssue(report, findings) {
     let body = '## 🤖 AI Scanner Report\n\n';
     body += `**Repository:** ${config.GITHUB_REPO}\n`;
     body += `**Branch:** ${config.GITHUB_BRANCH}\n\n`;
 
-    if (report.issues.length > 0) {
+    const open = Object.values(findings);
+    if (open.length > 0) {
       body += '### 🚨 Issues Found\n';
-      report.issues.forEach((issue) => {
+      open.forEach((issue) => {
         body += `- **[${issue.severity}]** ${issue.message}\n`;
-        body += `  - File: \`${issue.file}\`\n`;
-        body += `  - Type: ${issue.type}\n\n`;
+        body += `  - File: \`${issue.line ? `${issue.file}:${issue.line}` : issue.file}\`\n`;
+        body += `  - Type: ${issue.type}\n`;
+        if (issue.suggestedFix) {
+          body += `  - Suggested fix: ${issue.suggestedFix}\n`;
+        }
+        body += '\n';
       });
     } else {
       body += '### ✅ No Critical Issues Found\n\n';
@@ -236,19 +466,153 @@ For each suggestion provide:
     if (report.analysis && report.analysis.files.length > 0) {
       body += '### 📊 Code Analysis\n';
       report.analysis.files.forEach((f) => {
-        body += `- **${f.name}**: Analyzed successfully\n`;
+        if (f.analysis.error) {
+          body += `- **${f.path}**: Analysis failed (${f.analysis.error})\n`;
+        } else {
+          body += `- **${f.path}**: ${f.analysis.findings.length} finding(s). ${f.analysis.summary}\n`;
+        }
       });
       body += '\n';
     }
 
     body += `---\n`;
-    body += `_Scanned at: ${report.timestamp}_\n`;
+    body += `_Last scanned at: ${report.timestamp}_\n`;
     body += `_Scan duration: ${report.duration}ms_\n`;
-    body += `_By: AI Scanner Agent_`;
+    body += `_By: AI Scanner Agent_\n\n`;
+    body += this.buildFindingsMarker(findings);
+
+    return body;
+  }
+
+  /**
+   * Helper: Comment listing what changed since the previous scan
+   * @param {Array} added - New findings
+   * @param {Array} resolved - Findings no longer reported
+   * @param {Object} report - Scan report
+   * @param {boolean} allResolved - True when the issue is about to be closed
+   * @returns {string} Markdown
+   */
+  formatFindingsUpdate(added, resolved, report, allResolved) {
+    const location = (f) => (f.line ? `${f.file}:${f.line}` : f.file);
+    let body = '### 🔄 Scan Update\n\n';
+
+    if (added.length > 0) {
+      body += `**New findings (${added.length})**\n`;
+      added.forEach((f) => {
+        body += `- **[${f.severity}]** ${f.message} (\`${location(f)}\`)\n`;
+      });
+      body += '\n';
+    }
+
+    if (resolved.length > 0) {
+      body += `**Resolved (${resolved.length})**\n`;
+      resolved.forEach((f) => {
+        body += `- ✅ ~~${f.message}~~ (\`${location(f)}\`)\n`;
+      });
+      body += '\n';
+    }
+
+    if (allResolved) {
+      body += 'All findings are resolved, closing this issue.\n\n';
+    }
 
+    body += `_Scanned at: ${report.timestamp}_`;
     return body;
   }
 
+  /**
+   * Publish scan results as a check run on the scanned commit
+   * Findings with a line become annotations; the rest are listed in the check's details
+   * @param {Object} report - Scan report
+   * @returns {Promise<Object|null>} { id, url, conclusion, annotations }, null on failure
+   */
+  async publishCheckRun(report) {
+    try {
+      const ref = report.ref || config.GITHUB_BRANCH;
+      const headSha = /^[0-9a-f]{40}$/.test(ref) ? ref : (await githubService.getCommit(ref)).sha;
+
+      const annotations = report.issues
+        .filter((issue) => issue.file && issue.line)
+        .map((issue) => this.toAnnotation(issue));
+      const unplaced = report.issues.filter((issue) => !issue.file || !issue.line);
+      const conclusion = this.getCheckConclusion(report.issues);
+
+      const checkRun = await githubService.createCheckRun({
+        name: CHECK_RUN_NAME,
+        headSha,
+        conclusion,
+        title: report.issues.length > 0 ? `${report.issues.length} finding(s)` : 'No findings',
+        summary: this.formatCheckSummary(report, conclusion),
+        text: unplaced.length > 0
+          ? unplaced.map((issue) => `- **[${issue.severity}]** ${issue.message}${issue.file ? ` (\`${issue.file}\`)` : ''}`).join('\n')
+          : undefined,
+        annotations,
+      });
+
+      return { id: checkRun.id, url: checkRun.html_url, conclusion, annotations: annotations.length };
+    } catch (error) {
+      logger.error('Failed to publish check run', { error: error.message, ref: report.ref });
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Check run conclusion from the most severe finding
+   * failure at or above CHECK_RUN_FAILURE_SEVERITY, neutral at or above CHECK_RUN_NEUTRAL_SEVERITY, success otherwise
+   * @param {Array} issues - Scan issues
+   * @returns {string} 'success', 'neutral' or 'failure'
+   */
+  getCheckConclusion(issues) {
+    // SEVERITIES runs from most to least severe; unknown thresholds ('none') match nothing
+    const atOrAbove = (threshold) => {
+      const limit = SEVERITIES.indexOf(threshold);
+      return limit !== -1 && issues.some((i) => SEVERITIES.includes(i.severity) && SEVERITIES.indexOf(i.severity) <= limit);
+    };
+
+    if (atOrAbove(config.CHECK_RUN_FAILURE_SEVERITY)) return 'failure';
+    if (atOrAbove(config.CHECK_RUN_NEUTRAL_SEVERITY)) return 'neutral';
+    return 'success';
+  }
+
+  /**
+   * Helper: Check run annotation for a finding
+   * @param {Object} issue - Scan issue with file and line
+   * @returns {Object} Annotation
+   */
+  toAnnotation(issue) {
+    return {
+      path: issue.file,
+      start_line: issue.line,
+      end_line: Math.max(issue.endLine || issue.line, issue.line),
+      annotation_level: ANNOTATION_LEVELS[issue.severity] || 'notice',
+      title: `[${issue.severity}] ${issue.type}`,
+      message: issue.suggestedFix ? `${issue.message}\n\nSuggested fix: ${issue.suggestedFix}` : issue.message,
+    };
+  }
+
+  /**
+   * Helper: Check run summary
+   * @param {Object} report - Scan report
+   * @param {string} conclusion - Check conclusion
+   * @returns {string} Markdown
+   */
+  formatCheckSummary(report, conclusion) {
+    const counts = SEVERITIES
+      .map((severity) => [severity, report.issues.filter((i) => i.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} ${severity}`);
+
+    let summary = `**Conclusion:** ${conclusion}`;
+    summary += ` (fails at ${config.CHECK_RUN_FAILURE_SEVERITY}, neutral at ${config.CHECK_RUN_NEUTRAL_SEVERITY})\n\n`;
+    summary += counts.length > 0 ? `**Findings:** ${counts.join(', ')}\n\n` : '**Findings:** none\n\n';
+    summary += `Analyzed ${report.analysis.files.length} file(s)`;
+    if (report.changedFiles) {
+      summary += ` of ${report.changedFiles.length} changed`;
+    }
+    summary += ` in ${report.duration}ms (trigger: ${report.trigger}).`;
+    return summary;
+  }
+
   /**
    * Get last scan results
    * @returns {Object} Last scan report
@@ -265,59 +629,150 @@ For each suggestion provide:
     try {
       logger.info('Starting auto-modifications...');
 
-      const modifications = [];
+      // { type, file, description, content } - shape expected by generateCommitMessage
+      const changes = [];
 
       // 1. Add missing README.md
       if (!report.structure.files.some(f => f.name === 'README.md')) {
-        await this.addMissingReadme();
-        modifications.push('Added README.md');
+        const readme = await this.addMissingReadme();
+        if (readme) {
+          changes.push({ type: 'add', file: 'README.md', description: 'Added README.md', content: readme });
+        }
       }
 
       // 2. Add missing .gitignore
       if (!report.structure.files.some(f => f.name === '.gitignore')) {
-        await this.addMissingGitignore();
-        modifications.push('Added .gitignore');
+        const gitignore = await this.addMissingGitignore();
+        changes.push({ type: 'add', file: '.gitignore', description: 'Added .gitignore', content: gitignore });
       }
 
       // 3. Add missing package.json scripts
       if (report.structure.files.some(f => f.name === 'package.json')) {
-        const packageModified = await this.enhancePackageJson();
-        if (packageModified) {
-          modifications.push('Enhanced package.json with additional scripts');
+        const packageJson = await this.enhancePackageJson();
+        if (packageJson) {
+          changes.push({
+            type: 'update',
+            file: 'package.json',
+            description: 'Enhanced package.json with additional scripts',
+            content: packageJson,
+          });
         }
       }
 
       // 4. Add documentation to source files
-      const docsAdded = await this.addDocumentationToFiles(report);
-      if (docsAdded > 0) {
-        modifications.push(`Added documentation to ${docsAdded} source files`);
-      }
+      changes.push(...await this.addDocumentationToFiles(report));
 
-      // 5. Create project architecture documentation
-      await this.createArchitectureDoc(report);
-      modifications.push('Created/updated ARCHITECTURE.md');
+      // 5. Add missing project architecture documentation (a hand-written one is never replaced)
+      if (!report.structure.files.some(f => f.path === 'ARCHITECTURE.md')) {
+        const architecture = await this.createArchitectureDoc(report);
+        if (architecture) {
+          changes.push({ type: 'add', file: 'ARCHITECTURE.md', description: 'Added ARCHITECTURE.md', content: architecture });
+        }
+      }
 
-      if (modifications.length > 0) {
-        logger.info('Auto-modifications completed', { modifications });
-        await this.createModificationReport(modifications);
-      } else {
+      if (changes.length === 0) {
         logger.info('No auto-modifications needed');
+        return null;
       }
 
+      const pr = await this.openModificationPullRequest(changes);
+      if (!pr) return null;
+
+      logger.info('Auto-modifications completed', {
+        modifications: changes.map((c) => c.description),
+        prNumber: pr.number,
+      });
+      return pr;
     } catch (error) {
       logger.error('Auto-modifications failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Propose changes in a pull request against GITHUB_BRANCH
+   * Only changes GITHUB_BRANCH does not have yet are proposed. An open auto-modification pull request
+   * is updated with the ones its branch lacks rather than opening another one
+   * @param {Array} changes - [{ type, file, description, content }]
+   * @returns {Promise<Object|null>} Created or updated PR, null when there is nothing to propose
+   */
+  async openModificationPullRequest(changes) {
+    const pending = await this.filterAppliedChanges(changes, config.GITHUB_BRANCH);
+    if (pending.length === 0) {
+      logger.info('Auto-modifications are already on the base branch');
+      return null;
+    }
+
+    const open = (await githubService.listOpenPullRequests())
+      .find((pr) => pr.head.ref.startsWith(MODIFICATION_BRANCH_PREFIX));
+    const branch = open ? open.head.ref : `${MODIFICATION_BRANCH_PREFIX}${Date.now()}`;
+    const commit = open ? await this.filterAppliedChanges(pending, branch) : pending;
+    if (commit.length === 0) {
+      logger.info('Auto-modifications are already proposed', { prNumber: open.number });
+      return open;
+    }
+
+    const message = await this.getCommitMessage(commit);
+    const body = this.createModificationReport(pending.map((c) => c.description));
+    if (!open) await githubService.createBranch(branch);
+    await githubService.commitFiles(
+      branch,
+      commit.map((c) => ({ path: c.file, content: c.content })),
+      message
+    );
+
+    if (open) {
+      await githubService.updateIssue(open.number, { body });
+      return open;
+    }
+    return githubService.createPullRequest({ title: message.split('\n')[0], body, head: branch });
+  }
+
+  /**
+   * Helper: Leave out changes a ref already has
+   * Added files (README, docs, ...) count as applied once the file exists, so generated text
+   * that differs from run to run does not replace what is there; updates when the content matches
+   * @param {Array} changes - [{ type, file, description, content }]
+   * @param {string} ref - Branch to compare with
+   * @returns {Promise<Array>} Changes still to apply
+   */
+  async filterAppliedChanges(changes, ref) {
+    const pending = [];
+    for (const change of changes) {
+      const current = await githubService.getFileText(change.file, ref);
+      const applied = change.type === 'update' ? current === change.content : current !== null;
+      if (!applied) pending.push(change);
+    }
+    return pending;
+  }
+
+  /**
+   * Helper: Commit message for a set of changes, falling back to a fixed one when the model is unavailable
+   * @param {Array} changes - [{ type, file, description }]
+   * @returns {Promise<string>} Commit message
+   */
+  async getCommitMessage(changes) {
+    const fallback = 'chore: apply AI agent auto-modifications';
+    try {
+      const message = await geminiService.generateCommitMessage(changes);
+      // Models often wrap the message in a code fence
+      const lines = message.split('\n').filter((line) => !line.trim().startsWith('```'));
+      return lines.join('\n').trim() || fallback;
+    } catch (error) {
+      logger.warn('Commit message generation failed, using default', { error: error.message });
+      return fallback;
     }
   }
 
   /**
    * Add missing README.md file
+   * @returns {Promise<string|undefined>} README content, undefined when generation failed
    */
   async addMissingReadme() {
     try {
-      const readmeContent = await docGeneratorAgent.generateReadme();
-      // Note: In real implementation, this would create a PR
-      logger.info('Generated README content (would create PR in real implementation)');
-      return readmeContent;
+      const readme = await docGeneratorAgent.generateReadme();
+      logger.info('Generated README content', { prompt: readme.prompt });
+      return readme.content;
     } catch (error) {
       logger.error('Failed to generate README', { error: error.message });
     }
@@ -325,10 +780,10 @@ For each suggestion provide:
 
   /**
    * Add missing .gitignore file
+   * @returns {string} .gitignore content
    */
-  async addMissingGitignore() {
-    try {
-      const gitignoreContent = `node_modules/
+  addMissingGitignore() {
+    const gitignoreContent = `node_modules/
 .env
 .env.local
 *.log
@@ -341,16 +796,15 @@ Thumbs.db
 dist/
 build/
 coverage/
-.nyc_output/`;
-      logger.info('Generated .gitignore content (would create PR in real implementation)');
-      return gitignoreContent;
-    } catch (error) {
-      logger.error('Failed to generate .gitignore', { error: error.message });
-    }
+.nyc_output/
+`;
+    logger.info('Generated .gitignore content');
+    return gitignoreContent;
   }
 
   /**
    * Enhance package.json with additional scripts
+   * @returns {Promise<string|null>} Updated package.json, null when nothing changed
    */
   async enhancePackageJson() {
     try {
@@ -377,33 +831,38 @@ coverage/
         modified = true;
       }
 
-      if (modified) {
-        logger.info('Enhanced package.json scripts (would create PR in real implementation)');
-      }
+      if (!modified) return null;
 
-      return modified;
+      logger.info('Enhanced package.json scripts');
+      return `${JSON.stringify(pkg, null, 2)}\n`;
     } catch (error) {
       logger.error('Failed to enhance package.json', { error: error.message });
-      return false;
+      return null;
     }
   }
 
   /**
    * Add documentation to source files
+   * Docs are written to docs/<source path>.md
    * @param {Object} report - Scan report
-   * @returns {number} Number of files documented
+   * @returns {Promise<Array>} Changes [{ type, file, description, content }]
    */
   async addDocumentationToFiles(report) {
     try {
-      let docsAdded = 0;
+      const changes = [];
 
       if (report.analysis && report.analysis.files) {
         for (const file of report.analysis.files.slice(0, 3)) { // Limit to 3 files
           try {
-            const doc = await docGeneratorAgent.generateFileDocumentation(file.name);
-            if (doc) {
-              logger.info(`Generated documentation for ${file.name} (would create PR in real implementation)`);
-              docsAdded++;
+            const doc = await docGeneratorAgent.generateFileDocumentation(file.path);
+            if (doc.content) {
+              logger.info(`Generated documentation for ${file.name}`);
+              changes.push({
+                type: 'docs',
+                file: `docs/${file.path}.md`,
+                description: `Added documentation for ${file.path}`,
+                content: doc.content,
+              });
             }
           } catch (e) {
             logger.warn(`Failed to document ${file.name}`, { error: e.message });
@@ -411,16 +870,17 @@ coverage/
         }
       }
 
-      return docsAdded;
+      return changes;
     } catch (error) {
       logger.error('Failed to add file documentation', { error: error.message });
-      return 0;
+      return [];
     }
   }
 
   /**
-   * Create/update architecture documentation
+   * Create architecture documentation
    * @param {Object} report - Scan report
+   * @returns {Promise<string|undefined>} ARCHITECTURE.md content
    */
   async createArchitectureDoc(report) {
     try {
@@ -447,9 +907,9 @@ ${report.structure.files.slice(0, 10).map(file => `- **${file.name}**: ${this.de
 - Octokit for GitHub API
 - Docker for containerization
 
-*Generated by AI Scanner Agent on ${new Date().toISOString()}*`;
+*Generated by AI Scanner Agent*`;
 
-      logger.info('Generated architecture documentation (would create PR in real implementation)');
+      logger.info('Generated architecture documentation');
       return archContent;
     } catch (error) {
       logger.error('Failed to create architecture doc', { error: error.message });
@@ -457,25 +917,20 @@ ${report.structure.files.slice(0, 10).map(file => `- **${file.name}**: ${this.de
   }
 
   /**
-   * Create a report of modifications made
+   * Create a report of modifications made, used as the pull request body
    * @param {Array} modifications - List of modifications
+   * @returns {string} Markdown report
    */
-  async createModificationReport(modifications) {
-    try {
-      const reportContent = `# 🤖 AI Agent Auto-Modifications Report
+  createModificationReport(modifications) {
+    return `# 🤖 AI Agent Auto-Modifications Report
 
 ## Summary
 The AI Agent has automatically improved your project with the following modifications:
 
 ${modifications.map(mod => `- ✅ ${mod}`).join('\n')}
 
-## Details
-
-### What Was Done
-${modifications.map(mod => `#### ${mod}\n- Automatically generated and applied\n`).join('\n')}
-
 ## Next Steps
-1. Review the changes in the generated Pull Request
+1. Review the changes in this pull request
 2. Test the modifications locally
 3. Merge the PR if satisfied with the changes
 
@@ -483,15 +938,7 @@ ${modifications.map(mod => `#### ${mod}\n- Automatically generated and applied\n
 To disable auto-modifications, set:
 \`\`\`
 ENABLE_AUTO_MODIFY=false
-\`\`\`
-
-*Report generated on ${new Date().toISOString()}*`;
-
-      logger.info('Created modification report (would create PR in real implementation)');
-      return reportContent;
-    } catch (error) {
-      logger.error('Failed to create modification report', { error: error.message });
-    }
+\`\`\``;
   }
 
   /**
@@ -0,0 +1,140 @@
+/**
+ * Chat Tools
+ * Functions the chat model can call to look up project data on demand
+ */
+
+import { projectService } from '../services/project.js';
+import { githubService } from '../services/github.js';
+import { searchService } from '../services/search.js';
+import { scannerAgent } from './scanner.js';
+import { validateSchema } from '../utils/schema.js';
+import { logger } from '../config/logger.js';
+
+const MAX_FILE_CHARS = 12000;
+const MAX_LISTED_ISSUES = 30;
+
+/**
+ * Tool definitions: `parameters` uses the same JSON schema subset as utils/schema.js
+ */
+export const chatTools = [
+  {
+    name: 'getFileContent',
+    description: 'Read a file from the repository. Use this before answering questions about a specific file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the repository root, e.g. "Dockerfile" or "src/server.js"' },
+      },
+      required: ['path'],
+    },
+    async execute({ path }) {
+      const content = await projectService.getFileContent(path);
+      return {
+        path,
+        content: content.substring(0, MAX_FILE_CHARS),
+        truncated: content.length > MAX_FILE_CHARS,
+      };
+    },
+  },
+  {
+    name: 'searchCode',
+    description: 'Search the repository for code related to a question or identifier. Returns file:line ranges with snippets.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for, e.g. "GitHub App authentication"' },
+      },
+      required: ['query'],
+    },
+    async execute({ query }) {
+      return searchService.search(query, { limit: 5 });
+    },
+  },
+  {
+    name: 'getProjectStructure',
+    description: 'List the files and directories in the repository.',
+    async execute() {
+      const structure = await projectService.getProjectStructure();
+      return {
+        files: structure.files.map((f) => ({ path: f.path, size: f.size })),
+        directories: structure.directories.map((d) => d.path),
+      };
+    },
+  },
+  {
+    name: 'listIssues',
+    description: 'List GitHub issues for the repository.',
+    parameters: {
+      type: 'object',
+      properties: {
+        state: { type: 'string', enum: ['open', 'closed', 'all'], description: 'Issue state (default open)' },
+      },
+    },
+    async execute({ state = 'open' }) {
+      const issues = await githubService.listIssues(state);
+      return {
+        total: issues.length,
+        issues: issues.slice(0, MAX_LISTED_ISSUES).map((i) => ({
+          number: i.number,
+          title: i.title,
+          state: i.state,
+          labels: i.labels.map((l) => (typeof l === 'string' ? l : l.name)),
+        })),
+      };
+    },
+  },
+  {
+    name: 'getLastScanReport',
+    description: 'Get the most recent project scan: detected issues, AI findings per file and recommendations.',
+    async execute() {
+      const report = scannerAgent.getLastScan();
+      if (!report) return { available: false };
+
+      return {
+        available: true,
+        timestamp: report.timestamp,
+        issues: report.issues,
+        files: report.analysis.files.map((f) => ({
+          path: f.path,
+          summary: f.analysis.summary,
+          error: f.analysis.error,
+        })),
+        recommendations: report.recommendations,
+      };
+    },
+  },
+];
+
+/**
+ * Tool declarations for the provider (name, description, parameters)
+ * @returns {Array} Declarations
+ */
+export function getToolDeclarations() {
+  return chatTools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Run a tool call from the model
+ * Failures are returned as `{ error }` so the model can see them and recover
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments from the model
+ * @returns {Promise<Object>} Tool result
+ */
+export async function runTool(name, args = {}) {
+  const tool = chatTools.find((t) => t.name === name);
+  if (!tool) {
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  const errors = tool.parameters ? validateSchema(args, tool.parameters, 'args') : [];
+  if (errors.length > 0) {
+    return { error: `Invalid arguments: ${errors.join('; ')}` };
+  }
+
+  try {
+    return await tool.execute(args);
+  } catch (error) {
+    logger.warn('Chat tool failed', { tool: name, error: error.message });
+    return { error: error.message };
+  }
+}
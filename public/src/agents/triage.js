@@ -0,0 +1,254 @@
+/**
+ * Issue Triage Agent
+ * Classifies open issues (bug, feature, question), estimates severity, flags likely duplicates
+ * and suggests affected files, then labels each issue and posts one triage comment
+ */
+
+import { githubService } from '../services/github.js';
+import { geminiService } from '../services/gemini.js';
+import { searchService } from '../services/search.js';
+import { promptRegistry } from '../services/prompts.js';
+import { triageSchema } from '../schemas/triage.js';
+import { tokenize } from '../utils/bm25.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+// Hidden marker in the triage comment; an issue carrying it is never triaged again
+const TRIAGE_MARKER = '<!-- ai-triage -->';
+const TRIAGED_LABEL = 'ai-triaged';
+const DUPLICATE_LABEL = 'possible-duplicate';
+const TYPE_LABELS = { bug: 'bug', feature: 'enhancement', question: 'question' };
+// Issues with these labels are left alone (the scanner files its own `ai-detected` issues)
+const SKIPPED_LABELS = [TRIAGED_LABEL, 'ai-detected'];
+const MAX_DUPLICATES = 3;
+const MAX_AFFECTED_FILES = 5;
+const SEARCH_RESULTS = 10;
+const BODY_CHARS = 4000;
+
+class TriageAgent {
+  /**
+   * Triage open issues that have not been triaged yet
+   * @param {Object} options - { dryRun: true to only return the triage, limit, issueNumber to triage
+   *   just that issue, noCache }
+   * @returns {Promise<Object>} { dryRun, triaged: [triage or { issueNumber, error }], skipped }
+   */
+  async triageOpenIssues(options = {}) {
+    const {
+      dryRun = config.TRIAGE_DRY_RUN,
+      limit = config.TRIAGE_MAX_ISSUES,
+      issueNumber,
+      ...analysisOptions
+    } = options;
+
+    // Closed issues are only compared against, for duplicates
+    const issues = await githubService.listIssues('all');
+    const candidates = issues.filter(
+      (issue) => issue.state === 'open' && (!issueNumber || issue.number === issueNumber)
+    );
+
+    const triaged = [];
+    let skipped = 0;
+    for (const issue of candidates) {
+      if (triaged.length >= limit) break;
+      if (await this.isTriaged(issue)) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        triaged.push(await this.triageIssue(issue, issues, { dryRun, ...analysisOptions }));
+      } catch (error) {
+        logger.error('Issue triage failed', { error: error.message, issueNumber: issue.number });
+        triaged.push({ issueNumber: issue.number, title: issue.title, error: error.message });
+      }
+    }
+
+    logger.info('Issue triage completed', { dryRun, triaged: triaged.length, skipped });
+    return { dryRun, triaged, skipped };
+  }
+
+  /**
+   * Triage one issue
+   * @param {Object} issue - Issue from the issues API
+   * @param {Array} allIssues - Open and closed issues, searched for duplicates
+   * @param {Object} options - { dryRun, noCache }
+   * @returns {Promise<Object>} { issueNumber, title, type, severity, summary, duplicates, affectedFiles,
+   *   labels, comment, prompt, applied }
+   */
+  async triageIssue(issue, allIssues, options = {}) {
+    const { dryRun, ...analysisOptions } = options;
+    const duplicates = this.findDuplicates(issue, allIssues);
+    const candidateFiles = await this.findCandidateFiles(issue);
+
+    const prompt = promptRegistry.render('triage-issue', {
+      title: issue.title,
+      body: (issue.body || '(no description)').slice(0, BODY_CHARS),
+      files: candidateFiles.length > 0 ? candidateFiles.map((path) => `- ${path}`).join('\n') : '(none found)',
+    });
+
+    const result = await geminiService.generateStructured(prompt.text, {
+      ...analysisOptions,
+      schema: triageSchema,
+      promptVersion: prompt.id,
+      task: 'triage',
+      source: `issue #${issue.number}`,
+    });
+
+    // Only paths code search actually returned; the model may invent others
+    const affectedFiles = result.affectedFiles
+      .filter((path) => candidateFiles.includes(path))
+      .slice(0, MAX_AFFECTED_FILES);
+
+    const labels = [
+      TYPE_LABELS[result.type],
+      `severity:${result.severity}`,
+      ...(duplicates.length > 0 ? [DUPLICATE_LABEL] : []),
+      TRIAGED_LABEL,
+    ];
+
+    const triage = {
+      issueNumber: issue.number,
+      title: issue.title,
+      type: result.type,
+      severity: result.severity,
+      summary: result.summary,
+      duplicates,
+      affectedFiles,
+      labels,
+      prompt: prompt.id,
+      applied: false,
+    };
+    triage.comment = this.formatComment(triage);
+
+    if (!dryRun) {
+      await githubService.addLabels(issue.number, labels);
+      await githubService.addIssueComment(issue.number, triage.comment);
+      triage.applied = true;
+    }
+
+    return triage;
+  }
+
+  /**
+   * Helper: Check whether an issue was already triaged (or is one the agents filed themselves)
+   * The label is checked first; the comment marker still counts if someone removed the label
+   * @param {Object} issue - Issue from the issues API
+   * @returns {Promise<boolean>} True when the issue should be skipped
+   */
+  async isTriaged(issue) {
+    const labels = issue.labels.map((l) => (typeof l === 'string' ? l : l.name));
+    if (labels.some((label) => SKIPPED_LABELS.includes(label))) return true;
+    if (!issue.comments) return false;
+
+    const comments = await githubService.listIssueComments(issue.number);
+    return comments.some((comment) => comment.body?.includes(TRIAGE_MARKER));
+  }
+
+  /**
+   * Helper: Earlier issues whose title and body are most similar to this one
+   * @param {Object} issue - Issue being triaged
+   * @param {Array} allIssues - Open and closed issues
+   * @returns {Array} [{ number, title, state, similarity }] at or above TRIAGE_DUPLICATE_THRESHOLD
+   */
+  findDuplicates(issue, allIssues) {
+    const vector = termVector(issueText(issue));
+
+    return allIssues
+      .filter((other) => other.number < issue.number)
+      .map((other) => ({
+        number: other.number,
+        title: other.title,
+        state: other.state,
+        similarity: Math.round(cosineSimilarity(vector, termVector(issueText(other))) * 100) / 100,
+      }))
+      .filter((match) => match.similarity >= config.TRIAGE_DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_DUPLICATES);
+  }
+
+  /**
+   * Helper: Files code search relates to the issue text
+   * @param {Object} issue - Issue being triaged
+   * @returns {Promise<Array<string>>} Unique paths, best match first (empty when search fails)
+   */
+  async findCandidateFiles(issue) {
+    try {
+      const { results } = await searchService.search(issueText(issue).slice(0, BODY_CHARS), {
+        limit: SEARCH_RESULTS,
+      });
+      return [...new Set(results.map((r) => r.path))];
+    } catch (error) {
+      logger.warn('Code search failed during triage', { error: error.message, issueNumber: issue.number });
+      return [];
+    }
+  }
+
+  /**
+   * Helper: Triage comment body
+   * @param {Object} triage - Triage result
+   * @returns {string} Markdown ending with the triage marker
+   */
+  formatComment(triage) {
+    let body = '### 🏷️ Triage\n\n';
+    body += `**Type:** ${triage.type} · **Severity:** ${triage.severity}\n\n`;
+    body += `> ${triage.summary}\n\n`;
+
+    if (triage.affectedFiles.length > 0) {
+      body += '**Possibly affected files**\n';
+      body += triage.affectedFiles.map((path) => `- \`${path}\``).join('\n');
+      body += '\n\n';
+    }
+
+    if (triage.duplicates.length > 0) {
+      body += '**Possible duplicates**\n';
+      body += triage.duplicates
+        .map((d) => `- #${d.number} ${d.title} (${Math.round(d.similarity * 100)}% similar, ${d.state})`)
+        .join('\n');
+      body += '\n\n';
+    }
+
+    body += '*Generated by AI Triage Agent. Labels can be changed freely; this issue will not be triaged again.*\n';
+    body += TRIAGE_MARKER;
+    return body;
+  }
+}
+
+/**
+ * Title and body of an issue as one text
+ * @param {Object} issue - Issue
+ * @returns {string} Text
+ */
+function issueText(issue) {
+  return `${issue.title}\n${issue.body || ''}`;
+}
+
+/**
+ * Term frequencies of a text
+ * @param {string} text - Text
+ * @returns {Map} term -> count
+ */
+function termVector(text) {
+  const vector = new Map();
+  for (const term of tokenize(text)) {
+    vector.set(term, (vector.get(term) || 0) + 1);
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two term vectors
+ * @param {Map} a - Term vector
+ * @param {Map} b - Term vector
+ * @returns {number} Similarity 0..1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (const [term, count] of a) {
+    dot += count * (b.get(term) || 0);
+  }
+  const norm = (v) => Math.sqrt([...v.values()].reduce((sum, c) => sum + c * c, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+export const triageAgent = new TriageAgent();
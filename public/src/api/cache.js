@@ -0,0 +1,49 @@
+/**
+ * Cache API Routes
+ * Endpoints for inspecting and clearing the LLM response cache
+ */
+
+import express from 'express';
+import { llmCache } from '../services/cache.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/cache/stats
+ * Get cache hit/miss statistics
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await llmCache.getStats();
+
+    res.json({
+      success: true,
+      stats,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to get cache stats', { error: error.message });
+    res.status(500).json({ error: 'Failed to get cache stats' });
+  }
+});
+
+/**
+ * DELETE /api/cache
+ * Clear all cached responses
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const removed = await llmCache.clear();
+
+    res.json({
+      success: true,
+      removed,
+    });
+  } catch (error) {
+    logger.error('Failed to clear cache', { error: error.message });
+    res.status(500).json({ error: 'Failed to clear cache' });
+  }
+});
+
+export default router;
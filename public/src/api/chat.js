@@ -23,11 +23,13 @@ router.post('/message', async (req, res) => {
       });
     }
 
-    const response = await chatAgent.processMessage(sessionId, message);
+    const reply = await chatAgent.processMessage(sessionId, message);
 
     res.json({
       success: true,
-      response,
+      response: reply.content,
+      toolCalls: reply.toolCalls,
+      sources: reply.sources,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -39,6 +41,73 @@ router.post('/message', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/chat/stream?sessionId=...&message=...
+ * Send message and stream the response as Server-Sent Events
+ * Events: `sources` ([{ path, startLine, endLine }]) before the reply, `token` ({ text }),
+ * `tool` ({ name, args, error? }) as tools run, `done` ({ response, toolCalls }), `failure` ({ error })
+ * Closing the connection cancels generation
+ */
+router.get('/stream', async (req, res) => {
+  const { sessionId, message } = req.query;
+
+  if (!sessionId || !message) {
+    return res.status(400).json({
+      error: 'Missing required query parameters: sessionId, message',
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.debug('Chat stream closed by client', { sessionId });
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let response = '';
+  const toolCalls = [];
+  try {
+    const stream = chatAgent.streamMessage(sessionId, message, {
+      signal: controller.signal,
+      onToolCall: (call) => {
+        toolCalls.push(call);
+        send('tool', call);
+      },
+      onSources: (sources) => send('sources', sources),
+    });
+
+    for await (const text of stream) {
+      if (controller.signal.aborted) break;
+      response += text;
+      send('token', { text });
+    }
+
+    if (!controller.signal.aborted) {
+      send('done', { response, toolCalls, timestamp: new Date().toISOString() });
+    }
+  } catch (error) {
+    logger.error('Chat stream failed', { error: error.message });
+    if (!controller.signal.aborted) {
+      send('failure', { error: 'Failed to process message', details: error.message });
+    }
+  } finally {
+    res.end();
+  }
+});
+
 /**
  * GET /api/chat/history/:sessionId
  * Get conversation history
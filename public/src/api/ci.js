@@ -0,0 +1,85 @@
+/**
+ * CI API Routes
+ * Endpoints for diagnosing failed GitHub Actions runs
+ */
+
+import express from 'express';
+import { ciDoctorAgent } from '../agents/ci-doctor.js';
+import { logger } from '../config/logger.js';
+import { LLMUnavailableError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/ci/failures
+ * Diagnose the most recent failed workflow runs: failing step, error lines and a suggested fix
+ * Query: limit, branch, workflow (ID or filename), noCache
+ */
+router.get('/failures', async (req, res) => {
+  try {
+    const { branch, workflow, noCache } = req.query;
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit <= 0 || limit > 100)) {
+      return res.status(400).json({ error: 'Invalid limit (1-100)' });
+    }
+
+    const result = await ciDoctorAgent.diagnoseFailures({
+      limit,
+      branch,
+      workflow,
+      noCache: noCache === 'true' || noCache === '1',
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('CI failure diagnosis failed', { error: error.message });
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
+      error: 'CI failure diagnosis failed',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/ci/failures/:runId/comment
+ * Diagnose one workflow run and post the diagnosis as a comment (once per run and issue)
+ * Body: { issue: 42 } to comment on an issue; defaults to the run's pull request
+ */
+router.post('/failures/:runId/comment', async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId, 10);
+    if (!Number.isInteger(runId) || runId <= 0) {
+      return res.status(400).json({ error: 'Invalid run ID' });
+    }
+
+    const { issue } = req.body || {};
+    const issueNumber = issue === undefined ? undefined : parseInt(issue, 10);
+    if (issueNumber !== undefined && (!Number.isInteger(issueNumber) || issueNumber <= 0)) {
+      return res.status(400).json({ error: 'Invalid issue number' });
+    }
+
+    const diagnosis = await ciDoctorAgent.diagnoseRun(runId);
+    if (!issueNumber && diagnosis.pullRequests.length === 0) {
+      return res.status(400).json({ error: 'Run has no pull request; give { "issue": <number> } to comment on' });
+    }
+
+    const comment = await ciDoctorAgent.postComment(diagnosis, issueNumber);
+
+    res.json({
+      success: true,
+      diagnosis,
+      comment,
+    });
+  } catch (error) {
+    logger.error('CI diagnosis comment failed', { error: error.message, runId: req.params.runId });
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
+      error: 'CI diagnosis comment failed',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
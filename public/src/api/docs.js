@@ -5,11 +5,23 @@
 
 import express from 'express';
 import { docGeneratorAgent } from '../agents/doc-generator.js';
+import { releaseNotesAgent } from '../agents/release-notes.js';
 import { projectService } from '../services/project.js';
 import { logger } from '../config/logger.js';
+import { LLMUnavailableError } from '../utils/errors.js';
 
 const router = express.Router();
 
+/**
+ * Read the per-request cache bypass flag (`noCache` in body or query)
+ * @param {Object} req - Express request
+ * @returns {Object} Generation options
+ */
+function cacheOptions(req) {
+  const value = req.body?.noCache ?? req.query.noCache;
+  return { noCache: value === true || value === 'true' || value === '1' };
+}
+
 /**
  * POST /api/docs/project
  * Generate project documentation
@@ -18,16 +30,17 @@ router.post('/project', async (req, res) => {
   try {
     logger.info('Generating project documentation');
     const structure = await projectService.getProjectStructure();
-    const doc = await docGeneratorAgent.generateProjectDocumentation(structure);
+    const doc = await docGeneratorAgent.generateProjectDocumentation(structure, cacheOptions(req));
 
     res.json({
       success: true,
-      documentation: doc,
+      documentation: doc.content,
+      prompt: doc.prompt,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     logger.error('Failed to generate project documentation', { error: error.message });
-    res.status(500).json({
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
       error: 'Documentation generation failed',
       details: error.message,
     });
@@ -49,17 +62,18 @@ router.post('/file', async (req, res) => {
     }
 
     logger.info('Generating file documentation', { file: filePath });
-    const doc = await docGeneratorAgent.generateFileDocumentation(filePath);
+    const doc = await docGeneratorAgent.generateFileDocumentation(filePath, cacheOptions(req));
 
     res.json({
       success: true,
       file: filePath,
-      documentation: doc,
+      documentation: doc.content,
+      prompt: doc.prompt,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     logger.error('Failed to generate file documentation', { error: error.message });
-    res.status(500).json({
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
       error: 'File documentation generation failed',
       details: error.message,
     });
@@ -73,20 +87,80 @@ router.post('/file', async (req, res) => {
 router.post('/readme', async (req, res) => {
   try {
     logger.info('Generating README');
-    const readme = await docGeneratorAgent.generateReadme();
+    const readme = await docGeneratorAgent.generateReadme(cacheOptions(req));
 
     res.json({
       success: true,
-      readme,
+      readme: readme.content,
+      prompt: readme.prompt,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     logger.error('Failed to generate README', { error: error.message });
-    res.status(500).json({
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
       error: 'README generation failed',
       details: error.message,
     });
   }
 });
 
+/**
+ * GET /api/docs/release-notes?from=v1.0.0&to=main&tag=v1.1.0
+ * Generate release notes for the commits and merged PRs between two refs
+ * `from` defaults to the latest release tag, `to` to GITHUB_BRANCH; `tag` only changes the heading
+ */
+router.get('/release-notes', async (req, res) => {
+  try {
+    const { from, to, tag } = req.query;
+    logger.info('Generating release notes', { from, to });
+    const notes = await releaseNotesAgent.generateReleaseNotes({ from, to, tag, ...cacheOptions(req) });
+
+    res.json({
+      success: true,
+      ...notes,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to generate release notes', { error: error.message });
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
+      error: 'Release notes generation failed',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/docs/release-notes
+ * Generate release notes and save them as a draft GitHub release
+ * Body: { tag (required), from, to, noCache }
+ */
+router.post('/release-notes', async (req, res) => {
+  try {
+    const { tag, from, to } = req.body || {};
+
+    if (!tag) {
+      return res.status(400).json({
+        error: 'Missing required field: tag',
+      });
+    }
+
+    logger.info('Publishing draft release', { tag, from, to });
+    const notes = await releaseNotesAgent.generateReleaseNotes({ from, to, tag, ...cacheOptions(req) });
+    const release = await releaseNotesAgent.publishDraftRelease(notes, tag);
+
+    res.json({
+      success: true,
+      ...notes,
+      release,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to publish release notes', { error: error.message });
+    res.status(error instanceof LLMUnavailableError ? 503 : 500).json({
+      error: 'Release notes publishing failed',
+      details: error.message,
+    });
+  }
+});
+
 export default router;
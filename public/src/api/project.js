@@ -5,21 +5,26 @@
 
 import express from 'express';
 import { projectService } from '../services/project.js';
+import { searchService } from '../services/search.js';
+import { historyService } from '../services/history.js';
+import { scannerAgent } from '../agents/scanner.js';
+import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
 
 const router = express.Router();
 
 /**
- * GET /api/project/structure
- * Get project structure
+ * GET /api/project/structure?ref=
+ * Get project structure: root files/directories plus the full nested tree at a branch, tag or commit
  */
 router.get('/structure', async (req, res) => {
   try {
-    const structure = await projectService.getProjectStructure();
+    const structure = await projectService.getProjectStructure(req.query.ref);
 
     res.json({
       success: true,
       structure,
+      source: projectService.getSourceInfo(),
     });
   } catch (error) {
     logger.error('Failed to get structure', { error: error.message });
@@ -32,11 +37,11 @@ router.get('/structure', async (req, res) => {
 
 /**
  * GET /api/project/file
- * Get file content (with path query param)
+ * Get file content (with path and optional ref query params)
  */
 router.get('/file', async (req, res) => {
   try {
-    const { path } = req.query;
+    const { path, ref } = req.query;
 
     if (!path) {
       return res.status(400).json({
@@ -44,11 +49,12 @@ router.get('/file', async (req, res) => {
       });
     }
 
-    const content = await projectService.getFileContent(path);
+    const content = await projectService.getFileContent(path, ref);
 
     res.json({
       success: true,
       path,
+      ref: ref || null,
       content,
     });
   } catch (error) {
@@ -121,4 +127,104 @@ router.get('/source-files', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/project/history?days=90&ref=&limit=20
+ * Get the commits of a time window and the files ranked by risk
+ * (churn, authors, recent changes and the last scan's findings)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || config.HISTORY_DAYS, 365);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const { ref } = req.query;
+
+    const history = await historyService.getHistory({ days, ref: ref || config.GITHUB_BRANCH });
+    const hotspots = await historyService.getHotspots({
+      days,
+      ref,
+      findings: scannerAgent.getLastScan()?.issues || [],
+    });
+
+    res.json({
+      success: true,
+      ref: history.ref,
+      since: history.since,
+      until: history.until,
+      truncated: history.truncated,
+      commits: history.commits.map(({ files, ...commit }) => ({ ...commit, files: files.length })),
+      hotspots: hotspots.slice(0, limit),
+    });
+  } catch (error) {
+    logger.error('Failed to get history', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to retrieve commit history',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/project/search?q=...&limit=5
+ * Search repository code; results carry file/line ranges
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        error: 'Missing required query parameter: q',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 50);
+    const { mode, results } = await searchService.search(q, { limit });
+
+    res.json({
+      success: true,
+      query: q,
+      mode,
+      results,
+    });
+  } catch (error) {
+    logger.error('Code search failed', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to search code',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/project/search/stats
+ * Get search index statistics
+ */
+router.get('/search/stats', (req, res) => {
+  res.json({
+    success: true,
+    stats: searchService.getStats(),
+  });
+});
+
+/**
+ * POST /api/project/search/reindex
+ * Rebuild the search index now
+ */
+router.post('/search/reindex', async (req, res) => {
+  try {
+    await searchService.build();
+
+    res.json({
+      success: true,
+      stats: searchService.getStats(),
+    });
+  } catch (error) {
+    logger.error('Search reindex failed', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to rebuild search index',
+      details: error.message,
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,83 @@
+/**
+ * Prompt API Routes
+ * Endpoints for listing and previewing prompt templates
+ */
+
+import express from 'express';
+import { promptRegistry } from '../services/prompts.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/prompts
+ * List templates with their versions and the active version
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      prompts: promptRegistry.list(),
+    });
+  } catch (error) {
+    logger.error('Failed to list prompts', { error: error.message });
+    res.status(500).json({ error: 'Failed to list prompts' });
+  }
+});
+
+/**
+ * POST /api/prompts/reload
+ * Reload templates from disk
+ */
+router.post('/reload', (req, res) => {
+  try {
+    promptRegistry.reload();
+
+    res.json({
+      success: true,
+      prompts: promptRegistry.list(),
+    });
+  } catch (error) {
+    logger.error('Failed to reload prompts', { error: error.message });
+    res.status(500).json({ error: 'Failed to reload prompts', details: error.message });
+  }
+});
+
+/**
+ * GET /api/prompts/:name?version=N
+ * Get a raw template
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const template = promptRegistry.get(req.params.name, req.query.version);
+
+    res.json({
+      success: true,
+      template,
+    });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/prompts/:name/preview
+ * Render a template with the given variables
+ * Body: { variables: {...}, version }
+ */
+router.post('/:name/preview', (req, res) => {
+  try {
+    const { variables = {}, version } = req.body;
+    const rendered = promptRegistry.render(req.params.name, variables, version);
+
+    res.json({
+      success: true,
+      id: rendered.id,
+      text: rendered.text,
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+export default router;
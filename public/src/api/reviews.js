@@ -0,0 +1,42 @@
+/**
+ * Review API Routes
+ * Endpoints for AI pull request reviews
+ */
+
+import express from 'express';
+import { reviewerAgent } from '../agents/reviewer.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/reviews/:number
+ * Review a pull request and post the review to GitHub
+ * Body: { post: false } to only return the review, { noCache: true } to re-analyze
+ */
+router.post('/:number', async (req, res) => {
+  try {
+    const prNumber = parseInt(req.params.number, 10);
+    if (!Number.isInteger(prNumber) || prNumber <= 0) {
+      return res.status(400).json({ error: 'Invalid pull request number' });
+    }
+
+    const review = await reviewerAgent.reviewPullRequest(prNumber, {
+      post: req.body?.post !== false,
+      noCache: req.body?.noCache === true,
+    });
+
+    res.json({
+      success: true,
+      review,
+    });
+  } catch (error) {
+    logger.error('Pull request review failed', { error: error.message });
+    res.status(500).json({
+      error: 'Pull request review failed',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
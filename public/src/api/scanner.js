@@ -17,7 +17,7 @@ const router = express.Router();
 router.post('/scan', async (req, res) => {
   try {
     logger.info('Manual scan triggered');
-    const report = await scannerAgent.performScan();
+    const report = await scannerAgent.performScan({ noCache: req.body?.noCache === true });
 
     res.json({
       success: true,
@@ -43,12 +43,18 @@ router.post('/modify', async (req, res) => {
     // First perform a scan
     const report = await scannerAgent.performScan();
 
-    // Then perform modifications
-    await scannerAgent.performAutoModifications(report);
+    // Then perform modifications, unless the scan already did (ENABLE_AUTO_MODIFY)
+    if (!report.pullRequest) {
+      const pr = await scannerAgent.performAutoModifications(report);
+      if (pr) {
+        report.pullRequest = { number: pr.number, url: pr.html_url };
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Auto-modifications completed',
+      message: report.pullRequest ? 'Auto-modifications pull request opened' : 'No pull request opened',
+      pullRequest: report.pullRequest || null,
       report,
     });
   } catch (error) {
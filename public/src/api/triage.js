@@ -0,0 +1,46 @@
+/**
+ * Triage API Routes
+ * Endpoints for AI issue triage
+ */
+
+import express from 'express';
+import { triageAgent } from '../agents/triage.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/triage
+ * Triage open issues that have not been triaged yet: labels plus one comment each
+ * Body: { dryRun: true } to only return the triage, { issue: 42 } for one issue, { limit }, { noCache: true }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { dryRun, issue, limit, noCache } = req.body || {};
+
+    const issueNumber = issue === undefined ? undefined : parseInt(issue, 10);
+    if (issueNumber !== undefined && (!Number.isInteger(issueNumber) || issueNumber <= 0)) {
+      return res.status(400).json({ error: 'Invalid issue number' });
+    }
+
+    const result = await triageAgent.triageOpenIssues({
+      ...(typeof dryRun === 'boolean' && { dryRun }),
+      ...(Number.isInteger(limit) && limit > 0 && { limit }),
+      issueNumber,
+      noCache: noCache === true,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Issue triage failed', { error: error.message });
+    res.status(500).json({
+      error: 'Issue triage failed',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
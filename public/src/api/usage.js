@@ -0,0 +1,31 @@
+/**
+ * Usage API Routes
+ * Endpoints for LLM rate limit and quota usage, and GitHub API rate limits
+ */
+
+import express from 'express';
+import { geminiService } from '../services/gemini.js';
+import { githubService } from '../services/github.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * Get today's LLM usage, remaining quota and rate limiter state, plus GitHub API rate limits
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      usage: geminiService.getUsageStats(),
+      github: githubService.getRateLimitStats(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to get usage', { error: error.message });
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+export default router;
@@ -0,0 +1,80 @@
+/**
+ * Webhook API Routes
+ * Receives GitHub webhook deliveries (push, pull_request, issues, ping)
+ */
+
+import express from 'express';
+import bodyParser from 'body-parser';
+import { webhookService } from '../services/webhooks.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/webhooks/github
+ * Verify X-Hub-Signature-256, drop redelivered X-GitHub-Delivery IDs and route by X-GitHub-Event
+ * A delivery is only remembered once handled: redeliveries of failed ones (400/500) are processed again
+ * The signature covers the exact bytes sent, so this route reads the raw body
+ */
+router.post('/github', bodyParser.raw({ type: '*/*', limit: '10mb' }), (req, res) => {
+  try {
+    if (!config.GITHUB_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: 'Webhook secret not configured (GITHUB_WEBHOOK_SECRET)' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!webhookService.verifySignature(rawBody, req.get('X-Hub-Signature-256'))) {
+      logger.warn('Rejected webhook with invalid signature', { delivery: req.get('X-GitHub-Delivery') });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+    if (!event || !deliveryId) {
+      return res.status(400).json({ error: 'Missing X-GitHub-Event or X-GitHub-Delivery header' });
+    }
+
+    if (webhookService.hasDelivery(deliveryId)) {
+      logger.info('Ignoring duplicate webhook delivery', { event, deliveryId });
+      return res.json({ success: true, duplicate: true, deliveryId });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf-8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Payload is not valid JSON', details: error.message });
+    }
+
+    const result = webhookService.handleEvent(event, payload);
+    webhookService.recordDelivery(deliveryId);
+    logger.info('Webhook processed', { event, deliveryId, action: result.action });
+
+    res.status(result.handled ? 202 : 200).json({
+      success: true,
+      event,
+      deliveryId,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Webhook handling failed', { error: error.message });
+    res.status(500).json({
+      error: 'Webhook handling failed',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/stats
+ * Get webhook configuration and queue state
+ */
+router.get('/stats', (req, res) => {
+  res.json({
+    success: true,
+    stats: webhookService.getStats(),
+  });
+});
+
+export default router;
@@ -13,6 +13,59 @@ export const config = {
   GITHUB_TOKEN: process.env.GITHUB_TOKEN || '', // Fallback for backward compatibility
   HF_TOKEN: process.env.HF_TOKEN || '',
   
+  // LLM Provider
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini', // gemini | openai | scripted
+  LLM_MODEL: process.env.LLM_MODEL || '', // Empty = provider default
+  LLM_TIMEOUT: parseInt(process.env.LLM_TIMEOUT || '120000', 10),
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  LLM_SCRIPT_FILE: process.env.LLM_SCRIPT_FILE || '', // Rules for the scripted provider
+  LLM_RECORD_MODE: process.env.LLM_RECORD_MODE || 'off', // off | record | replay
+  LLM_FIXTURES_DIR: process.env.LLM_FIXTURES_DIR || 'fixtures/llm',
+  LLM_EMBEDDING_MODEL: process.env.LLM_EMBEDDING_MODEL || '', // Empty = provider default
+  MODEL_ROUTES: process.env.MODEL_ROUTES || '', // JSON per task: { "chat": { "model", "temperature", "maxTokens" } }
+  LLM_MAX_INPUT_TOKENS: parseInt(process.env.LLM_MAX_INPUT_TOKENS || '6000', 10), // Per-chunk budget for file content
+  
+  // Secret Redaction (applied to everything sent to the LLM)
+  REDACT_ENABLED: process.env.REDACT_ENABLED !== 'false',
+  REDACT_ENTROPY_THRESHOLD: parseFloat(process.env.REDACT_ENTROPY_THRESHOLD || '4'), // Bits/char for unknown tokens
+  REDACT_ALLOWLIST: process.env.REDACT_ALLOWLIST || '', // Comma-separated values or /regex/ never redacted
+  REDACT_RULES_FILE: process.env.REDACT_RULES_FILE || '', // JSON { patterns: [...], allowlist: [...] }
+  
+  // Prompt Templates
+  PROMPT_OVERRIDES_DIR: process.env.PROMPT_OVERRIDES_DIR || '.ai-agent/prompts', // + /<owner>/<repo>/
+  PROMPT_VERSIONS: process.env.PROMPT_VERSIONS || '', // Pins, e.g. "analyze-code=1,docs-readme=2"
+  
+  // LLM Rate Limits & Quota (0 = unlimited)
+  LLM_REQUESTS_PER_MINUTE: parseInt(process.env.LLM_REQUESTS_PER_MINUTE || '15', 10),
+  LLM_TOKENS_PER_MINUTE: parseInt(process.env.LLM_TOKENS_PER_MINUTE || '250000', 10),
+  LLM_MAX_RETRIES: parseInt(process.env.LLM_MAX_RETRIES || '3', 10),
+  LLM_RETRY_BASE_DELAY: parseInt(process.env.LLM_RETRY_BASE_DELAY || '1000', 10), // ms, doubled per attempt
+  LLM_DAILY_REQUEST_LIMIT: parseInt(process.env.LLM_DAILY_REQUEST_LIMIT || '1000', 10),
+  LLM_DAILY_TOKEN_LIMIT: parseInt(process.env.LLM_DAILY_TOKEN_LIMIT || '0', 10),
+  LLM_SCAN_RESERVE_REQUESTS: parseInt(process.env.LLM_SCAN_RESERVE_REQUESTS || '20', 10), // Quota a scheduled scan needs
+  LLM_SCAN_RESERVE_TOKENS: parseInt(process.env.LLM_SCAN_RESERVE_TOKENS || '100000', 10),
+  LLM_USAGE_FILE: process.env.LLM_USAGE_FILE || '.cache/usage.json',
+  LLM_PRICES: process.env.LLM_PRICES || '', // JSON USD per 1M tokens: { "<model>": { "input": 0.1, "output": 0.4 } }
+  
+  // LLM Response Cache
+  LLM_CACHE_ENABLED: process.env.LLM_CACHE_ENABLED !== 'false',
+  LLM_CACHE_DIR: process.env.LLM_CACHE_DIR || '.cache/llm',
+  LLM_CACHE_TTL: parseInt(process.env.LLM_CACHE_TTL || '604800000', 10), // 7 days in ms
+  LLM_CACHE_MAX_ENTRIES: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '2000', 10),
+  LLM_CACHE_MAX_BYTES: parseInt(process.env.LLM_CACHE_MAX_BYTES || '52428800', 10), // 50 MB
+  
+  // Code Search Index
+  SEARCH_INDEX_FILE: process.env.SEARCH_INDEX_FILE || '.cache/search-index.json',
+  SEARCH_INDEX_TTL: parseInt(process.env.SEARCH_INDEX_TTL || '3600000', 10), // Rebuild after 1 hour
+  SEARCH_MAX_FILES: parseInt(process.env.SEARCH_MAX_FILES || '300', 10),
+  SEARCH_CHUNK_TOKENS: parseInt(process.env.SEARCH_CHUNK_TOKENS || '400', 10),
+  SEARCH_CHAT_RESULTS: parseInt(process.env.SEARCH_CHAT_RESULTS || '4', 10), // Chunks added to chat context (0 = off)
+  
+  // Chat Agent
+  CHAT_TOOLS_ENABLED: process.env.CHAT_TOOLS_ENABLED !== 'false', // Let the model read files, issues and scans
+  CHAT_MAX_TOOL_STEPS: parseInt(process.env.CHAT_MAX_TOOL_STEPS || '5', 10), // Model calls per message
+  
   // GitHub App Authentication
   GH_APP_ID: process.env.GH_APP_ID || '',
   GH_APP_PRIVATE_KEY_B64: process.env.GH_APP_PRIVATE_KEY_B64 || '',
@@ -22,6 +75,12 @@ export const config = {
   GITHUB_REPO: process.env.GITHUB_REPO || 'NLarchive/my-webapp-hf',
   GITHUB_OWNER: process.env.GITHUB_OWNER || 'NLarchive',
   GITHUB_BRANCH: process.env.GITHUB_BRANCH || 'main',
+  PROJECT_SOURCE: process.env.PROJECT_SOURCE || 'github', // 'github' or 'fs:/path/to/checkout'
+  GITHUB_WEBHOOK_SECRET: process.env.GITHUB_WEBHOOK_SECRET || '', // Required by POST /api/webhooks/github
+  GITHUB_RATE_LIMIT_RESERVE: parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE || '50', 10), // Calls held back (max 10% of the limit)
+  GITHUB_RATE_LIMIT_MAX_WAIT: parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT || '60000', 10), // ms; fail instead beyond this
+  GITHUB_ETAG_CACHE_SIZE: parseInt(process.env.GITHUB_ETAG_CACHE_SIZE || '500', 10), // GET responses kept for If-None-Match
+  GITHUB_ETAG_CACHE_BYTES: parseInt(process.env.GITHUB_ETAG_CACHE_BYTES || '20971520', 10), // 20 MB of response bodies
   
   // Hugging Face
   HF_SPACE_NAME: process.env.HF_SPACE_NAME || 'my-webapp-hf',
@@ -32,6 +91,31 @@ export const config = {
   ENABLE_AUTO_FIX: process.env.ENABLE_AUTO_FIX === 'true',
   ENABLE_AUTO_MODIFY: process.env.ENABLE_AUTO_MODIFY === 'true', // New: auto-modify files
   AUTO_COMMIT: process.env.AUTO_COMMIT === 'true',
+  SCAN_MAX_FILES: parseInt(process.env.SCAN_MAX_FILES || '5', 10), // Riskiest source files sent to analyzeCode per scan
+
+  // Commit History & Hotspots
+  HISTORY_DAYS: parseInt(process.env.HISTORY_DAYS || '90', 10), // Window for churn and author counts
+  HISTORY_MAX_COMMITS: parseInt(process.env.HISTORY_MAX_COMMITS || '200', 10), // Each new commit costs one API call for its files
+
+  // Pull Request Review
+  ENABLE_AUTO_REVIEW: process.env.ENABLE_AUTO_REVIEW === 'true', // Review PRs from pull_request webhooks
+  REVIEW_MAX_FILES: parseInt(process.env.REVIEW_MAX_FILES || '20', 10),
+
+  // Issue Triage
+  ENABLE_AUTO_TRIAGE: process.env.ENABLE_AUTO_TRIAGE === 'true', // Triage when an issues webhook reports a new issue
+  TRIAGE_DRY_RUN: process.env.TRIAGE_DRY_RUN === 'true', // Compute triage without labeling or commenting
+  TRIAGE_MAX_ISSUES: parseInt(process.env.TRIAGE_MAX_ISSUES || '10', 10), // Issues triaged per run
+  TRIAGE_DUPLICATE_THRESHOLD: parseFloat(process.env.TRIAGE_DUPLICATE_THRESHOLD || '0.6'), // Cosine similarity 0..1
+
+  // CI Failure Diagnosis
+  CI_MAX_RUNS: parseInt(process.env.CI_MAX_RUNS || '3', 10), // Failed workflow runs diagnosed per request
+  CI_WORKFLOW: process.env.CI_WORKFLOW || '', // Only this workflow (ID or filename, e.g. sync-to-hf.yml); '' = all
+  CI_LOG_CONTEXT_LINES: parseInt(process.env.CI_LOG_CONTEXT_LINES || '60', 10), // Log lines sent before the first error
+
+  // Check Runs (need GitHub App auth with checks:write)
+  ENABLE_CHECK_RUNS: process.env.ENABLE_CHECK_RUNS === 'true', // Publish each scan as a check run on the scanned commit
+  CHECK_RUN_FAILURE_SEVERITY: process.env.CHECK_RUN_FAILURE_SEVERITY || 'high', // Findings at or above fail; 'none' = never
+  CHECK_RUN_NEUTRAL_SEVERITY: process.env.CHECK_RUN_NEUTRAL_SEVERITY || 'medium', // At or above (below failure) = neutral
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -39,14 +123,15 @@ export const config = {
 };
 
 export function validateConfig() {
-  const required = ['GEMINI_API_KEY'];
+  const usesGemini = config.LLM_PROVIDER === 'gemini' && config.LLM_RECORD_MODE !== 'replay';
+  const required = usesGemini ? ['GEMINI_API_KEY'] : [];
   const githubAuth = ['GITHUB_TOKEN', 'GH_APP_ID', 'GH_APP_PRIVATE_KEY_B64', 'GH_APP_INSTALLATION_ID'];
   
   const missing = required.filter(key => !config[key]);
   
-  // Check if at least one GitHub auth method is configured
+  // Check if at least one GitHub auth method is configured (a local checkout needs none)
   const hasGitHubAuth = githubAuth.some(key => config[key]);
-  if (!hasGitHubAuth) {
+  if (!hasGitHubAuth && !config.PROJECT_SOURCE.startsWith('fs:')) {
     missing.push('GitHub authentication (GITHUB_TOKEN or GH_APP_* variables)');
   }
   
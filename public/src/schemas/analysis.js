@@ -0,0 +1,32 @@
+/**
+ * Code Analysis Schema
+ * Shape of the structured result returned by geminiService.analyzeCode
+ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+export const CATEGORIES = ['bug', 'security', 'performance', 'maintainability', 'style'];
+
+export const analysisSchema = {
+  type: 'object',
+  required: ['summary', 'findings'],
+  properties: {
+    summary: { type: 'string' },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['line', 'severity', 'category', 'message', 'suggestedFix'],
+        properties: {
+          line: { type: 'integer', minimum: 1 },
+          endLine: { type: 'integer', minimum: 1 },
+          severity: { type: 'string', enum: SEVERITIES },
+          category: { type: 'string', enum: CATEGORIES },
+          // Short kebab-case name of the problem ("sql-injection"), used to recognize it across scans
+          rule: { type: 'string' },
+          message: { type: 'string' },
+          suggestedFix: { type: 'string' },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * CI Diagnosis Schema
+ * Shape of the structured result the CI doctor asks the model for
+ */
+
+export const FAILURE_CATEGORIES = ['code', 'test', 'dependency', 'configuration', 'infrastructure', 'flaky'];
+
+export const ciDiagnosisSchema = {
+  type: 'object',
+  required: ['category', 'summary', 'cause', 'suggestedFix'],
+  properties: {
+    category: { type: 'string', enum: FAILURE_CATEGORIES },
+    summary: { type: 'string' },
+    cause: { type: 'string' },
+    suggestedFix: { type: 'string' },
+  },
+};
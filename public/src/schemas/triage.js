@@ -0,0 +1,22 @@
+/**
+ * Issue Triage Schema
+ * Shape of the structured result the triage agent asks the model for
+ */
+
+import { SEVERITIES } from './analysis.js';
+
+export const ISSUE_TYPES = ['bug', 'feature', 'question'];
+
+export const triageSchema = {
+  type: 'object',
+  required: ['type', 'severity', 'summary', 'affectedFiles'],
+  properties: {
+    type: { type: 'string', enum: ISSUE_TYPES },
+    severity: { type: 'string', enum: SEVERITIES },
+    summary: { type: 'string' },
+    affectedFiles: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+};
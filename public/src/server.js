@@ -9,17 +9,27 @@ import bodyParser from 'body-parser';
 import { config, validateConfig } from './config/env.js';
 import { logger } from './config/logger.js';
 import { scannerAgent } from './agents/scanner.js';
+import { searchService } from './services/search.js';
 
 // API Routes
 import chatRoutes from './api/chat.js';
 import scannerRoutes from './api/scanner.js';
 import projectRoutes from './api/project.js';
 import docsRoutes from './api/docs.js';
+import cacheRoutes from './api/cache.js';
+import usageRoutes from './api/usage.js';
+import promptRoutes from './api/prompts.js';
+import webhookRoutes from './api/webhooks.js';
+import reviewRoutes from './api/reviews.js';
+import triageRoutes from './api/triage.js';
+import ciRoutes from './api/ci.js';
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Webhook signatures cover the raw body, so these routes parse it themselves (before the JSON parser)
+app.use('/api/webhooks', webhookRoutes);
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
 
@@ -43,6 +53,12 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/scanner', scannerRoutes);
 app.use('/api/project', projectRoutes);
 app.use('/api/docs', docsRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/triage', triageRoutes);
+app.use('/api/ci', ciRoutes);
 
 // Serve static files (HTML, CSS, JS)
 app.use(express.static('.'));
@@ -74,6 +90,11 @@ async function startServer() {
       logger.info(`Health check: http://localhost:${config.PORT}/health`);
     });
 
+    // Load or build the code search index in the background, so the first chat reply does not wait for it
+    if (config.SEARCH_CHAT_RESULTS > 0) {
+      searchService.ensureIndex({ wait: false });
+    }
+
     // Start scanner if enabled
     if (config.ENABLE_AUTO_FIX) {
       logger.info('Starting periodic scanner...');
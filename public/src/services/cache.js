@@ -0,0 +1,227 @@
+/**
+ * LLM Response Cache
+ * Content-addressed on-disk cache for model responses, keyed by model, prompt template version and input hash
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+class LLMCache {
+  constructor() {
+    // Cache hits would never reach the provider, so recording needs it off
+    this.enabled = config.LLM_CACHE_ENABLED && config.LLM_RECORD_MODE !== 'record';
+    this.dir = path.resolve(config.LLM_CACHE_DIR);
+    this.ttl = config.LLM_CACHE_TTL;
+    this.maxEntries = config.LLM_CACHE_MAX_ENTRIES;
+    this.maxBytes = config.LLM_CACHE_MAX_BYTES;
+
+    // key -> { size, lastAccess }, loaded from disk on first use
+    this.index = null;
+    this.loading = null; // Load shared by concurrent first callers
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, bypassed: 0 };
+  }
+
+  /**
+   * Build a cache key
+   * @param {Object} parts - { provider, model, promptVersion, kind, input }
+   * @returns {string} SHA-256 hex digest
+   */
+  key({ provider, model, promptVersion, kind, input }) {
+    const inputHash = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+    return crypto
+      .createHash('sha256')
+      .update(`${provider}|${model}|${promptVersion}|${kind}|${inputHash}`)
+      .digest('hex');
+  }
+
+  /**
+   * Load the entry index from disk once; callers arriving during the load wait for it
+   * A failed load is retried by the next caller
+   * @returns {Promise<void>}
+   */
+  ensureLoaded() {
+    this.loading ??= this.load().catch((error) => {
+      this.loading = null;
+      throw error;
+    });
+    return this.loading;
+  }
+
+  /**
+   * Helper: Read the entry index from disk, publishing it only once complete
+   */
+  async load() {
+    const index = new Map();
+    await fs.mkdir(this.dir, { recursive: true });
+
+    for (const file of await fs.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const stat = await fs.stat(path.join(this.dir, file));
+      index.set(file.slice(0, -5), { size: stat.size, lastAccess: stat.mtimeMs });
+    }
+
+    this.index = index;
+    logger.debug('LLM cache loaded', { entries: index.size });
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or undefined on miss
+   */
+  async get(key) {
+    try {
+      await this.ensureLoaded();
+
+      if (!this.index.has(key)) {
+        this.stats.misses++;
+        return undefined;
+      }
+
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf-8'));
+      if (Date.now() > entry.expiresAt) {
+        await this.remove(key);
+        this.stats.misses++;
+        return undefined;
+      }
+
+      this.index.get(key).lastAccess = Date.now();
+      this.stats.hits++;
+      return entry.value;
+    } catch (error) {
+      logger.warn('LLM cache read failed', { error: error.message });
+      this.stats.misses++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} meta - { model, promptVersion } stored alongside for inspection
+   */
+  async set(key, value, meta = {}) {
+    try {
+      await this.ensureLoaded();
+
+      const now = Date.now();
+      const data = JSON.stringify({ ...meta, createdAt: now, expiresAt: now + this.ttl, value });
+      await fs.writeFile(this.filePath(key), data);
+
+      this.index.set(key, { size: Buffer.byteLength(data), lastAccess: now });
+      this.stats.writes++;
+
+      await this.evict();
+    } catch (error) {
+      logger.warn('LLM cache write failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Return the cached value or compute and store it
+   * @param {Object} keyParts - Parts passed to key()
+   * @param {Object} options - { noCache } to bypass for this request
+   * @param {Function} compute - Async function producing the value
+   * @returns {Promise<*>} Value
+   */
+  async wrap(keyParts, options, compute) {
+    if (!this.enabled || options.noCache) {
+      this.stats.bypassed++;
+      return compute();
+    }
+
+    const key = this.key(keyParts);
+    const cached = await this.get(key);
+    if (cached !== undefined) {
+      logger.debug('LLM cache hit', { kind: keyParts.kind });
+      return cached;
+    }
+
+    const value = await compute();
+    await this.set(key, value, { model: keyParts.model, promptVersion: keyParts.promptVersion });
+    return value;
+  }
+
+  /**
+   * Drop least recently used entries until within size limits
+   */
+  async evict() {
+    let totalBytes = this.totalBytes();
+    if (this.index.size <= this.maxEntries && totalBytes <= this.maxBytes) return;
+
+    const byAge = [...this.index.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key, entry] of byAge) {
+      if (this.index.size <= this.maxEntries && totalBytes <= this.maxBytes) break;
+      await this.remove(key);
+      totalBytes -= entry.size;
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key - Cache key
+   */
+  async remove(key) {
+    this.index.delete(key);
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    await this.ensureLoaded();
+    const count = this.index.size;
+    for (const key of [...this.index.keys()]) {
+      await this.remove(key);
+    }
+    logger.info('LLM cache cleared', { entries: count });
+    return count;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Hit/miss counters and size
+   */
+  async getStats() {
+    await this.ensureLoaded();
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups > 0 ? (this.stats.hits / lookups) * 100 : 0,
+      entries: this.index.size,
+      bytes: this.totalBytes(),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttl: this.ttl,
+    };
+  }
+
+  /**
+   * Helper: Total size of cached entries
+   * @returns {number} Bytes
+   */
+  totalBytes() {
+    let total = 0;
+    for (const entry of this.index.values()) total += entry.size;
+    return total;
+  }
+
+  /**
+   * Helper: Path of an entry file
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+export const llmCache = new LLMCache();
@@ -1,133 +1,490 @@
 /**
  * Gemini AI Service
- * Handles all interactions with Google's Generative AI API
+ * Entry point for all language model calls; delegates to the configured LLM provider
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
+import { createProvider } from './providers/index.js';
+import { llmCache } from './cache.js';
+import { usageTracker } from './usage.js';
+import { promptRegistry } from './prompts.js';
+import { validateSchema } from '../utils/schema.js';
+import { analysisSchema } from '../schemas/analysis.js';
+import { chunkSource, estimateTokens } from '../utils/chunker.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { redactor } from '../utils/redactor.js';
+import { LLMUnavailableError, getErrorStatus, isRetryableError } from '../utils/errors.js';
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+// Task types that MODEL_ROUTES can send to their own model and generation parameters
+const TASKS = ['chat', 'analyzeCode', 'recommendations', 'docs', 'commitMessage', 'triage', 'ciDiagnosis'];
+const ROUTE_OPTIONS = ['model', 'temperature', 'maxTokens'];
 
 class GeminiService {
   constructor() {
-    this.enabled = !!config.GEMINI_API_KEY;
-    if (this.enabled) {
+    try {
+      this.provider = createProvider(config);
+      logger.info('LLM provider initialized', {
+        provider: this.provider.name,
+        model: this.provider.model,
+      });
+    } catch (error) {
+      logger.error('Failed to initialize LLM provider', { error: error.message });
+      throw error;
+    }
+    this.routes = GeminiService.parseRoutes(config.MODEL_ROUTES);
+    this.enabled = !this.provider.offline;
+    // Offline providers (scripted, replay) are local, so there is nothing to throttle
+    this.rateLimiter = new RateLimiter(this.enabled ? {
+      requestsPerMinute: config.LLM_REQUESTS_PER_MINUTE,
+      tokensPerMinute: config.LLM_TOKENS_PER_MINUTE,
+    } : {});
+  }
+
+  /**
+   * Parse the MODEL_ROUTES table
+   * @param {string} json - JSON { "<task>": { model, temperature, maxTokens } }
+   * @returns {Object} Routes by task
+   * @throws {Error} When the JSON is malformed or names an unknown task or option
+   */
+  static parseRoutes(json) {
+    if (!json) return {};
+
+    let routes;
+    try {
+      routes = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid MODEL_ROUTES: ${error.message}`);
+    }
+
+    for (const [task, route] of Object.entries(routes)) {
+      if (!TASKS.includes(task)) {
+        throw new Error(`Unknown task in MODEL_ROUTES: ${task} (expected ${TASKS.join(', ')})`);
+      }
+      const unknown = Object.keys(route).filter((key) => !ROUTE_OPTIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown option for ${task} in MODEL_ROUTES: ${unknown.join(', ')}`);
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Helper: Apply the task's route (model, temperature, maxTokens) to call options
+   * Options set by the caller win over the route
+   * @param {Object} options - Call options, optionally with `task`
+   * @param {string} defaultTask - Task used when the caller did not name one
+   * @returns {Object} Options with task and routed generation parameters
+   */
+  applyRoute(options, defaultTask) {
+    const task = options.task || defaultTask;
+    return { ...this.routes[task], ...options, task };
+  }
+
+  /**
+   * Call the provider with rate limiting, retries on transient errors and usage accounting
+   * Token counts reported by the provider (through `onUsage`) replace the estimates
+   * @param {string} input - Text sent to the model (for token estimates)
+   * @param {Function} call - Async function performing the provider call; receives the `onUsage` callback
+   * @param {Object} options - { task, model } for usage accounting,
+   *   { countOutput: false } when the result is not generated text (embeddings)
+   * @returns {Promise<*>} Provider result
+   * @throws {LLMUnavailableError} When the call fails or retries are exhausted
+   */
+  async callProvider(input, call, { task = 'other', model, countOutput = true } = {}) {
+    const estimatedInput = estimateTokens(input);
+    const usageLabels = { task, model: model || this.provider.model };
+    let lastError;
+
+    for (let attempt = 1; attempt <= config.LLM_MAX_RETRIES + 1; attempt++) {
+      const reservation = await this.rateLimiter.acquire(estimatedInput);
+
       try {
-        this.client = new GoogleGenerativeAI(config.GEMINI_API_KEY);
-        this.model = this.client.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-        logger.info('Gemini client initialized');
+        let reported = null;
+        const result = await call((usage) => {
+          reported = usage;
+        });
+
+        const inputTokens = reported ? reported.inputTokens : estimatedInput;
+        const outputTokens = reported ? reported.outputTokens
+          : !countOutput ? 0
+          : estimateTokens(typeof result === 'string' ? result : JSON.stringify(result));
+        this.rateLimiter.adjust(reservation, inputTokens + outputTokens);
+        usageTracker.record({ ...usageLabels, inputTokens, outputTokens });
+        return result;
       } catch (error) {
-        logger.error('Failed to initialize Gemini client', { error: error.message });
-        this.enabled = false;
-        this.client = null;
-        this.model = null;
-        logger.warn('Gemini disabled due to initialization error - using fallback/null responses');
+        usageTracker.record({ ...usageLabels, inputTokens: estimatedInput, error: true });
+
+        // Unparseable output is a content problem, handled by generateStructured
+        if (error.raw !== undefined) throw error;
+
+        lastError = error;
+        if (!isRetryableError(error) || attempt > config.LLM_MAX_RETRIES) break;
+
+        const delay = this.getRetryDelay(error, attempt);
+        logger.warn('LLM call failed, retrying', {
+          provider: this.provider.name,
+          status: getErrorStatus(error),
+          attempt,
+          delayMs: delay,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delay));
       }
-    } else {
-      this.client = null;
-      this.model = null;
-      logger.warn('Gemini API key not configured; running in fallback/mock mode');
     }
-    this.conversationHistory = [];
+
+    throw new LLMUnavailableError(`${this.provider.name} unavailable: ${lastError.message}`, {
+      provider: this.provider.name,
+      status: getErrorStatus(lastError),
+      retryable: isRetryableError(lastError),
+      attempts: config.LLM_MAX_RETRIES + 1,
+      cause: lastError,
+    });
+  }
+
+  /**
+   * Helper: Mask secrets in the system prompt of call options
+   * @param {Object} options - Call options
+   * @param {string} call - Call type, for the redaction audit log
+   * @returns {Object} Options with a redacted systemPrompt
+   */
+  redactOptions(options, call) {
+    if (!options.systemPrompt) return options;
+    return { ...options, systemPrompt: redactor.redact(options.systemPrompt, { call, part: 'systemPrompt' }) };
+  }
+
+  /**
+   * Helper: Mask secrets in chat messages, including tool results
+   * @param {Array} messages - Chat messages
+   * @param {string} call - Call type, for the redaction audit log
+   * @returns {Array} Redacted copies
+   */
+  redactMessages(messages, call) {
+    return messages.map((m) => ({
+      ...m,
+      ...(m.content && { content: redactor.redact(m.content, { call }) }),
+      ...(m.result !== undefined && { result: redactor.redactValue(m.result, { call, tool: m.name }) }),
+    }));
+  }
+
+  /**
+   * Helper: Exponential backoff with jitter, honoring Retry-After when the provider sends it
+   * @param {Error} error - Failed call error
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (retryAfter > 0) return retryAfter * 1000;
+
+    const base = config.LLM_RETRY_BASE_DELAY * 2 ** (attempt - 1);
+    return base + Math.floor(Math.random() * base * 0.2);
   }
 
   /**
-   * Generate a response from Gemini
+   * Generate a response from the model
    * @param {string} prompt - User prompt or system message
-   * @param {Object} options - Configuration options
+   * @param {Object} options - Configuration options (context, noCache, source file for redaction logs, generation options)
    * @returns {Promise<string>} AI response
+   * @throws {LLMUnavailableError} When the model cannot be reached
    */
   async generate(prompt, options = {}) {
-    try {
-      if (!this.enabled) {
-        logger.debug('Gemini disabled; returning mock content');
-        return `Mock response for prompt: ${prompt.substring(0, 120)}...`;
-      }
-      const context = options.context || '';
-      const fullPrompt = context ? `${context}\n\n${prompt}` : prompt;
+    options = this.applyRoute(options, 'other');
+    const context = options.context || '';
+    const fullPrompt = redactor.redact(context ? `${context}\n\n${prompt}` : prompt, {
+      call: 'generate',
+      source: options.source,
+    });
+    options = this.redactOptions(options, 'generate');
 
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const text = response.text();
+    try {
+      const text = await llmCache.wrap(
+        this.cacheKeyParts('generate', fullPrompt, options),
+        options,
+        () => this.callProvider(
+          fullPrompt,
+          (onUsage) => this.provider.generate(fullPrompt, { ...options, onUsage }),
+          this.usageLabels(options)
+        )
+      );
 
-      logger.debug('Gemini response generated', { length: text.length });
+      logger.debug('LLM response generated', { provider: this.provider.name, length: text.length });
       return text;
     } catch (error) {
-      logger.error('Gemini generation failed', { error: error.message });
-      // Return fallback/mock content to avoid bubbling errors to clients
-      return `Gemini unavailable: ${error.message}`;
+      logger.error('LLM generation failed', { provider: this.provider.name, error: error.message });
+      throw error;
     }
   }
 
   /**
    * Multi-turn conversation
+   * Stateless: the caller owns the session and passes its history on every call
    * @param {string} userMessage - User message
+   * @param {Object} options - { history: [{ role: 'user' | 'model', content }], systemPrompt }
    * @returns {Promise<string>} AI response
+   * @throws {LLMUnavailableError} When the model cannot be reached
+   */
+  async chat(userMessage, options = {}) {
+    const { history = [], ...chatOptions } = this.redactOptions(this.applyRoute(options, 'chat'), 'chat');
+    const messages = this.redactMessages([...history, { role: 'user', content: userMessage }], 'chat');
+    const input = [chatOptions.systemPrompt, ...messages.map((m) => m.content)].join('\n');
+
+    try {
+      return await this.callProvider(
+        input,
+        (onUsage) => this.provider.chat(messages, { ...chatOptions, onUsage }),
+        this.usageLabels(chatOptions)
+      );
+    } catch (error) {
+      logger.error('Chat failed', { provider: this.provider.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * One chat step with function calling; the caller runs the returned tool calls
+   * and calls again with their results appended
+   * @param {Array} messages - Chat messages including tool turns (see LLMProvider.chatWithTools)
+   * @param {Object} options - { tools, systemPrompt } plus generation options
+   * @returns {Promise<Object>} { text, toolCalls }
+   * @throws {LLMUnavailableError} When the model cannot be reached
+   */
+  async chatWithTools(messages, options = {}) {
+    const { tools = [], ...chatOptions } = this.redactOptions(this.applyRoute(options, 'chat'), 'chatWithTools');
+    messages = this.redactMessages(messages, 'chatWithTools');
+    const input = [
+      chatOptions.systemPrompt,
+      ...messages.map((m) => m.content || JSON.stringify(m.result ?? m.toolCalls)),
+    ].join('\n');
+
+    try {
+      return await this.callProvider(
+        input,
+        (onUsage) => this.provider.chatWithTools(messages, tools, { ...chatOptions, onUsage }),
+        this.usageLabels(chatOptions)
+      );
+    } catch (error) {
+      logger.error('Tool chat failed', { provider: this.provider.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Embed texts with the provider's embedding model
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   * @throws {LLMUnavailableError} When the provider cannot embed
+   */
+  async embed(texts) {
+    texts = texts.map((text) => redactor.redact(text, { call: 'embed' }));
+    return this.callProvider(texts.join('\n'), () => this.provider.embed(texts), {
+      task: 'embed',
+      model: this.provider.embeddingModel,
+      countOutput: false,
+    });
+  }
+
+  /**
+   * Identify the embedding model, so stored vectors can be discarded when it changes
+   * @returns {string|null} 'provider:model', or null when the provider has no embeddings
    */
-  async chat(userMessage) {
+  getEmbeddingModel() {
+    return this.provider.embeddingModel ? `${this.provider.name}:${this.provider.embeddingModel}` : null;
+  }
+
+  /**
+   * Multi-turn conversation streamed as text chunks
+   * Rate limited and counted like other calls, but not retried once streaming has begun
+   * Cancelled streams (aborted signal, or a consumer that stops reading) count their input and the partial output
+   * @param {string} userMessage - User message
+   * @param {Object} options - { history, systemPrompt, signal }, plus { toolTurns }: tool calls and results
+   *   (see chatWithTools) that follow the user message and are answered in the stream
+   * @returns {AsyncGenerator<string>} Text chunks
+   * @throws {LLMUnavailableError} When the model cannot be reached
+   */
+  async *chatStream(userMessage, options = {}) {
+    const { history = [], toolTurns = [], ...chatOptions } = this.redactOptions(this.applyRoute(options, 'chat'), 'chatStream');
+    const messages = this.redactMessages(
+      [...history, { role: 'user', content: userMessage }, ...toolTurns],
+      'chatStream'
+    );
+    const estimatedInput = estimateTokens([
+      chatOptions.systemPrompt,
+      ...messages.map((m) => m.content || JSON.stringify(m.result ?? m.toolCalls)),
+    ].join('\n'));
+    const usageLabels = this.usageLabels(chatOptions);
+
+    const reservation = await this.rateLimiter.acquire(estimatedInput);
+    let output = '';
+    let reported = null;
+    let failed = false;
+    const onUsage = (usage) => {
+      reported = usage;
+    };
     try {
-      if (!this.enabled) {
-        // Keep a very simple mock chat reply
-        const reply = `Mock chat reply: Received message '${userMessage}'`;
-        this.conversationHistory.push({ role: 'assistant', content: reply });
-        return reply;
+      for await (const chunk of this.provider.chatStream(messages, { ...chatOptions, onUsage })) {
+        output += chunk;
+        yield chunk;
       }
-      this.conversationHistory.push({
-        role: 'user',
-        content: userMessage,
+    } catch (error) {
+      if (chatOptions.signal?.aborted) throw error;
+      failed = true;
+      usageTracker.record({ ...usageLabels, inputTokens: estimatedInput, error: true });
+      throw new LLMUnavailableError(`${this.provider.name} unavailable: ${error.message}`, {
+        provider: this.provider.name,
+        status: getErrorStatus(error),
+        retryable: isRetryableError(error),
+        cause: error,
       });
+    } finally {
+      // Also reached on abort and when the consumer returns early; providers only report usage at the end
+      if (!failed) {
+        const inputTokens = reported ? reported.inputTokens : estimatedInput;
+        const outputTokens = reported ? reported.outputTokens : estimateTokens(output);
+        this.rateLimiter.adjust(reservation, inputTokens + outputTokens);
+        usageTracker.record({ ...usageLabels, inputTokens, outputTokens });
+      }
+    }
+  }
 
-      const chat = this.model.startChat({
-        history: this.conversationHistory,
-      });
+  /**
+   * Generate structured (JSON) output, validated against a schema
+   * Malformed or invalid output is re-prompted with the validation errors
+   * @param {string} prompt - Prompt asking for JSON
+   * @param {Object} options - { schema, maxRepairs, noCache } plus generation options
+   * @returns {Promise<Object>} Parsed JSON
+   * @throws {Error} With `validationErrors` and `raw` when repairs are exhausted
+   * @throws {LLMUnavailableError} When the model cannot be reached
+   */
+  async generateStructured(prompt, options = {}) {
+    options = this.applyRoute(options, 'other');
+    prompt = redactor.redact(prompt, { call: 'generateStructured', source: options.source });
+    options = this.redactOptions(options, 'generateStructured');
+    return llmCache.wrap(
+      this.cacheKeyParts('structured', prompt, options),
+      options,
+      () => this.generateValidated(prompt, options)
+    );
+  }
 
-      const result = await chat.sendMessage(userMessage);
-      const response = await result.response;
-      const text = response.text();
+  /**
+   * Uncached body of generateStructured
+   * @param {string} prompt - Prompt asking for JSON
+   * @param {Object} options - { schema, maxRepairs } plus generation options
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async generateValidated(prompt, options = {}) {
+    const { schema, maxRepairs = DEFAULT_MAX_REPAIRS, noCache, promptVersion, ...generationOptions } = options;
+    const fullPrompt = schema
+      ? `${prompt}\n\nRespond with JSON only, matching this JSON schema:\n${JSON.stringify(schema)}`
+      : prompt;
 
-      this.conversationHistory.push({
-        role: 'assistant',
-        content: text,
-      });
+    let currentPrompt = fullPrompt;
+    let errors = [];
+    let raw = '';
 
-      return text;
-    } catch (error) {
-      logger.error('Chat failed', { error: error.message });
-      // Fallback reply
-      const fallback = `Gemini chat unavailable: ${error.message}`;
-      this.conversationHistory.push({ role: 'assistant', content: fallback });
-      return fallback;
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      let result;
+      try {
+        result = await this.callProvider(
+          currentPrompt,
+          (onUsage) => this.provider.generateStructured(currentPrompt, { ...generationOptions, onUsage }),
+          this.usageLabels(generationOptions)
+        );
+        errors = schema ? validateSchema(result, schema) : [];
+        raw = JSON.stringify(result);
+      } catch (error) {
+        if (error.raw === undefined) throw error;
+        errors = [error.message];
+        raw = error.raw;
+      }
+
+      if (errors.length === 0) return result;
+
+      logger.warn('Structured output failed validation', { attempt, errors: errors.slice(0, 5) });
+      currentPrompt = `${fullPrompt}
+
+Your previous response was invalid:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous response:
+${raw}
+
+Return corrected JSON only.`;
     }
+
+    const error = new Error(`Structured output invalid after ${maxRepairs} repair attempts`);
+    error.validationErrors = errors;
+    error.raw = raw;
+    throw error;
   }
 
   /**
    * Analyze code for issues
+   * Large files are split into chunks at function/class boundaries and the results merged
    * @param {string} code - Code to analyze
    * @param {string} language - Programming language
-   * @returns {Promise<Object>} Analysis results
+   * @param {Object} options - { noCache, source } (source: file path for redaction logs),
+   *   { startLine } when the code is an excerpt (e.g. a diff hunk) starting at that line of the file
+   * @returns {Promise<Object>} Analysis results matching analysisSchema ({ summary, findings }),
+   *   plus `prompt` (template id that produced it)
    */
-  async analyzeCode(code, language = 'javascript') {
-    const prompt = `Analyze this ${language} code for issues, security problems, and improvements:
+  async analyzeCode(code, language = 'javascript', options = {}) {
+    const { startLine = 1, ...analysisOptions } = options;
+    const chunks = chunkSource(code, { maxTokens: config.LLM_MAX_INPUT_TOKENS });
 
-\`\`\`${language}
-${code}
-\`\`\`
+    if (chunks.length === 1) {
+      return this.analyzeChunk(code, language, startLine, analysisOptions);
+    }
 
-Provide:
-1. Issues found (if any)
-2. Security concerns (if any)
-3. Performance improvements
-4. Suggested fixes (with code snippets)
+    logger.debug('Analyzing code in chunks', { chunks: chunks.length });
+    const results = [];
+    for (const chunk of chunks) {
+      results.push(await this.analyzeChunk(chunk.content, language, startLine + chunk.startLine - 1, analysisOptions));
+    }
+
+    const failed = results.filter((r) => r.error);
+    const merged = {
+      summary: results.map((r) => r.summary).filter(Boolean).join(' '),
+      findings: results.flatMap((r) => r.findings),
+      chunks: chunks.length,
+      prompt: results[0].prompt,
+    };
+    if (failed.length > 0) {
+      merged.error = `${failed.length} of ${chunks.length} chunks failed: ${failed[0].error}`;
+    }
+    return merged;
+  }
+
+  /**
+   * Analyze one piece of code
+   * @param {string} code - Code to analyze
+   * @param {string} language - Programming language
+   * @param {number} startLine - Line number of the first line in the original file
+   * @param {Object} options - { noCache }
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyzeChunk(code, language, startLine, options = {}) {
+    // Number lines so findings can reference them
+    const numbered = code
+      .split('\n')
+      .map((line, i) => `${startLine + i}: ${line}`)
+      .join('\n');
 
-Format as JSON with keys: "issues", "security", "performance", "fixes"`;
+    const prompt = promptRegistry.render('analyze-code', { language, code: numbered });
 
-    const response = await this.generate(prompt);
-    
     try {
-      // Extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      return jsonMatch ? JSON.parse(jsonMatch[0]) : { raw: response };
-    } catch (e) {
-      return { raw: response };
+      const result = await this.generateStructured(prompt.text, {
+        ...options,
+        schema: analysisSchema,
+        promptVersion: prompt.id,
+        task: 'analyzeCode',
+      });
+      return { ...result, prompt: prompt.id };
+    } catch (error) {
+      logger.warn('Code analysis failed', { error: error.message });
+      return { summary: '', findings: [], error: error.message, prompt: prompt.id };
     }
   }
 
@@ -141,29 +498,71 @@ Format as JSON with keys: "issues", "security", "performance", "fixes"`;
       .map((c) => `- ${c.type}: ${c.file} - ${c.description}`)
       .join('\n');
 
-    const prompt = `Based on these changes, generate a concise conventional commit message:
+    const prompt = promptRegistry.render('commit-message', { changes: changesSummary });
 
-${changesSummary}
+    return this.generate(prompt.text, { promptVersion: prompt.id, task: 'commitMessage' });
+  }
 
-Follow the pattern: type(scope): description`;
+  /**
+   * Helper: Build cache key parts for a request
+   * @param {string} kind - Call type (generate, structured)
+   * @param {string} prompt - Full prompt
+   * @param {Object} options - Request options; those affecting output are hashed
+   * @returns {Object} Key parts for llmCache
+   */
+  cacheKeyParts(kind, prompt, options) {
+    const { systemPrompt, temperature, maxTokens, schema } = options;
+    return {
+      provider: this.provider.name,
+      model: options.model || this.provider.model,
+      promptVersion: options.promptVersion || 'inline',
+      kind,
+      input: { prompt, systemPrompt, temperature, maxTokens, schema },
+    };
+  }
 
-    return this.generate(prompt);
+  /**
+   * Helper: Labels for usage accounting
+   * @param {Object} options - Routed call options
+   * @returns {Object} { task, model }
+   */
+  usageLabels(options) {
+    return { task: options.task, model: options.model || this.provider.model };
+  }
+
+  /**
+   * Get the effective model and parameters for each task
+   * @returns {Object} Routes by task
+   */
+  getRoutes() {
+    return Object.fromEntries(TASKS.map((task) => [task, {
+      model: this.provider.model,
+      ...this.routes[task],
+    }]));
   }
 
   /**
-   * Clear conversation history
+   * Get active provider info
+   * @returns {Object} Provider name and model
    */
-  clearHistory() {
-    this.conversationHistory = [];
-    logger.debug('Conversation history cleared');
+  getProviderInfo() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+    };
   }
 
   /**
-   * Get conversation history
-   * @returns {Array} Conversation history
+   * Get rate limiter and daily usage stats
+   * @returns {Object} Usage stats
    */
-  getHistory() {
-    return this.conversationHistory;
+  getUsageStats() {
+    return {
+      ...this.getProviderInfo(),
+      routes: this.getRoutes(),
+      rateLimit: this.rateLimiter.getStats(),
+      ...usageTracker.getStats(),
+    };
   }
 }
 
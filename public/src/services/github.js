@@ -5,13 +5,24 @@
 
 import { Octokit } from '@octokit/rest';
 import { createAppAuth } from '@octokit/auth-app';
+import { GitHubRateLimitError } from '../utils/errors.js';
 import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
 
+// The contents API lists at most this many entries of a directory
+const CONTENTS_LISTING_LIMIT = 1000;
+const TREE_ENTRY_TYPES = { blob: 'file', tree: 'dir', commit: 'submodule' };
+// The checks API accepts at most this many annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+
 class GitHubService {
   constructor() {
     this.octokit = null;
     this.initialized = false;
+    this.etags = new Map(); // URL → { etag, response, size }, least recently used first
+    this.etagBytes = 0; // Total size of the cached response bodies
+    this.rateLimits = {}; // resource (core, search, graphql) → { limit, remaining, used, reset }
+    this.stats = { requests: 0, notModified: 0, rateLimitWaits: 0 };
   }
 
   async ensureInitialized() {
@@ -28,7 +39,7 @@ class GitHubService {
           installationId: config.GH_APP_INSTALLATION_ID,
         });
 
-        this.octokit = new Octokit({
+        this.octokit = this.createClient({
           authStrategy: auth,
           auth: { type: 'installation' },
         });
@@ -37,7 +48,7 @@ class GitHubService {
       }
       // Fallback to personal access token
       else if (config.GITHUB_TOKEN) {
-        this.octokit = new Octokit({
+        this.octokit = this.createClient({
           auth: config.GITHUB_TOKEN,
         });
 
@@ -46,7 +57,7 @@ class GitHubService {
       else {
         logger.warn('No GitHub authentication configured - read-only mode');
         // Use unauthenticated client (rate limited)
-        this.octokit = new Octokit();
+        this.octokit = this.createClient();
       }
       
       this.initialized = true;
@@ -56,6 +67,174 @@ class GitHubService {
     }
   }
 
+  /**
+   * Helper: Create an Octokit client whose requests go through sendRequest()
+   * @param {Object} options - Octokit options
+   * @returns {Octokit} Client
+   */
+  createClient(options = {}) {
+    const octokit = new Octokit(options);
+    octokit.hook.wrap('request', (request, requestOptions) =>
+      this.sendRequest(request, requestOptions, octokit.request.endpoint)
+    );
+    return octokit;
+  }
+
+  /**
+   * Helper: Send one API request
+   * Waits for the reset when the rate limit is nearly used up, revalidates cached GET responses
+   * with If-None-Match (a 304 costs no quota) and retries once after a rate-limit rejection
+   * @param {Function} request - Octokit request function
+   * @param {Object} options - Endpoint options
+   * @param {Function} endpoint - Resolves options to { method, url }
+   * @param {boolean} retried - True on the retry
+   * @returns {Promise<Object>} Response
+   */
+  async sendRequest(request, options, endpoint, retried = false) {
+    const resource = getResource(options.url);
+    await this.waitForRateLimit(resource);
+
+    const cacheKey = options.method === 'GET' && config.GITHUB_ETAG_CACHE_SIZE > 0
+      ? endpoint(options).url
+      : null;
+    const cached = cacheKey ? this.etags.get(cacheKey) : null;
+    if (cached) {
+      // The wrapped request is bound to this options object, so the header is set in place
+      options.headers['if-none-match'] = cached.etag;
+    }
+
+    this.stats.requests++;
+    try {
+      const response = await request();
+      this.recordRateLimit(response.headers, resource);
+      if (cacheKey && response.headers.etag) {
+        this.cacheResponse(cacheKey, response, getResponseSize(response));
+      }
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this.recordRateLimit(error.response.headers, resource);
+      }
+
+      if (error.status === 304 && cached) {
+        this.stats.notModified++;
+        this.cacheResponse(cacheKey, cached.response, cached.size);
+        return structuredClone(cached.response);
+      }
+
+      const delay = getRetryDelay(error);
+      if (!retried && delay !== null && delay <= config.GITHUB_RATE_LIMIT_MAX_WAIT) {
+        logger.warn('GitHub rate limit hit, retrying after delay', { url: options.url, delayMs: delay });
+        this.stats.rateLimitWaits++;
+        await sleep(delay);
+        return this.sendRequest(request, options, endpoint, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Remember a GET response by URL for conditional requests
+   * Only JSON bodies up to a tenth of GITHUB_ETAG_CACHE_BYTES are kept (job logs, large trees and
+   * compare payloads are not); the least recently used ones go first once either limit is reached
+   * @param {string} url - Request URL
+   * @param {Object} response - Response with an etag header
+   * @param {number|null} size - Body size in bytes, null when the body is not JSON
+   */
+  cacheResponse(url, response, size) {
+    this.forgetResponse(url);
+    if (size === null || size > config.GITHUB_ETAG_CACHE_BYTES / 10) return;
+
+    this.etags.set(url, { etag: response.headers.etag, response, size });
+    this.etagBytes += size;
+
+    while (this.etags.size > config.GITHUB_ETAG_CACHE_SIZE || this.etagBytes > config.GITHUB_ETAG_CACHE_BYTES) {
+      this.forgetResponse(this.etags.keys().next().value);
+    }
+  }
+
+  /**
+   * Helper: Drop a cached response
+   * @param {string} url - Request URL
+   */
+  forgetResponse(url) {
+    const entry = this.etags.get(url);
+    if (entry) {
+      this.etagBytes -= entry.size;
+      this.etags.delete(url);
+    }
+  }
+
+  /**
+   * Helper: Store the x-ratelimit-* headers of a response
+   * @param {Object} headers - Response headers
+   * @param {string} resource - Resource guessed from the URL (overridden by x-ratelimit-resource)
+   */
+  recordRateLimit(headers = {}, resource) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    this.rateLimits[headers['x-ratelimit-resource'] || resource] = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      used: parseInt(headers['x-ratelimit-used'] || '0', 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000,
+    };
+  }
+
+  /**
+   * Check whether a resource is down to its reserve until the next reset
+   * The reserve is GITHUB_RATE_LIMIT_RESERVE, capped at 10% of the limit
+   * @param {string} resource - 'core', 'search' or 'graphql'
+   * @returns {boolean} True when calls should wait for the reset
+   */
+  isRateLimited(resource = 'core') {
+    const state = this.rateLimits[resource];
+    if (!state || state.reset <= Date.now()) return false;
+
+    const reserve = Math.min(config.GITHUB_RATE_LIMIT_RESERVE, Math.floor(state.limit / 10));
+    return state.remaining <= reserve;
+  }
+
+  /**
+   * Helper: Wait for the rate limit to reset when the resource is down to its reserve
+   * @param {string} resource - 'core', 'search' or 'graphql'
+   * @throws {GitHubRateLimitError} When the reset is further away than GITHUB_RATE_LIMIT_MAX_WAIT
+   */
+  async waitForRateLimit(resource) {
+    if (!this.isRateLimited(resource)) return;
+
+    const { remaining, reset } = this.rateLimits[resource];
+    const wait = reset - Date.now();
+    if (wait > config.GITHUB_RATE_LIMIT_MAX_WAIT) {
+      throw new GitHubRateLimitError(
+        `GitHub ${resource} rate limit nearly exhausted (${remaining} left), resets at ${new Date(reset).toISOString()}`,
+        { resource, resetAt: reset }
+      );
+    }
+
+    logger.warn('GitHub rate limit low, waiting for reset', { resource, remaining, waitMs: wait });
+    this.stats.rateLimitWaits++;
+    await sleep(wait + 1000); // GitHub's reset times are rounded down to the second
+  }
+
+  /**
+   * Get rate limit state and conditional request statistics
+   * @returns {Object} { rateLimits, requests, notModified, rateLimitWaits, cachedResponses, cachedBytes }
+   */
+  getRateLimitStats() {
+    return {
+      rateLimits: Object.fromEntries(
+        Object.entries(this.rateLimits).map(([resource, state]) => [
+          resource,
+          { ...state, reset: new Date(state.reset).toISOString(), limited: this.isRateLimited(resource) },
+        ])
+      ),
+      ...this.stats,
+      cachedResponses: this.etags.size,
+      cachedBytes: this.etagBytes,
+    };
+  }
+
   /**
    * Create a GitHub issue
    * @param {Object} issue - Issue details
@@ -117,18 +296,193 @@ class GitHubService {
     }
   }
 
+  /**
+   * Create a branch
+   * @param {string} name - New branch name
+   * @param {string} from - Branch to start from
+   * @returns {Promise<Object>} Created ref
+   */
+  async createBranch(name, from = config.GITHUB_BRANCH) {
+    try {
+      await this.ensureInitialized();
+      const repo = config.GITHUB_REPO.split('/')[1];
+
+      const { data: base } = await this.octokit.git.getRef({
+        owner: config.GITHUB_OWNER,
+        repo,
+        ref: `heads/${from}`,
+      });
+
+      const response = await this.octokit.git.createRef({
+        owner: config.GITHUB_OWNER,
+        repo,
+        ref: `refs/heads/${name}`,
+        sha: base.object.sha,
+      });
+
+      logger.info('GitHub branch created', { branch: name, from });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create GitHub branch', { error: error.message, branch: name });
+      throw error;
+    }
+  }
+
+  /**
+   * Write several files as a single commit on a branch (Git Data API)
+   * @param {string} branch - Branch to commit to
+   * @param {Array} files - [{ path, content }] with UTF-8 content
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} Created commit
+   */
+  async commitFiles(branch, files, message) {
+    try {
+      await this.ensureInitialized();
+      const owner = config.GITHUB_OWNER;
+      const repo = config.GITHUB_REPO.split('/')[1];
+
+      const { data: ref } = await this.octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+      const { data: parent } = await this.octokit.git.getCommit({ owner, repo, commit_sha: ref.object.sha });
+
+      const tree = [];
+      for (const file of files) {
+        const { data: blob } = await this.octokit.git.createBlob({
+          owner,
+          repo,
+          content: file.content,
+          encoding: 'utf-8',
+        });
+        tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+      }
+
+      const { data: newTree } = await this.octokit.git.createTree({
+        owner,
+        repo,
+        base_tree: parent.tree.sha,
+        tree,
+      });
+
+      const { data: commit } = await this.octokit.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: newTree.sha,
+        parents: [parent.sha],
+      });
+
+      await this.octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha });
+
+      logger.info('GitHub commit created', { branch, sha: commit.sha, files: files.length });
+      return commit;
+    } catch (error) {
+      logger.error('Failed to commit files', { error: error.message, branch });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a pull request
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Object>} Pull request
+   */
+  async getPullRequest(prNumber) {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.pulls.get({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        pull_number: prNumber,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get pull request', { error: error.message, prNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * List open pull requests against the repository (all pages), newest first
+   * @returns {Promise<Array>} Pull requests
+   */
+  async listOpenPullRequests() {
+    try {
+      await this.ensureInitialized();
+      return await this.octokit.paginate(this.octokit.pulls.list, {
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        state: 'open',
+        per_page: 100,
+      });
+    } catch (error) {
+      logger.error('Failed to list open pull requests', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a pull request review with inline comments
+   * @param {number} prNumber - Pull request number
+   * @param {Object} review - { commitId, body, event: 'COMMENT' | 'REQUEST_CHANGES' | 'APPROVE',
+   *   comments: [{ path, line, body }] } (lines in the new version of the file)
+   * @returns {Promise<Object>} Created review
+   */
+  async createReview(prNumber, review) {
+    try {
+      await this.ensureInitialized();
+      const { commitId, body, event = 'COMMENT', comments = [] } = review;
+
+      const response = await this.octokit.pulls.createReview({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        pull_number: prNumber,
+        commit_id: commitId,
+        body,
+        event,
+        comments: comments.map(({ path, line, body: text }) => ({ path, line, side: 'RIGHT', body: text })),
+      });
+
+      logger.info('Pull request review created', { prNumber, event, comments: comments.length });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create pull request review', { error: error.message, prNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * List the files changed by a pull request (all pages, up to GitHub's 3,000-file limit)
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array>} Files as { filename, status, additions, deletions, patch }
+   */
+  async listPullRequestFiles(prNumber) {
+    try {
+      await this.ensureInitialized();
+      return await this.octokit.paginate(this.octokit.pulls.listFiles, {
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        pull_number: prNumber,
+        per_page: 100,
+      });
+    } catch (error) {
+      logger.error('Failed to list pull request files', { error: error.message, prNumber });
+      throw error;
+    }
+  }
+
   /**
    * Get repository contents
    * @param {string} path - File path
+   * @param {string} ref - Branch, tag or commit SHA
    * @returns {Promise<Object>} File contents
    */
-  async getFileContents(path = '') {
+  async getFileContents(path = '', ref = config.GITHUB_BRANCH) {
     try {
       await this.ensureInitialized();
       const response = await this.octokit.repos.getContent({
         owner: config.GITHUB_OWNER,
         repo: config.GITHUB_REPO.split('/')[1],
         path,
+        ref,
       });
 
       return response.data;
@@ -137,12 +491,13 @@ class GitHubService {
       // If the error indicates bad credentials, retry with unauthenticated client
       if (error.status === 401 || /Bad credentials/i.test(error.message)) {
         logger.warn('GitHub auth failed, retrying unauthenticated (read-only)');
-        this.octokit = new Octokit();
+        this.octokit = this.createClient();
         try {
           const response = await this.octokit.repos.getContent({
             owner: config.GITHUB_OWNER,
             repo: config.GITHUB_REPO.split('/')[1],
             path,
+            ref,
           });
           return response.data;
         } catch (e) {
@@ -154,25 +509,315 @@ class GitHubService {
     }
   }
 
+  /**
+   * Read a file as UTF-8 text
+   * @param {string} path - File path
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<string|null>} Content, null when the file does not exist at ref
+   */
+  async getFileText(path, ref = config.GITHUB_BRANCH) {
+    try {
+      const data = await this.getFileContents(path, ref);
+      if (data.type !== 'file') throw new Error(`Not a file: ${path}`);
+      return Buffer.from(data.content, 'base64').toString('utf-8');
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
   /**
    * List files in directory
    * @param {string} path - Directory path
+   * @param {string} ref - Branch, tag or commit SHA
    * @returns {Promise<Array>} File list
    */
-  async listFiles(path = '') {
+  async listFiles(path = '', ref = config.GITHUB_BRANCH) {
     try {
-      const contents = await this.getFileContents(path);
+      const contents = await this.getFileContents(path, ref);
       
-      if (Array.isArray(contents)) {
+      if (!Array.isArray(contents)) {
+        return [contents];
+      }
+      if (contents.length < CONTENTS_LISTING_LIMIT) {
         return contents;
       }
-      return [contents];
+
+      // The listing was cut off; the trees API returns the whole directory
+      return await this.listDirectoryTree(path, ref);
     } catch (error) {
       logger.error('Failed to list files', { error: error.message, path });
       throw error;
     }
   }
 
+  /**
+   * Helper: List one directory through the Git Trees API, shaped like contents API entries
+   * @param {string} path - Directory path
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<Array>} [{ name, path, type: 'file' | 'dir' | 'submodule', size, sha }]
+   */
+  async listDirectoryTree(path, ref) {
+    const response = await this.octokit.git.getTree({
+      owner: config.GITHUB_OWNER,
+      repo: config.GITHUB_REPO.split('/')[1],
+      tree_sha: path ? `${ref}:${path}` : ref,
+    });
+
+    return response.data.tree.map((entry) => ({
+      name: entry.path,
+      path: path ? `${path}/${entry.path}` : entry.path,
+      type: TREE_ENTRY_TYPES[entry.type],
+      size: entry.size || 0,
+      sha: entry.sha,
+    }));
+  }
+
+  /**
+   * Get the whole repository tree in one request (Git Trees API, recursive)
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<Object>} { sha, tree: [{ path, type: 'blob' | 'tree', size, sha }], truncated }
+   */
+  async getTree(ref = config.GITHUB_BRANCH) {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.git.getTree({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        tree_sha: ref,
+        recursive: '1',
+      });
+
+      if (response.data.truncated) {
+        logger.warn('GitHub tree truncated; repository exceeds the API limit', { ref });
+      }
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get repository tree', { error: error.message, ref });
+      throw error;
+    }
+  }
+
+  /**
+   * List commits, newest first (all pages up to `max`)
+   * @param {Object} options - { ref, since, until (ISO dates), path, max }
+   * @returns {Promise<Array>} Commits (without file lists; see getCommit)
+   */
+  async listCommits({ ref = config.GITHUB_BRANCH, since, until, path, max = Infinity } = {}) {
+    try {
+      await this.ensureInitialized();
+      let count = 0;
+
+      const commits = await this.octokit.paginate(
+        this.octokit.repos.listCommits,
+        {
+          owner: config.GITHUB_OWNER,
+          repo: config.GITHUB_REPO.split('/')[1],
+          sha: ref,
+          per_page: 100,
+          ...(since && { since }),
+          ...(until && { until }),
+          ...(path && { path }),
+        },
+        (response, done) => {
+          count += response.data.length;
+          if (count >= max) done();
+          return response.data;
+        }
+      );
+      return commits.slice(0, max);
+    } catch (error) {
+      logger.error('Failed to list commits', { error: error.message, ref });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a commit with its changed files
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<Object>} Commit with files [{ filename, previous_filename, status, additions, deletions }]
+   */
+  async getCommit(sha) {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.repos.getCommit({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        ref: sha,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get commit', { error: error.message, sha });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two refs
+   * @param {string} base - Older ref (tag, branch or SHA)
+   * @param {string} head - Newer ref
+   * @param {number} max - Stop after this many commits
+   * @returns {Promise<Object>} { commits (oldest first, with parents), files (changed between the refs,
+   *   as { filename, status }, at most 300), totalCommits, truncated }
+   */
+  async compareCommits(base, head, max = 1000) {
+    try {
+      await this.ensureInitialized();
+      const commits = [];
+      let files = [];
+      let totalCommits = 0;
+
+      // Not handled by paginate(): the commits sit in an object next to other fields
+      for (let page = 1; commits.length < max; page++) {
+        const response = await this.octokit.repos.compareCommitsWithBasehead({
+          owner: config.GITHUB_OWNER,
+          repo: config.GITHUB_REPO.split('/')[1],
+          basehead: `${base}...${head}`,
+          per_page: 100,
+          page,
+        });
+        totalCommits = response.data.total_commits;
+        commits.push(...response.data.commits);
+        // Only the first page lists the files
+        if (page === 1) files = response.data.files || [];
+        if (response.data.commits.length < 100 || commits.length >= totalCommits) break;
+      }
+
+      return { commits: commits.slice(0, max), files, totalCommits, truncated: totalCommits > max };
+    } catch (error) {
+      logger.error('Failed to compare commits', { error: error.message, base, head });
+      throw error;
+    }
+  }
+
+  /**
+   * List merged pull requests updated since a date, most recently updated first
+   * @param {string} since - ISO date; pages stop once pull requests were last updated before it
+   * @returns {Promise<Array>} Merged pull requests
+   */
+  async listMergedPullRequests(since) {
+    try {
+      await this.ensureInitialized();
+      const sinceTime = new Date(since).getTime();
+
+      const pulls = await this.octokit.paginate(
+        this.octokit.pulls.list,
+        {
+          owner: config.GITHUB_OWNER,
+          repo: config.GITHUB_REPO.split('/')[1],
+          state: 'closed',
+          sort: 'updated',
+          direction: 'desc',
+          per_page: 100,
+        },
+        (response, done) => {
+          if (response.data.some((pr) => new Date(pr.updated_at).getTime() < sinceTime)) done();
+          return response.data;
+        }
+      );
+      return pulls.filter((pr) => pr.merged_at && new Date(pr.updated_at).getTime() >= sinceTime);
+    } catch (error) {
+      logger.error('Failed to list merged pull requests', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest published release
+   * @returns {Promise<Object|null>} Release, or null when the repository has none
+   */
+  async getLatestRelease() {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.repos.getLatestRelease({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+      });
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      logger.error('Failed to get latest release', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a release (a draft by default)
+   * @param {Object} release - { tagName, name, body, targetCommitish, draft }
+   * @returns {Promise<Object>} Created release
+   */
+  async createRelease(release) {
+    try {
+      await this.ensureInitialized();
+      const { tagName, name = tagName, body, targetCommitish = config.GITHUB_BRANCH, draft = true } = release;
+
+      const response = await this.octokit.repos.createRelease({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        tag_name: tagName,
+        target_commitish: targetCommitish,
+        name,
+        body,
+        draft,
+      });
+
+      logger.info('GitHub release created', { tagName, draft, releaseId: response.data.id });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create GitHub release', { error: error.message, tagName: release.tagName });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a completed check run on a commit
+   * Annotations past the first 50 are sent in further updates, which GitHub appends
+   * Requires GitHub App authentication with the checks:write permission
+   * @param {Object} check - { name, headSha, conclusion: 'success' | 'neutral' | 'failure', title, summary, text,
+   *   annotations: [{ path, start_line, end_line, annotation_level, title, message }] }
+   * @returns {Promise<Object>} Check run
+   */
+  async createCheckRun(check) {
+    try {
+      await this.ensureInitialized();
+      const owner = config.GITHUB_OWNER;
+      const repo = config.GITHUB_REPO.split('/')[1];
+      const { name, headSha, conclusion, title, summary, text, annotations = [] } = check;
+      const output = { title, summary, ...(text && { text }) };
+
+      const batches = [];
+      for (let i = 0; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+        batches.push(annotations.slice(i, i + ANNOTATIONS_PER_REQUEST));
+      }
+
+      const response = await this.octokit.checks.create({
+        owner,
+        repo,
+        name,
+        head_sha: headSha,
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        output: { ...output, annotations: batches[0] || [] },
+      });
+
+      for (const batch of batches.slice(1)) {
+        await this.octokit.checks.update({
+          owner,
+          repo,
+          check_run_id: response.data.id,
+          output: { ...output, annotations: batch },
+        });
+      }
+
+      logger.info('Check run created', { checkRunId: response.data.id, conclusion, annotations: annotations.length });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create check run', { error: error.message, headSha: check.headSha });
+      throw error;
+    }
+  }
+
   /**
    * Trigger a GitHub Actions workflow
    * @param {string} workflowId - Workflow ID or filename
@@ -198,6 +843,95 @@ class GitHubService {
     }
   }
 
+  /**
+   * List recent GitHub Actions workflow runs, newest first
+   * @param {Object} options - { status ('failure', 'success', 'completed', ...), branch,
+   *   workflow (ID or filename; all workflows when omitted), max (up to 100) }
+   * @returns {Promise<Array>} Workflow runs
+   */
+  async listWorkflowRuns({ status, branch, workflow, max = 20 } = {}) {
+    try {
+      await this.ensureInitialized();
+      const params = {
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        per_page: Math.min(max, 100),
+        ...(status && { status }),
+        ...(branch && { branch }),
+      };
+
+      const response = workflow
+        ? await this.octokit.actions.listWorkflowRuns({ ...params, workflow_id: workflow })
+        : await this.octokit.actions.listWorkflowRunsForRepo(params);
+      return response.data.workflow_runs;
+    } catch (error) {
+      logger.error('Failed to list workflow runs', { error: error.message, workflow });
+      throw error;
+    }
+  }
+
+  /**
+   * Get one workflow run
+   * @param {number} runId - Workflow run ID
+   * @returns {Promise<Object>} Workflow run
+   */
+  async getWorkflowRun(runId) {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.actions.getWorkflowRun({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        run_id: runId,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get workflow run', { error: error.message, runId });
+      throw error;
+    }
+  }
+
+  /**
+   * List the jobs of a workflow run's latest attempt (all pages)
+   * @param {number} runId - Workflow run ID
+   * @returns {Promise<Array>} Jobs with their steps [{ name, number, status, conclusion }]
+   */
+  async listWorkflowRunJobs(runId) {
+    try {
+      await this.ensureInitialized();
+      return await this.octokit.paginate(this.octokit.actions.listJobsForWorkflowRun, {
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        run_id: runId,
+        filter: 'latest',
+        per_page: 100,
+      });
+    } catch (error) {
+      logger.error('Failed to list workflow run jobs', { error: error.message, runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Download the plain-text log of a job
+   * Logs are kept for the repository's retention period (90 days by default)
+   * @param {number} jobId - Job ID
+   * @returns {Promise<string>} Log text, one timestamped line per output line
+   */
+  async getJobLogs(jobId) {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.actions.downloadJobLogsForWorkflowRun({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        job_id: jobId,
+      });
+      return typeof response.data === 'string' ? response.data : Buffer.from(response.data).toString('utf-8');
+    } catch (error) {
+      logger.error('Failed to download job logs', { error: error.message, jobId });
+      throw error;
+    }
+  }
+
   /**
    * Get repository information
    * @returns {Promise<Object>} Repository info
@@ -217,21 +951,100 @@ class GitHubService {
   }
 
   /**
-   * Get list of issues
-   * @param {string} state - 'open' or 'closed'
+   * Get list of issues (all pages; pull requests, which the issues API also returns, are left out)
+   * @param {string} state - 'open', 'closed' or 'all'
+   * @param {string} labels - Comma-separated labels the issues must all have
    * @returns {Promise<Array>} Issues list
    */
-  async listIssues(state = 'open') {
+  async listIssues(state = 'open', labels) {
+    try {
+      await this.ensureInitialized();
+      return await this.octokit.paginate(
+        this.octokit.issues.listForRepo,
+        {
+          owner: config.GITHUB_OWNER,
+          repo: config.GITHUB_REPO.split('/')[1],
+          state,
+          per_page: 100,
+          ...(labels && { labels }),
+        },
+        (response) => response.data.filter((issue) => !issue.pull_request)
+      );
+    } catch (error) {
+      logger.error('Failed to list issues', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an issue (body, title, state)
+   * @param {number} issueNumber - Issue number
+   * @param {Object} changes - { title, body, state: 'open' | 'closed', stateReason: 'completed' | 'not_planned' }
+   * @returns {Promise<Object>} Updated issue
+   */
+  async updateIssue(issueNumber, changes) {
     try {
       await this.ensureInitialized();
-      const response = await this.octokit.issues.listForRepo({
+      const { title, body, state, stateReason } = changes;
+
+      const response = await this.octokit.issues.update({
         owner: config.GITHUB_OWNER,
         repo: config.GITHUB_REPO.split('/')[1],
-        state,
+        issue_number: issueNumber,
+        ...(title !== undefined && { title }),
+        ...(body !== undefined && { body }),
+        ...(state && { state }),
+        ...(stateReason && { state_reason: stateReason }),
       });
+
+      logger.info('GitHub issue updated', { issueNumber, state });
       return response.data;
     } catch (error) {
-      logger.error('Failed to list issues', { error: error.message });
+      logger.error('Failed to update GitHub issue', { error: error.message, issueNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * List the comments on an issue (all pages)
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Array>} Comments
+   */
+  async listIssueComments(issueNumber) {
+    try {
+      await this.ensureInitialized();
+      return await this.octokit.paginate(this.octokit.issues.listComments, {
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        issue_number: issueNumber,
+        per_page: 100,
+      });
+    } catch (error) {
+      logger.error('Failed to list issue comments', { error: error.message, issueNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * Add labels to an issue; labels that do not exist yet are created by GitHub
+   * @param {number} issueNumber - Issue number
+   * @param {Array<string>} labels - Label names
+   * @returns {Promise<Array>} All labels now on the issue
+   */
+  async addLabels(issueNumber, labels) {
+    try {
+      await this.ensureInitialized();
+      const response = await this.octokit.issues.addLabels({
+        owner: config.GITHUB_OWNER,
+        repo: config.GITHUB_REPO.split('/')[1],
+        issue_number: issueNumber,
+        labels,
+      });
+
+      logger.info('Issue labels added', { issueNumber, labels });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to add issue labels', { error: error.message, issueNumber });
       throw error;
     }
   }
@@ -261,4 +1074,51 @@ class GitHubService {
   }
 }
 
+/**
+ * Helper: Rate limit resource an endpoint counts against
+ * @param {string} url - Endpoint URL template
+ * @returns {string} 'search', 'graphql' or 'core'
+ */
+function getResource(url = '') {
+  if (url.startsWith('/search/')) return 'search';
+  if (url === '/graphql') return 'graphql';
+  return 'core';
+}
+
+/**
+ * Helper: How long to wait before retrying a rate-limited request
+ * Secondary limits send retry-after; an exhausted primary limit sends x-ratelimit-reset
+ * @param {Error} error - Octokit request error
+ * @returns {number|null} Milliseconds, or null when the error is not a rate limit
+ */
+function getRetryDelay(error) {
+  if (error.status !== 403 && error.status !== 429) return null;
+
+  const headers = error.response?.headers || {};
+  if (headers['retry-after']) {
+    return parseInt(headers['retry-after'], 10) * 1000;
+  }
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now()) + 1000;
+  }
+  return null;
+}
+
+/**
+ * Helper: Size of a response body for the ETag cache
+ * @param {Object} response - Octokit response
+ * @returns {number|null} Bytes of the serialized body, or null when it is not JSON (logs, raw files)
+ */
+function getResponseSize(response) {
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.includes('json') || typeof response.data !== 'object' || response.data === null) {
+    return null;
+  }
+  return Buffer.byteLength(JSON.stringify(response.data));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 export const githubService = new GitHubService();
@@ -0,0 +1,230 @@
+/**
+ * History Service
+ * Commit history for a time window and per-file churn hotspots ranked by risk
+ */
+
+import { githubService } from './github.js';
+import { projectService } from './project.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 14; // Commits this recent count toward change frequency
+const SEVERITY_WEIGHTS = { critical: 8, high: 4, medium: 2, low: 1 };
+// Share of the risk score per signal; each signal is scaled 0..1 against the highest file (log scale)
+const RISK_WEIGHTS = { churn: 0.35, authors: 0.15, recent: 0.2, findings: 0.3 };
+const COMMIT_FETCH_CONCURRENCY = 8;
+const MAX_CACHED_COMMITS = 2000;
+
+class HistoryService {
+  constructor() {
+    this.cache = new Map(); // "ref|days" -> { history, expiry }
+    this.CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+    // sha -> changed files; a commit's files never change, so this survives invalidate()
+    this.commitFiles = new Map();
+  }
+
+  /**
+   * Get the commits of a time window with their changed files
+   * Merge commits are left out so their changes are not counted twice. File lists are fetched
+   * COMMIT_FETCH_CONCURRENCY at a time and cached by SHA, so only new commits cost an API call
+   * @param {Object} options - { days, ref }
+   * @returns {Promise<Object>} { ref, days, since, until, commits: [{ sha, message, author, date, files }], truncated }
+   */
+  async getHistory({ days = config.HISTORY_DAYS, ref = config.GITHUB_BRANCH } = {}) {
+    const key = `${ref}|${days}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() < cached.expiry) {
+      logger.debug('Using cached commit history', { ref, days });
+      return cached.history;
+    }
+
+    const until = new Date();
+    const since = new Date(until.getTime() - days * DAY_MS);
+    const listed = await githubService.listCommits({
+      ref,
+      since: since.toISOString(),
+      max: config.HISTORY_MAX_COMMITS + 1,
+    });
+
+    const selected = listed.slice(0, config.HISTORY_MAX_COMMITS).filter((commit) => commit.parents.length <= 1);
+    const commits = await mapConcurrent(selected, COMMIT_FETCH_CONCURRENCY, async (commit) => ({
+      sha: commit.sha,
+      message: commit.commit.message.split('\n')[0],
+      author: commit.author?.login || commit.commit.author?.name || 'unknown',
+      date: commit.commit.author?.date,
+      files: await this.getCommitFiles(commit.sha),
+    }));
+
+    const history = {
+      ref,
+      days,
+      since: since.toISOString(),
+      until: until.toISOString(),
+      commits,
+      truncated: listed.length > config.HISTORY_MAX_COMMITS,
+    };
+    this.cache.set(key, { history, expiry: Date.now() + this.CACHE_TTL });
+
+    logger.info('Commit history retrieved', { ref, days, commits: commits.length, truncated: history.truncated });
+    return history;
+  }
+
+  /**
+   * Helper: Changed files of a commit
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<Array>} [{ path, previousPath, status, additions, deletions }]
+   */
+  async getCommitFiles(sha) {
+    if (this.commitFiles.has(sha)) {
+      return this.commitFiles.get(sha);
+    }
+
+    const detail = await githubService.getCommit(sha);
+    const files = (detail.files || []).map((f) => ({
+      path: f.filename,
+      previousPath: f.previous_filename,
+      status: f.status,
+      additions: f.additions,
+      deletions: f.deletions,
+    }));
+
+    this.commitFiles.set(sha, files);
+    if (this.commitFiles.size > MAX_CACHED_COMMITS) {
+      this.commitFiles.delete(this.commitFiles.keys().next().value);
+    }
+    return files;
+  }
+
+  /**
+   * Rank the files that exist at a ref by risk
+   * Combines churn (lines added + deleted), author count, commits in the last two weeks
+   * and scan findings weighted by severity into a 0-100 score
+   * @param {Object} options - { days, ref, findings: scan issues [{ file, severity }] }
+   * @returns {Promise<Array>} [{ path, score, commits, churn, additions, deletions, authors,
+   *   recentCommits, commitsPerWeek, lastChanged, findings }], riskiest first
+   */
+  async getHotspots({ days = config.HISTORY_DAYS, ref, findings = [] } = {}) {
+    const history = await this.getHistory({ days, ref: ref || config.GITHUB_BRANCH });
+    const existing = new Set((await projectService.listAllFiles(Infinity, ref)).map((f) => f.path));
+    const stats = this.computeChurn(history);
+
+    for (const finding of findings) {
+      if (!finding.file || !existing.has(finding.file)) continue;
+      const entry = stats.get(finding.file) || this.emptyStats(finding.file);
+      entry.findings++;
+      entry.findingWeight += SEVERITY_WEIGHTS[finding.severity] || 1;
+      stats.set(finding.file, entry);
+    }
+
+    const rows = [...stats.values()].filter((entry) => existing.has(entry.path));
+    const max = {
+      churn: Math.max(0, ...rows.map((r) => r.additions + r.deletions)),
+      authors: Math.max(0, ...rows.map((r) => r.authors.size)),
+      recent: Math.max(0, ...rows.map((r) => r.recentCommits)),
+      findings: Math.max(0, ...rows.map((r) => r.findingWeight)),
+    };
+
+    return rows
+      .map((r) => {
+        const churn = r.additions + r.deletions;
+        const risk =
+          RISK_WEIGHTS.churn * scale(churn, max.churn) +
+          RISK_WEIGHTS.authors * scale(r.authors.size, max.authors) +
+          RISK_WEIGHTS.recent * scale(r.recentCommits, max.recent) +
+          RISK_WEIGHTS.findings * scale(r.findingWeight, max.findings);
+
+        return {
+          path: r.path,
+          score: Math.round(risk * 100),
+          commits: r.commits,
+          churn,
+          additions: r.additions,
+          deletions: r.deletions,
+          authors: r.authors.size,
+          recentCommits: r.recentCommits,
+          commitsPerWeek: Math.round((r.commits / (days / 7)) * 100) / 100,
+          lastChanged: r.lastChanged,
+          findings: r.findings,
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.churn - a.churn);
+  }
+
+  /**
+   * Helper: Per-file change statistics for a history
+   * Commits are newest first, so a rename is seen before the older commits on the old path,
+   * which are then counted under the current name
+   * @param {Object} history - Result of getHistory
+   * @returns {Map} path -> stats
+   */
+  computeChurn(history) {
+    const stats = new Map();
+    const renamed = new Map(); // old path -> current path
+    const recentSince = Date.now() - RECENT_DAYS * DAY_MS;
+    const resolve = (path) => renamed.get(path) || path;
+
+    for (const commit of history.commits) {
+      const recent = new Date(commit.date).getTime() >= recentSince;
+
+      for (const file of commit.files) {
+        const path = resolve(file.path);
+        if (file.status === 'renamed' && file.previousPath) {
+          renamed.set(file.previousPath, path);
+        }
+
+        const entry = stats.get(path) || this.emptyStats(path);
+        entry.commits++;
+        entry.additions += file.additions;
+        entry.deletions += file.deletions;
+        entry.authors.add(commit.author);
+        if (recent) entry.recentCommits++;
+        if (!entry.lastChanged) entry.lastChanged = commit.date;
+        stats.set(path, entry);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Helper: Zeroed statistics for a file
+   * @param {string} path - Repository path
+   * @returns {Object} Stats
+   */
+  emptyStats(path) {
+    return {
+      path,
+      commits: 0,
+      additions: 0,
+      deletions: 0,
+      authors: new Set(),
+      recentCommits: 0,
+      lastChanged: null,
+      findings: 0,
+      findingWeight: 0,
+    };
+  }
+
+  /**
+   * Drop cached history so the next read sees new commits (commit file lists are kept)
+   */
+  invalidate() {
+    this.cache.clear();
+    logger.debug('Commit history cache invalidated');
+  }
+}
+
+/**
+ * Scale a count to 0..1 against the largest count, on a log scale so one huge file
+ * does not flatten everything else
+ * @param {number} value - Count
+ * @param {number} max - Largest count
+ * @returns {number} Scaled value
+ */
+function scale(value, max) {
+  return max > 0 ? Math.log1p(value) / Math.log1p(max) : 0;
+}
+
+export const historyService = new HistoryService();
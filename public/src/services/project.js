@@ -1,120 +1,174 @@
 /**
  * Project Service
- * Reads and analyzes project files from the repository
+ * Reads and analyzes project files from the configured source (GitHub or a local checkout)
  */
 
-import { githubService } from './github.js';
+import { createSource } from './sources/index.js';
+import { SKIPPED_DIRS } from './sources/base.js';
+import { config } from '../config/env.js';
 import { logger } from '../config/logger.js';
 
+const SOURCE_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go'];
+const MAX_CACHED_STRUCTURES = 20; // Refs; pull request scans add one per head SHA
+
+/**
+ * Whether a path is inside a dependency or build folder
+ * @param {string} filePath - Repository path
+ * @returns {boolean} True when the path should be ignored
+ */
+function isSkipped(filePath) {
+  return filePath.split('/').some((segment) => SKIPPED_DIRS.includes(segment));
+}
+
+/**
+ * Collect the file nodes of a nested tree
+ * @param {Array} nodes - Tree nodes
+ * @returns {Array} File nodes
+ */
+function flattenFiles(nodes) {
+  return nodes.flatMap((node) => (node.type === 'dir' ? flattenFiles(node.children) : [node]));
+}
+
 class ProjectService {
   constructor() {
-    this.cachedProjectStructure = null;
-    this.cacheExpiry = 0;
+    this.source = createSource(config);
+    logger.info('Project source initialized', this.source.getInfo());
+    this.cachedStructures = new Map(); // ref -> { structure, expiry }
     this.CACHE_TTL = 5 * 60 * 1000; // 5 minutes
   }
 
   /**
    * Get project structure
+   * `files` and `directories` hold the root level; `tree` is the full nested tree
+   * @param {string} ref - Branch, tag or commit (GITHUB_BRANCH when omitted)
    * @returns {Promise<Object>} Project structure
    */
-  async getProjectStructure() {
+  async getProjectStructure(ref) {
     const now = Date.now();
-    
-    if (this.cachedProjectStructure && now < this.cacheExpiry) {
-      logger.debug('Using cached project structure');
-      return this.cachedProjectStructure;
+    const cached = this.cachedStructures.get(ref || '');
+
+    if (cached && now < cached.expiry) {
+      logger.debug('Using cached project structure', { ref });
+      return cached.structure;
     }
+    if (cached) this.cachedStructures.delete(ref || '');
 
     try {
-      const root = await githubService.listFiles('');
-      const structure = {
-        files: [],
-        directories: [],
-        timestamp: new Date().toISOString(),
-      };
+      const { entries, truncated } = await this.source.listTree(ref);
+      const structure = this.buildStructure(entries, ref);
+      structure.truncated = truncated;
 
-      for (const item of root) {
-        if (item.type === 'file') {
-          structure.files.push({
-            name: item.name,
-            path: item.path,
-            size: item.size,
-          });
-        } else if (item.type === 'dir') {
-          structure.directories.push({
-            name: item.name,
-            path: item.path,
-          });
-        }
+      this.cachedStructures.set(ref || '', { structure, expiry: now + this.CACHE_TTL });
+      if (this.cachedStructures.size > MAX_CACHED_STRUCTURES) {
+        this.cachedStructures.delete(this.cachedStructures.keys().next().value);
       }
 
-      this.cachedProjectStructure = structure;
-      this.cacheExpiry = now + this.CACHE_TTL;
-
       logger.info('Project structure retrieved', {
-        files: structure.files.length,
-        dirs: structure.directories.length,
+        ref,
+        files: structure.fileCount,
+        rootFiles: structure.files.length,
+        rootDirs: structure.directories.length,
       });
 
       return structure;
     } catch (error) {
-      logger.warn('Failed to get project structure from GitHub', { error: error.message });
+      logger.warn('Failed to get project structure', { error: error.message, source: this.source.name, ref });
+      if (!this.source.mockFallback) throw error;
       // Return mock structure for demo/testing
       return this.getMockProjectStructure();
     }
   }
 
   /**
-   * Get mock project structure for demo
-   * @returns {Object} Mock structure
+   * Helper: Build the structure response from a flat list of tree entries
+   * @param {Array} entries - [{ name, path, type: 'file' | 'dir', size, sha }]
+   * @param {string} ref - Ref the entries were read at
+   * @returns {Object} { ref, files, directories, tree, fileCount, timestamp }
    */
-  getMockProjectStructure() {
+  buildStructure(entries, ref) {
+    const root = { children: [] };
+    const dirs = new Map([['', root]]);
+
+    // Creates missing parents too, in case a truncated tree skipped them
+    const getDir = (dirPath) => {
+      if (!dirs.has(dirPath)) {
+        const slash = dirPath.lastIndexOf('/');
+        const node = { name: dirPath.slice(slash + 1), path: dirPath, type: 'dir', sha: null, children: [] };
+        dirs.set(dirPath, node);
+        getDir(slash === -1 ? '' : dirPath.slice(0, slash)).children.push(node);
+      }
+      return dirs.get(dirPath);
+    };
+
+    let fileCount = 0;
+    for (const entry of [...entries].sort((a, b) => a.path.localeCompare(b.path))) {
+      const slash = entry.path.lastIndexOf('/');
+      const parent = getDir(slash === -1 ? '' : entry.path.slice(0, slash));
+
+      if (entry.type === 'dir') {
+        const node = getDir(entry.path);
+        node.sha = entry.sha;
+      } else {
+        parent.children.push({ name: entry.name, path: entry.path, type: 'file', size: entry.size, sha: entry.sha });
+        fileCount++;
+      }
+    }
+
     return {
-      files: [
-        { name: 'package.json', path: 'package.json', size: 850 },
-        { name: 'Dockerfile', path: 'Dockerfile', size: 320 },
-        { name: 'README.md', path: 'README.md', size: 2050 },
-        { name: '.env.example', path: '.env.example', size: 450 },
-        { name: '.gitignore', path: '.gitignore', size: 280 },
-      ],
-      directories: [
-        { name: 'public', path: 'public' },
-        { name: 'src', path: 'src' },
-        { name: 'assets', path: 'assets' },
-        { name: 'scripts', path: 'scripts' },
-      ],
+      ref: ref || this.source.getInfo().ref || null,
+      files: root.children
+        .filter((node) => node.type === 'file')
+        .map(({ name, path, size }) => ({ name, path, size })),
+      directories: root.children
+        .filter((node) => node.type === 'dir')
+        .map(({ name, path }) => ({ name, path })),
+      tree: root.children,
+      fileCount,
       timestamp: new Date().toISOString(),
     };
   }
 
+  /**
+   * Get mock project structure for demo
+   * @returns {Object} Mock structure
+   */
+  getMockProjectStructure() {
+    return this.buildStructure([
+      { name: 'package.json', path: 'package.json', type: 'file', size: 850, sha: null },
+      { name: 'Dockerfile', path: 'Dockerfile', type: 'file', size: 320, sha: null },
+      { name: 'README.md', path: 'README.md', type: 'file', size: 2050, sha: null },
+      { name: '.env.example', path: '.env.example', type: 'file', size: 450, sha: null },
+      { name: '.gitignore', path: '.gitignore', type: 'file', size: 280, sha: null },
+      { name: 'public', path: 'public', type: 'dir', sha: null },
+      { name: 'src', path: 'src', type: 'dir', sha: null },
+      { name: 'assets', path: 'assets', type: 'dir', sha: null },
+      { name: 'scripts', path: 'scripts', type: 'dir', sha: null },
+    ]);
+  }
+
   /**
    * Get specific file content
    * @param {string} filePath - Path to file
+   * @param {string} ref - Branch, tag or commit (GITHUB_BRANCH when omitted)
    * @returns {Promise<string>} File content
    */
-  async getFileContent(filePath) {
+  async getFileContent(filePath, ref) {
     try {
-      const response = await githubService.getFileContents(filePath);
-      
-      if (response.type === 'file') {
-        // Decode base64 content
-        return Buffer.from(response.content, 'base64').toString('utf-8');
-      }
-      
-      throw new Error('Path is not a file');
+      return await this.source.readFile(filePath, ref);
     } catch (error) {
-      logger.error('Failed to read file', { error: error.message, filePath });
+      logger.error('Failed to read file', { error: error.message, filePath, ref });
       throw error;
     }
   }
 
   /**
    * Scan project for common issues
+   * @param {string} ref - Branch, tag or commit (GITHUB_BRANCH when omitted)
    * @returns {Promise<Object>} Scan results
    */
-  async scanForIssues() {
+  async scanForIssues(ref) {
     try {
-      const structure = await this.getProjectStructure();
+      const structure = await this.getProjectStructure(ref);
       const issues = [];
 
       // Check for missing critical files
@@ -145,7 +199,7 @@ class ProjectService {
       // Check for outdated dependencies (if package.json exists)
       if (fileNames.includes('package.json')) {
         try {
-          const packageJson = await this.getFileContent('package.json');
+          const packageJson = await this.getFileContent('package.json', ref);
           const pkg = JSON.parse(packageJson);
           
           // Check if dependencies are very old (would need date comparison)
@@ -182,7 +236,8 @@ class ProjectService {
     try {
       return await this.getFileContent('README.md');
     } catch (error) {
-      logger.warn('Failed to read README from GitHub', { error: error.message });
+      logger.warn('Failed to read README', { error: error.message, source: this.source.name });
+      if (!this.source.mockFallback) throw error;
       // Return mock README
       return this.getMockReadme();
     }
@@ -236,7 +291,8 @@ Set these environment variables:
     try {
       return await this.getFileContent('Dockerfile');
     } catch (error) {
-      logger.warn('Failed to read Dockerfile from GitHub', { error: error.message });
+      logger.warn('Failed to read Dockerfile', { error: error.message, source: this.source.name });
+      if (!this.source.mockFallback) throw error;
       // Return mock Dockerfile
       return this.getMockDockerfile();
     }
@@ -269,17 +325,54 @@ CMD ["npm", "start"]`;
   }
 
   /**
-   * Get list of source files (JS, TS, etc)
+   * List every file in the repository outside dependency and build folders
+   * @param {number} maxFiles - Stop after this many files
+   * @param {string} ref - Branch, tag or commit (GITHUB_BRANCH when omitted)
+   * @returns {Promise<Array>} Files as { name, path, size, sha }
+   */
+  async listAllFiles(maxFiles = Infinity, ref) {
+    const { entries } = await this.source.listTree(ref);
+
+    return entries
+      .filter((entry) => entry.type === 'file' && !isSkipped(entry.path))
+      .slice(0, maxFiles)
+      .map(({ name, path, size, sha }) => ({ name, path, size, sha }));
+  }
+
+  /**
+   * Drop cached structures so the next read sees new commits
+   */
+  invalidate() {
+    this.cachedStructures.clear();
+    logger.debug('Project structure cache invalidated');
+  }
+
+  /**
+   * Describe where project files are read from
+   * @returns {Object} { source, location, ref }
+   */
+  getSourceInfo() {
+    return this.source.getInfo();
+  }
+
+  /**
+   * Check whether a path is a source file worth analyzing
+   * @param {string} filePath - Repository path
+   * @returns {boolean} True for source extensions outside dependency and build folders
+   */
+  isSourceFile(filePath) {
+    return !isSkipped(filePath) && SOURCE_EXTENSIONS.some((ext) => filePath.endsWith(ext));
+  }
+
+  /**
+   * Get list of source files (JS, TS, etc) anywhere in the tree
+   * @param {string} ref - Branch, tag or commit (GITHUB_BRANCH when omitted)
    * @returns {Promise<Array>} Source files
    */
-  async getSourceFiles() {
+  async getSourceFiles(ref) {
     try {
-      const structure = await this.getProjectStructure();
-      const extensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go'];
-      
-      return structure.files.filter((f) =>
-        extensions.some((ext) => f.name.endsWith(ext))
-      );
+      const structure = await this.getProjectStructure(ref);
+      return flattenFiles(structure.tree).filter((f) => this.isSourceFile(f.path));
     } catch (error) {
       logger.error('Failed to get source files', { error: error.message });
       return [];
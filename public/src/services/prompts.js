@@ -0,0 +1,152 @@
+/**
+ * Prompt Registry
+ * Loads named, versioned prompt templates from prompts/ and renders them with variables
+ *
+ * Templates are files named `<name>.v<version>.md` with optional front matter (`description:`).
+ * Variables are written as {{variable}}. The highest version is used unless pinned in PROMPT_VERSIONS.
+ * Per-repo overrides live in `<PROMPT_OVERRIDES_DIR>/<owner>/<repo>/` and win over built-in templates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+const BUILTIN_DIR = fileURLToPath(new URL('../../prompts', import.meta.url));
+const TEMPLATE_FILE = /^([a-z0-9-]+)\.v(\d+)\.md$/;
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptRegistry {
+  constructor() {
+    this.templates = new Map(); // name -> Map(version -> template)
+    this.pins = PromptRegistry.parsePins(config.PROMPT_VERSIONS);
+    this.reload();
+  }
+
+  /**
+   * (Re)load templates from the built-in and override directories
+   */
+  reload() {
+    this.templates.clear();
+    this.loadDir(BUILTIN_DIR, 'builtin');
+
+    const overrideDir = path.resolve(config.PROMPT_OVERRIDES_DIR, config.GITHUB_REPO);
+    if (fs.existsSync(overrideDir)) {
+      this.loadDir(overrideDir, 'override');
+    }
+
+    logger.debug('Prompt templates loaded', { templates: this.templates.size });
+  }
+
+  /**
+   * Load every template file in a directory
+   * @param {string} dir - Directory
+   * @param {string} source - 'builtin' or 'override'
+   */
+  loadDir(dir, source) {
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(TEMPLATE_FILE);
+      if (!match) continue;
+
+      const [, name, version] = match;
+      const { description, body } = PromptRegistry.parseFile(fs.readFileSync(path.join(dir, file), 'utf-8'));
+
+      if (!this.templates.has(name)) this.templates.set(name, new Map());
+      this.templates.get(name).set(parseInt(version, 10), {
+        name,
+        version: parseInt(version, 10),
+        id: `${name}@v${version}`,
+        description,
+        body,
+        source,
+        variables: [...new Set([...body.matchAll(VARIABLE)].map((m) => m[1]))],
+      });
+    }
+  }
+
+  /**
+   * Get a template
+   * @param {string} name - Template name
+   * @param {number} version - Specific version (defaults to pinned or latest)
+   * @returns {Object} Template { id, name, version, description, body, source, variables }
+   */
+  get(name, version) {
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    const wanted = version ?? this.pins[name] ?? Math.max(...versions.keys());
+    const template = versions.get(Number(wanted));
+    if (!template) {
+      throw new Error(`Unknown prompt template version: ${name}@v${wanted}`);
+    }
+    return template;
+  }
+
+  /**
+   * Render a template with variables
+   * @param {string} name - Template name
+   * @param {Object} variables - Values for {{variables}}
+   * @param {number} version - Specific version (defaults to pinned or latest)
+   * @returns {Object} { id, text } where id is `name@vN`, recorded on generated artifacts
+   */
+  render(name, variables = {}, version) {
+    const template = this.get(name, version);
+
+    const missing = template.variables.filter((v) => variables[v] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Missing variables for prompt ${template.id}: ${missing.join(', ')}`);
+    }
+
+    const text = template.body.replace(VARIABLE, (_, key) => String(variables[key]));
+    return { id: template.id, text };
+  }
+
+  /**
+   * List all templates
+   * @returns {Array} Template summaries, grouped by name with the active version
+   */
+  list() {
+    return [...this.templates.keys()].sort().map((name) => {
+      const active = this.get(name);
+      return {
+        name,
+        activeVersion: active.version,
+        versions: [...this.templates.get(name).values()]
+          .sort((a, b) => a.version - b.version)
+          .map(({ id, version, description, source, variables }) => ({ id, version, description, source, variables })),
+      };
+    });
+  }
+
+  /**
+   * Helper: Split optional front matter from the template body
+   * @param {string} content - File content
+   * @returns {Object} { description, body }
+   */
+  static parseFile(content) {
+    const match = content.match(/^---\n([\s\S]*?)\n---\n/);
+    const frontMatter = match ? match[1] : '';
+    const body = (match ? content.slice(match[0].length) : content).replace(/\n$/, '');
+    const description = (frontMatter.match(/^description:\s*(.*)$/m) || [])[1] || '';
+    return { description, body };
+  }
+
+  /**
+   * Helper: Parse version pins ("analyze-code=1,docs-readme=2")
+   * @param {string} value - Config value
+   * @returns {Object} Versions by template name
+   */
+  static parsePins(value) {
+    const pins = {};
+    for (const pair of value.split(',').filter(Boolean)) {
+      const [name, version] = pair.split('=').map((s) => s.trim());
+      pins[name] = parseInt(version, 10);
+    }
+    return pins;
+  }
+}
+
+export const promptRegistry = new PromptRegistry();
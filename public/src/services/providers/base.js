@@ -0,0 +1,110 @@
+/**
+ * LLM Provider Base
+ * Common interface implemented by every language model backend
+ */
+
+export class LLMProvider {
+  /**
+   * @param {string} name - Provider name (gemini, openai, scripted)
+   * @param {string} model - Model identifier
+   */
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+    this.offline = false; // True for local deterministic providers (no rate limits)
+    this.embeddingModel = null; // Set by providers that implement embed()
+  }
+
+  /**
+   * Single-turn text generation
+   * Providers that know real token counts report them through `options.onUsage({ inputTokens, outputTokens })`
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Generation options (model, temperature, maxTokens, onUsage)
+   * @returns {Promise<string>} Generated text
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Multi-turn chat
+   * @param {Array} messages - Messages as { role: 'user' | 'model', content }, last one is the new user turn
+   * @param {Object} options - Generation options
+   * @returns {Promise<string>} Model reply
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  /**
+   * Multi-turn chat streamed as text chunks
+   * Default implementation yields the whole reply at once
+   * @param {Array} messages - Messages as { role: 'user' | 'model', content }, and the tool turns of chatWithTools
+   *   when the stream answers tool results
+   * @param {Object} options - Generation options plus `signal` (AbortSignal) to stop early
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *chatStream(messages, options = {}) {
+    yield await this.chat(messages, options);
+  }
+
+  /**
+   * One chat step with function calling
+   * Default implementation ignores the tools and answers in text
+   * @param {Array} messages - Chat messages, plus tool turns:
+   *   { role: 'model', content, toolCalls: [{ id, name, args }] } and { role: 'tool', toolCallId, name, result }
+   * @param {Array} tools - Declarations as { name, description, parameters } (JSON schema)
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }] }; no tool calls means a final answer
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return { text: await this.chat(messages, options), toolCalls: [] };
+  }
+
+  /**
+   * Embed texts as vectors for semantic search
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async embed(texts) {
+    throw new Error(`${this.name} provider does not support embeddings`);
+  }
+
+  /**
+   * Generation constrained to JSON output
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async generateStructured(prompt, options = {}) {
+    const text = await this.generate(prompt, options);
+    return parseJSON(text);
+  }
+}
+
+/**
+ * Parse JSON out of a model reply, tolerating markdown fences and prose around it
+ * @param {string} text - Model output
+ * @returns {Object} Parsed JSON
+ * @throws {Error} With `raw` set to the original text when nothing parses
+ */
+export function parseJSON(text) {
+  const candidates = [
+    text,
+    text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, ''),
+    (text.match(/\{[\s\S]*\}/) || [])[0],
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // try the next candidate
+    }
+  }
+
+  const error = new Error('Model did not return valid JSON');
+  error.raw = text;
+  throw error;
+}
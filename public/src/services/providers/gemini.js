@@ -0,0 +1,187 @@
+/**
+ * Gemini Provider
+ * Google Generative AI backend
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider, parseJSON } from './base.js';
+
+export class GeminiProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { apiKey, model, embeddingModel }
+   */
+  constructor({ apiKey, model, embeddingModel }) {
+    super('gemini', model);
+    this.embeddingModel = embeddingModel;
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  /**
+   * Get a model handle, optionally with a system instruction
+   * @param {Object} options - { systemPrompt }
+   * @returns {Object} GenerativeModel
+   */
+  getModel(options = {}) {
+    const params = { model: options.model || this.model };
+    if (options.systemPrompt) {
+      params.systemInstruction = { role: 'system', parts: [{ text: options.systemPrompt }] };
+    }
+    if (options.tools?.length) {
+      params.tools = [{
+        functionDeclarations: options.tools.map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          ...(tool.parameters && { parameters: GeminiProvider.toGeminiSchema(tool.parameters) }),
+        })),
+      }];
+    }
+    return this.client.getGenerativeModel(params);
+  }
+
+  /**
+   * Helper: Convert a JSON schema to Gemini's schema format (upper-case type names)
+   * @param {Object} schema - JSON schema
+   * @returns {Object} Gemini schema
+   */
+  static toGeminiSchema(schema) {
+    const converted = { ...schema, type: schema.type.toUpperCase() };
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [key, GeminiProvider.toGeminiSchema(value)])
+      );
+    }
+    if (schema.items) converted.items = GeminiProvider.toGeminiSchema(schema.items);
+    return converted;
+  }
+
+  /**
+   * Convert provider-neutral messages (including tool turns) to Gemini contents
+   * Consecutive tool results are merged into one `function` turn, as Gemini expects
+   * @param {Array} messages - Chat messages
+   * @returns {Array} Gemini contents
+   */
+  static toContents(messages) {
+    const contents = [];
+    for (const m of messages) {
+      if (m.role === 'tool') {
+        const part = { functionResponse: { name: m.name, response: { result: m.result } } };
+        const previous = contents[contents.length - 1];
+        if (previous?.role === 'function') {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'function', parts: [part] });
+        }
+        continue;
+      }
+
+      const parts = m.content ? [{ text: m.content }] : [];
+      for (const call of m.toolCalls || []) {
+        parts.push({ functionCall: { name: call.name, args: call.args } });
+      }
+      contents.push({ role: m.role, parts });
+    }
+    return contents;
+  }
+
+  /**
+   * Map common generation options onto Gemini's generationConfig
+   * @param {Object} options - Generation options
+   * @returns {Object} generationConfig
+   */
+  buildGenerationConfig(options = {}) {
+    const generationConfig = {};
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxTokens !== undefined) generationConfig.maxOutputTokens = options.maxTokens;
+    if (options.json) generationConfig.responseMimeType = 'application/json';
+    return generationConfig;
+  }
+
+  /**
+   * Helper: Report the token counts Gemini returns with each response
+   * @param {Object} response - GenerateContentResponse
+   * @param {Object} options - { onUsage }
+   */
+  static reportUsage(response, options) {
+    const usage = response.usageMetadata;
+    if (usage && options.onUsage) {
+      options.onUsage({
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0,
+      });
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.getModel(options).generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: this.buildGenerationConfig(options),
+    });
+    GeminiProvider.reportUsage(result.response, options);
+    return result.response.text();
+  }
+
+  async chat(messages, options = {}) {
+    const history = messages.slice(0, -1).map((m) => ({
+      role: m.role,
+      parts: [{ text: m.content }],
+    }));
+    const last = messages[messages.length - 1];
+
+    const session = this.getModel(options).startChat({
+      history,
+      generationConfig: this.buildGenerationConfig(options),
+    });
+
+    const result = await session.sendMessage(last.content);
+    GeminiProvider.reportUsage(result.response, options);
+    return result.response.text();
+  }
+
+  async *chatStream(messages, options = {}) {
+    // Aborting the signal closes the HTTP stream, so the model stops generating for us
+    const result = await this.getModel(options).generateContentStream(
+      {
+        contents: GeminiProvider.toContents(messages),
+        generationConfig: this.buildGenerationConfig(options),
+      },
+      { signal: options.signal }
+    );
+    // The aggregated response rejects when the stream is aborted; only awaited after a complete stream
+    result.response.catch(() => {});
+
+    for await (const chunk of result.stream) {
+      if (options.signal?.aborted) return;
+      yield chunk.text();
+    }
+    GeminiProvider.reportUsage(await result.response, options);
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const result = await this.getModel({ ...options, tools }).generateContent({
+      contents: GeminiProvider.toContents(messages),
+      generationConfig: this.buildGenerationConfig(options),
+    });
+
+    GeminiProvider.reportUsage(result.response, options);
+
+    // Gemini does not assign call IDs; results are matched back by name
+    const toolCalls = (result.response.functionCalls() || []).map((call, index) => ({
+      id: `call_${index}`,
+      name: call.name,
+      args: call.args || {},
+    }));
+    return { text: toolCalls.length ? '' : result.response.text(), toolCalls };
+  }
+
+  async embed(texts) {
+    const result = await this.client.getGenerativeModel({ model: this.embeddingModel }).batchEmbedContents({
+      requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } })),
+    });
+    return result.embeddings.map((embedding) => embedding.values);
+  }
+
+  async generateStructured(prompt, options = {}) {
+    const text = await this.generate(prompt, { ...options, json: true });
+    return parseJSON(text);
+  }
+}
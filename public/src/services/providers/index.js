@@ -0,0 +1,77 @@
+/**
+ * LLM Provider Factory
+ * Builds the configured provider from environment configuration
+ */
+
+import path from 'path';
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { ScriptedProvider } from './scripted.js';
+import { RecordingProvider, ReplayProvider } from './replay.js';
+import { logger } from '../../config/logger.js';
+
+const DEFAULT_EMBEDDING_MODELS = {
+  gemini: 'text-embedding-004',
+  openai: 'text-embedding-3-small',
+};
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash-lite',
+  openai: 'gpt-4o-mini',
+  scripted: 'scripted',
+};
+
+/**
+ * Create the LLM provider selected by config.LLM_PROVIDER, wrapped for record/replay
+ * when LLM_RECORD_MODE is set
+ * @param {Object} config - Application config
+ * @returns {LLMProvider} Provider instance
+ */
+export function createProvider(config) {
+  switch (config.LLM_RECORD_MODE) {
+    case 'replay':
+      return new ReplayProvider(path.resolve(config.LLM_FIXTURES_DIR));
+    case 'record':
+      return new RecordingProvider(createBaseProvider(config), path.resolve(config.LLM_FIXTURES_DIR));
+    case 'off':
+      return createBaseProvider(config);
+    default:
+      throw new Error(`Unknown LLM_RECORD_MODE: ${config.LLM_RECORD_MODE} (expected off, record or replay)`);
+  }
+}
+
+/**
+ * Create the configured model backend
+ * Falls back to the scripted provider when Gemini has no API key
+ * @param {Object} config - Application config
+ * @returns {LLMProvider} Provider instance
+ */
+function createBaseProvider(config) {
+  const name = config.LLM_PROVIDER;
+  const model = config.LLM_MODEL || DEFAULT_MODELS[name];
+  const embeddingModel = config.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[name];
+
+  switch (name) {
+    case 'gemini':
+      if (!config.GEMINI_API_KEY) {
+        logger.warn('Gemini API key not configured; running in fallback/mock mode');
+        return new ScriptedProvider({ scriptFile: config.LLM_SCRIPT_FILE });
+      }
+      return new GeminiProvider({ apiKey: config.GEMINI_API_KEY, model, embeddingModel });
+
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: config.OPENAI_BASE_URL,
+        apiKey: config.OPENAI_API_KEY,
+        model,
+        embeddingModel,
+        timeout: config.LLM_TIMEOUT,
+      });
+
+    case 'scripted':
+      return new ScriptedProvider({ scriptFile: config.LLM_SCRIPT_FILE });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${name} (expected gemini, openai or scripted)`);
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any server exposing /v1/chat/completions (OpenAI, llama.cpp, Ollama, vLLM, ...)
+ */
+
+import axios from 'axios';
+import { LLMProvider, parseJSON } from './base.js';
+
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { baseUrl, apiKey, model, embeddingModel, timeout }
+   */
+  constructor({ baseUrl, apiKey, model, embeddingModel, timeout = 120000 }) {
+    super('openai', model);
+    this.embeddingModel = embeddingModel;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Call the chat completions endpoint
+   * @param {Array} messages - OpenAI-format messages
+   * @param {Object} options - Generation options
+   * @returns {Promise<string>} Reply text
+   */
+  async complete(messages, options = {}) {
+    const message = await this.completeMessage(messages, options);
+    return message.content || '';
+  }
+
+  /**
+   * Call the chat completions endpoint and return the whole reply message
+   * @param {Array} messages - OpenAI-format messages
+   * @param {Object} options - Generation options
+   * @param {Array} tools - OpenAI-format tool definitions
+   * @returns {Promise<Object>} Assistant message ({ content, tool_calls })
+   */
+  async completeMessage(messages, options = {}, tools = []) {
+    const body = {
+      model: options.model || this.model,
+      messages,
+    };
+    if (tools.length) body.tools = tools;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.maxTokens !== undefined) body.max_tokens = options.maxTokens;
+    if (options.json) body.response_format = { type: 'json_object' };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers,
+      timeout: this.timeout,
+    });
+
+    const usage = response.data.usage;
+    if (usage && options.onUsage) {
+      options.onUsage({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+    }
+
+    return response.data.choices?.[0]?.message || {};
+  }
+
+  /**
+   * Call the chat completions endpoint in streaming mode
+   * @param {Array} messages - OpenAI-format messages
+   * @param {Object} options - Generation options plus `signal`
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *completeStream(messages, options = {}) {
+    const body = {
+      model: options.model || this.model,
+      messages,
+      stream: true,
+    };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.maxTokens !== undefined) body.max_tokens = options.maxTokens;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers,
+      timeout: this.timeout,
+      responseType: 'stream',
+      signal: options.signal,
+    });
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString('utf-8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload) continue;
+        if (payload === '[DONE]') return;
+
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  }
+
+  /**
+   * Convert provider-neutral messages to OpenAI roles
+   * @param {Array} messages - { role: 'user' | 'model', content }
+   * @param {Object} options - { systemPrompt }
+   * @returns {Array} OpenAI-format messages
+   */
+  toOpenAIMessages(messages, options = {}) {
+    const converted = messages.map((m) => {
+      if (m.role === 'tool') {
+        return { role: 'tool', tool_call_id: m.toolCallId, content: JSON.stringify(m.result) };
+      }
+      if (m.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: m.content || null,
+          tool_calls: m.toolCalls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.args) },
+          })),
+        };
+      }
+      return { role: m.role === 'model' ? 'assistant' : 'user', content: m.content };
+    });
+    if (options.systemPrompt) {
+      converted.unshift({ role: 'system', content: options.systemPrompt });
+    }
+    return converted;
+  }
+
+  async generate(prompt, options = {}) {
+    return this.complete(this.toOpenAIMessages([{ role: 'user', content: prompt }], options), options);
+  }
+
+  async chat(messages, options = {}) {
+    return this.complete(this.toOpenAIMessages(messages, options), options);
+  }
+
+  async *chatStream(messages, options = {}) {
+    yield* this.completeStream(this.toOpenAIMessages(messages, options), options);
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const message = await this.completeMessage(
+      this.toOpenAIMessages(messages, options),
+      options,
+      tools.map((tool) => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: 'object', properties: {} },
+        },
+      }))
+    );
+
+    const toolCalls = (message.tool_calls || []).map((call) => ({
+      id: call.id,
+      name: call.function.name,
+      args: OpenAICompatibleProvider.parseArguments(call.function.arguments),
+    }));
+    return { text: message.content || '', toolCalls };
+  }
+
+  /**
+   * Helper: Parse tool call arguments, which local models sometimes leave malformed
+   * @param {string} text - JSON-encoded arguments
+   * @returns {Object} Arguments (empty when unparseable)
+   */
+  static parseArguments(text) {
+    try {
+      return JSON.parse(text || '{}');
+    } catch (e) {
+      return {};
+    }
+  }
+
+  async embed(texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(`${this.baseUrl}/embeddings`, {
+      model: this.embeddingModel,
+      input: texts,
+    }, {
+      headers,
+      timeout: this.timeout,
+    });
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+
+  async generateStructured(prompt, options = {}) {
+    const text = await this.generate(prompt, { ...options, json: true });
+    return parseJSON(text);
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Record/Replay Providers
+ * Record mode writes every request/response pair to fixture files; replay mode serves them back offline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { LLMProvider } from './base.js';
+import { logger } from '../../config/logger.js';
+
+const FUZZY_MATCH_THRESHOLD = 0.9;
+
+/**
+ * Normalize a request so cosmetic differences (whitespace, timestamps) still match
+ * @param {string} method - Provider method
+ * @param {Object} request - { prompt } or { messages }, plus systemPrompt
+ * @returns {string} Normalized request text
+ */
+function normalizeRequest(method, request) {
+  const text = request.messages
+    ? request.messages.map(describeMessage).join('\n')
+    : request.prompt;
+
+  return `${method}\n${request.systemPrompt || ''}\n${text}`
+    .replace(/\d{4}-\d{2}-\d{2}T[\d:.]+Z/g, '<timestamp>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Helper: Text form of a chat message, including tool calls and results
+ * Call IDs are left out because some providers generate them randomly
+ * @param {Object} message - Chat message
+ * @returns {string} Message text
+ */
+function describeMessage(message) {
+  const parts = [message.content];
+  if (message.toolCalls) parts.push(JSON.stringify(message.toolCalls.map(({ name, args }) => ({ name, args }))));
+  if (message.result !== undefined) parts.push(`${message.name} ${JSON.stringify(message.result)}`);
+  return `${message.role}: ${parts.filter(Boolean).join(' ')}`;
+}
+
+/**
+ * Fixture file name for a request
+ * @param {string} normalized - Normalized request
+ * @returns {string} File name
+ */
+function fixtureName(normalized) {
+  return `${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16)}.json`;
+}
+
+/**
+ * Rebuild the parse error a provider raised for unparseable JSON
+ * @param {Object} fixture - Fixture with `rawError`
+ * @returns {Error} Error with `raw`
+ */
+function parseErrorFrom(fixture) {
+  const error = new Error('Model did not return valid JSON');
+  error.raw = fixture.rawError;
+  return error;
+}
+
+export class RecordingProvider extends LLMProvider {
+  /**
+   * @param {LLMProvider} inner - Provider making the real calls
+   * @param {string} dir - Fixture directory
+   */
+  constructor(inner, dir) {
+    super(inner.name, inner.model);
+    this.inner = inner;
+    this.offline = inner.offline;
+    // Embeddings pass through unrecorded; replay uses keyword search instead
+    this.embeddingModel = inner.embeddingModel;
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Write one fixture
+   * @param {string} method - Provider method
+   * @param {Object} request - Request data
+   * @param {Object} outcome - { response } or { rawError }
+   * @param {Object} options - Call options (model)
+   */
+  record(method, request, outcome, options = {}) {
+    const normalized = normalizeRequest(method, request);
+    const fixture = {
+      method,
+      request,
+      ...outcome,
+      provider: this.inner.name,
+      model: options.model || this.inner.model,
+      recordedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(path.join(this.dir, fixtureName(normalized)), JSON.stringify(fixture, null, 2));
+    logger.debug('LLM fixture recorded', { method });
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.inner.generate(prompt, options);
+    this.record('generate', { prompt, systemPrompt: options.systemPrompt }, { response }, options);
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.inner.chat(messages, options);
+    this.record('chat', { messages, systemPrompt: options.systemPrompt }, { response }, options);
+    return response;
+  }
+
+  async *chatStream(messages, options = {}) {
+    let response = '';
+    for await (const chunk of this.inner.chatStream(messages, options)) {
+      response += chunk;
+      yield chunk;
+    }
+    if (!options.signal?.aborted) {
+      this.record('chat', { messages, systemPrompt: options.systemPrompt }, { response }, options);
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const response = await this.inner.chatWithTools(messages, tools, options);
+    this.record('chatWithTools', { messages, systemPrompt: options.systemPrompt }, { response }, options);
+    return response;
+  }
+
+  async embed(texts) {
+    return this.inner.embed(texts);
+  }
+
+  async generateStructured(prompt, options = {}) {
+    const request = { prompt, systemPrompt: options.systemPrompt };
+    try {
+      const response = await this.inner.generateStructured(prompt, options);
+      this.record('generateStructured', request, { response }, options);
+      return response;
+    } catch (error) {
+      if (error.raw !== undefined) {
+        this.record('generateStructured', request, { rawError: error.raw }, options);
+      }
+      throw error;
+    }
+  }
+}
+
+export class ReplayProvider extends LLMProvider {
+  /**
+   * @param {string} dir - Fixture directory
+   */
+  constructor(dir) {
+    super('replay', 'replay');
+    this.offline = true;
+    this.dir = dir;
+    this.fixtures = new Map(); // normalized request -> fixture
+    this.load();
+  }
+
+  /**
+   * Load all fixtures from disk
+   */
+  load() {
+    if (!fs.existsSync(this.dir)) {
+      logger.warn('LLM fixture directory not found', { dir: this.dir });
+      return;
+    }
+
+    for (const file of fs.readdirSync(this.dir).filter((f) => f.endsWith('.json'))) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+      this.fixtures.set(normalizeRequest(fixture.method, fixture.request), fixture);
+    }
+
+    logger.info('LLM fixtures loaded for replay', { fixtures: this.fixtures.size });
+  }
+
+  /**
+   * Find the fixture for a request: exact match first, then the closest prompt with the same method
+   * @param {string} method - Provider method
+   * @param {Object} request - Request data
+   * @returns {Object} Fixture
+   * @throws {Error} When nothing matches
+   */
+  find(method, request) {
+    const normalized = normalizeRequest(method, request);
+    const exact = this.fixtures.get(normalized);
+    if (exact) return exact;
+
+    let best = null;
+    let bestScore = 0;
+    for (const [key, fixture] of this.fixtures) {
+      if (fixture.method !== method) continue;
+      const score = ReplayProvider.similarity(normalized, key);
+      if (score > bestScore) {
+        best = fixture;
+        bestScore = score;
+      }
+    }
+
+    if (best && bestScore >= FUZZY_MATCH_THRESHOLD) {
+      logger.warn('LLM replay using closest fixture', { method, similarity: bestScore.toFixed(3) });
+      return best;
+    }
+
+    throw new Error(`No recorded fixture for ${method}: ${normalized.substring(0, 120)}...`);
+  }
+
+  /**
+   * Helper: Jaccard similarity of word sets
+   * @param {string} a - Text
+   * @param {string} b - Text
+   * @returns {number} Similarity between 0 and 1
+   */
+  static similarity(a, b) {
+    const setA = new Set(a.split(' '));
+    const setB = new Set(b.split(' '));
+    let shared = 0;
+    for (const word of setA) {
+      if (setB.has(word)) shared++;
+    }
+    return shared / (setA.size + setB.size - shared);
+  }
+
+  async generate(prompt, options = {}) {
+    return this.find('generate', { prompt, systemPrompt: options.systemPrompt }).response;
+  }
+
+  async chat(messages, options = {}) {
+    return this.find('chat', { messages, systemPrompt: options.systemPrompt }).response;
+  }
+
+  async *chatStream(messages, options = {}) {
+    const reply = await this.chat(messages, options);
+    for (const word of reply.split(/(?<=\s)/)) {
+      if (options.signal?.aborted) return;
+      yield word;
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this.find('chatWithTools', { messages, systemPrompt: options.systemPrompt }).response;
+  }
+
+  async generateStructured(prompt, options = {}) {
+    const fixture = this.find('generateStructured', { prompt, systemPrompt: options.systemPrompt });
+    if (fixture.rawError !== undefined) throw parseErrorFrom(fixture);
+    return fixture.response;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Scripted Provider
+ * Deterministic offline backend: answers from a list of match rules, or echoes a mock reply
+ */
+
+import fs from 'fs';
+import { LLMProvider, parseJSON } from './base.js';
+
+export class ScriptedProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { rules, scriptFile }
+   *   rules: [{ match: 'substring' | /regex/, response: 'text' | {json}, toolCalls: [{ name, args }] }]
+   *   scriptFile: JSON file holding the same rules (match strings starting with '/' are regexes)
+   */
+  constructor({ rules = [], scriptFile = '' } = {}) {
+    super('scripted', 'scripted');
+    this.offline = true;
+    this.rules = [...rules, ...ScriptedProvider.loadRules(scriptFile)];
+  }
+
+  /**
+   * Load rules from a JSON script file
+   * @param {string} scriptFile - Path to script
+   * @returns {Array} Rules
+   */
+  static loadRules(scriptFile) {
+    if (!scriptFile) return [];
+    const rules = JSON.parse(fs.readFileSync(scriptFile, 'utf-8'));
+    return rules.map((rule) => {
+      const regex = typeof rule.match === 'string' && rule.match.match(/^\/(.*)\/([a-z]*)$/s);
+      return regex ? { ...rule, match: new RegExp(regex[1], regex[2]) } : rule;
+    });
+  }
+
+  /**
+   * Find the first rule matching a prompt
+   * @param {string} prompt - Prompt text
+   * @returns {Object|undefined} Matching rule
+   */
+  findRule(prompt) {
+    return this.rules.find((rule) =>
+      rule.match instanceof RegExp ? rule.match.test(prompt) : prompt.includes(rule.match)
+    );
+  }
+
+  /**
+   * Render a rule response as text
+   * @param {*} response - Rule response
+   * @returns {string} Text
+   */
+  static toText(response) {
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  async generate(prompt, options = {}) {
+    const rule = this.findRule(prompt);
+    if (rule) return ScriptedProvider.toText(rule.response);
+    return `Mock response for prompt: ${prompt.substring(0, 120)}...`;
+  }
+
+  /**
+   * Helper: Summarize the tool results that end a conversation
+   * @param {Array} messages - Chat messages ending in tool turns
+   * @returns {string} Reply
+   */
+  static summarizeToolResults(messages) {
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+      results.unshift(`${messages[i].name} returned ${JSON.stringify(messages[i].result).substring(0, 200)}`);
+    }
+    return `Mock tool reply: ${results.join('; ')}`;
+  }
+
+  async chat(messages, options = {}) {
+    const last = messages[messages.length - 1];
+
+    // After tool results come back, answer with a summary of them
+    if (last.role === 'tool') return ScriptedProvider.summarizeToolResults(messages);
+
+    const rule = this.findRule(last.content);
+    if (rule) return ScriptedProvider.toText(rule.response);
+    return `Mock chat reply: Received message '${last.content}'`;
+  }
+
+  async *chatStream(messages, options = {}) {
+    const reply = await this.chat(messages, options);
+    for (const word of reply.split(/(?<=\s)/)) {
+      if (options.signal?.aborted) return;
+      yield word;
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const last = messages[messages.length - 1];
+    const rule = last.role === 'tool' ? null : this.findRule(last.content);
+    if (rule?.toolCalls) {
+      return {
+        text: '',
+        toolCalls: rule.toolCalls.map((call, index) => ({ id: `call_${index}`, name: call.name, args: call.args || {} })),
+      };
+    }
+    return { text: await this.chat(messages, options), toolCalls: [] };
+  }
+
+  async generateStructured(prompt, options = {}) {
+    const rule = this.findRule(prompt);
+    if (!rule) return {};
+    return typeof rule.response === 'string' ? parseJSON(rule.response) : rule.response;
+  }
+}
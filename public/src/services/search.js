@@ -0,0 +1,313 @@
+/**
+ * Code Search Service
+ * Local index of repository chunks for semantic search and chat retrieval.
+ * Uses provider embeddings when available, BM25 keyword ranking otherwise.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { projectService } from './project.js';
+import { geminiService } from './gemini.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { chunkSource } from '../utils/chunker.js';
+import { BM25Index } from '../utils/bm25.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+
+const INDEXED_EXTENSIONS = [
+  '.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rb', '.rs',
+  '.md', '.json', '.yml', '.yaml', '.html', '.css', '.sh',
+];
+const INDEXED_NAMES = ['Dockerfile', 'Makefile', '.env.example'];
+const SKIPPED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+const EMBED_BATCH_SIZE = 50;
+const SNIPPET_CHARS = 1500;
+const FILE_FETCH_CONCURRENCY = 8;
+
+class SearchService {
+  constructor() {
+    this.file = path.resolve(config.SEARCH_INDEX_FILE);
+    this.files = new Map(); // path -> { sha, chunks: [{ startLine, endLine, content, vector }] }
+    this.embeddingModel = null; // Model the stored vectors came from
+    this.builtAt = 0;
+    this.keywordIndex = null;
+    this.chunkList = [];
+    this.building = null;
+    this.generation = 0; // Bumped by invalidate()
+    this.loaded = false;
+  }
+
+  /**
+   * Search the repository
+   * @param {string} query - Natural language or keyword query
+   * @param {Object} options - { limit }, { wait: false } to get no results instead of waiting for the first build
+   * @returns {Promise<Object>} { mode: 'embedding' | 'keyword', results: [{ path, startLine, endLine, score, snippet }] }
+   */
+  async search(query, { limit = 5, wait = true } = {}) {
+    await this.ensureIndex({ wait });
+
+    if (this.chunkList.length === 0) {
+      return { mode: 'keyword', results: [] };
+    }
+
+    if (this.hasVectors()) {
+      try {
+        const [queryVector] = await geminiService.embed([query]);
+        const results = this.chunkList
+          .map((chunk, id) => ({ id, score: cosineSimilarity(queryVector, chunk.vector) }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+        return { mode: 'embedding', results: results.map((r) => this.toResult(r)) };
+      } catch (error) {
+        logger.warn('Embedding search failed, using keyword search', { error: error.message });
+      }
+    }
+
+    return {
+      mode: 'keyword',
+      results: this.keywordIndex.search(query, limit).map((r) => this.toResult(r)),
+    };
+  }
+
+  /**
+   * Make sure there is an index, rebuilding it once it is older than SEARCH_INDEX_TTL or invalidated
+   * Only the first build is waited for: a stale index is served while the new one builds in the background
+   * @param {Object} options - { wait: false } to start the first build without waiting for it
+   */
+  async ensureIndex({ wait = true } = {}) {
+    if (!this.loaded) {
+      this.load();
+    }
+    if (Date.now() - this.builtAt <= config.SEARCH_INDEX_TTL) return;
+
+    if (wait && !this.keywordIndex) {
+      await this.build();
+    } else {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Rebuild the index in the background; failures are logged and the current index is kept
+   */
+  refresh() {
+    this.build().catch((error) => logger.warn('Search index build failed', { error: error.message }));
+  }
+
+  /**
+   * Rebuild the index; concurrent callers share one build
+   * @returns {Promise<void>}
+   */
+  build() {
+    if (!this.building) {
+      this.building = this.rebuild().finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  /**
+   * Walk the repository and re-chunk changed files, reusing chunks whose file SHA is unchanged
+   */
+  async rebuild() {
+    const startTime = Date.now();
+    const generation = this.generation;
+    const files = (await projectService.listAllFiles(config.SEARCH_MAX_FILES)).filter(isIndexable);
+    const modelId = geminiService.getEmbeddingModel();
+    const reuseVectors = modelId && modelId === this.embeddingModel;
+
+    const entries = await mapConcurrent(files, FILE_FETCH_CONCURRENCY, async (file) => {
+      const previous = this.files.get(file.path);
+      if (previous && previous.sha === file.sha) {
+        return [file.path, reuseVectors ? previous : { ...previous, chunks: previous.chunks.map(withoutVector) }];
+      }
+
+      try {
+        const content = await projectService.getFileContent(file.path);
+        const chunks = chunkSource(content, { maxTokens: config.SEARCH_CHUNK_TOKENS })
+          .filter((chunk) => chunk.content.trim());
+        return [file.path, { sha: file.sha, chunks }];
+      } catch (error) {
+        logger.warn(`Failed to index ${file.path}`, { error: error.message });
+        return null;
+      }
+    });
+
+    this.files = new Map(entries.filter(Boolean));
+    this.embeddingModel = modelId;
+    await this.embedMissing();
+    this.refreshLookups();
+    // Invalidated while building: the files read may predate the change, so stay stale
+    this.builtAt = generation === this.generation ? Date.now() : 0;
+    this.save();
+
+    logger.info('Search index built', {
+      files: this.files.size,
+      chunks: this.chunkList.length,
+      mode: this.hasVectors() ? 'embedding' : 'keyword',
+      duration: Date.now() - startTime,
+    });
+  }
+
+  /**
+   * Embed chunks that have no vector yet
+   * On failure the index stays keyword-only until the next build
+   */
+  async embedMissing() {
+    if (!this.embeddingModel) return;
+
+    const pending = [];
+    for (const [filePath, entry] of this.files) {
+      for (const chunk of entry.chunks) {
+        if (!chunk.vector) pending.push({ filePath, chunk });
+      }
+    }
+
+    try {
+      for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+        const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+        const vectors = await geminiService.embed(batch.map(({ filePath, chunk }) => `${filePath}\n${chunk.content}`));
+        batch.forEach(({ chunk }, index) => {
+          chunk.vector = vectors[index];
+        });
+      }
+    } catch (error) {
+      logger.warn('Embedding chunks failed, falling back to keyword search', { error: error.message });
+    }
+  }
+
+  /**
+   * Helper: Rebuild the flat chunk list and the keyword index
+   */
+  refreshLookups() {
+    this.chunkList = [];
+    this.keywordIndex = new BM25Index();
+
+    for (const [filePath, entry] of this.files) {
+      for (const chunk of entry.chunks) {
+        this.keywordIndex.add(this.chunkList.length, `${filePath}\n${chunk.content}`);
+        this.chunkList.push({ path: filePath, ...chunk });
+      }
+    }
+  }
+
+  /**
+   * Helper: Check whether every chunk has an embedding
+   * @returns {boolean} True when vector search can be used
+   */
+  hasVectors() {
+    return this.chunkList.length > 0 && this.chunkList.every((chunk) => chunk.vector);
+  }
+
+  /**
+   * Helper: Format a ranked chunk for callers
+   * @param {Object} ranked - { id, score }
+   * @returns {Object} Search result
+   */
+  toResult({ id, score }) {
+    const chunk = this.chunkList[id];
+    return {
+      path: chunk.path,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      score: Number(score.toFixed(4)),
+      snippet: chunk.content.substring(0, SNIPPET_CHARS),
+    };
+  }
+
+  /**
+   * Load a previously saved index from disk
+   */
+  load() {
+    this.loaded = true;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      this.files = new Map(Object.entries(saved.files));
+      this.embeddingModel = saved.embeddingModel;
+      this.builtAt = saved.builtAt;
+      this.refreshLookups();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load search index', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Persist the index so restarts do not re-embed unchanged files
+   */
+  save() {
+    const data = {
+      builtAt: this.builtAt,
+      embeddingModel: this.embeddingModel,
+      files: Object.fromEntries(this.files),
+    };
+    fs.promises
+      .mkdir(path.dirname(this.file), { recursive: true })
+      .then(() => fs.promises.writeFile(this.file, JSON.stringify(data)))
+      .catch((error) => logger.warn('Failed to save search index', { error: error.message }));
+  }
+
+  /**
+   * Mark the index stale and rebuild it in the background; searches use the stale index until then
+   */
+  invalidate() {
+    this.builtAt = 0;
+    this.generation++;
+    this.refresh();
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      files: this.files.size,
+      chunks: this.chunkList.length,
+      mode: this.hasVectors() ? 'embedding' : 'keyword',
+      embeddingModel: this.embeddingModel,
+      builtAt: this.builtAt ? new Date(this.builtAt).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Check whether a file should be indexed
+ * @param {Object} file - { name, path }
+ * @returns {boolean} True for text source and docs
+ */
+function isIndexable(file) {
+  if (SKIPPED_FILES.includes(file.name)) return false;
+  return INDEXED_NAMES.includes(file.name) || INDEXED_EXTENSIONS.some((ext) => file.name.endsWith(ext));
+}
+
+/**
+ * Copy a chunk without its embedding
+ * @param {Object} chunk - Chunk
+ * @returns {Object} Chunk
+ */
+function withoutVector({ vector, ...chunk }) {
+  return chunk;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity between -1 and 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB) || 1);
+}
+
+export const searchService = new SearchService();
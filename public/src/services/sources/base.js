@@ -0,0 +1,54 @@
+/**
+ * Project Source Base
+ * Common interface for where project files are read from (GitHub, local checkout)
+ */
+
+// Dependency, build and cache folders: never scanned, and not walked in a local checkout
+export const SKIPPED_DIRS = ['node_modules', '.git', 'dist', 'build', 'vendor', 'coverage', '.cache'];
+
+export class ProjectSource {
+  /**
+   * @param {string} name - Source name (github, fs)
+   */
+  constructor(name) {
+    this.name = name;
+    this.mockFallback = false; // True when read failures should fall back to demo content
+  }
+
+  /**
+   * List a directory
+   * @param {string} path - Directory path relative to the project root ('' for the root)
+   * @param {string} ref - Branch, tag or commit (source default when omitted)
+   * @returns {Promise<Array>} Entries as { name, path, type: 'file' | 'dir', size, sha }
+   */
+  async listDirectory(path = '', ref) {
+    throw new Error(`${this.name} source does not implement listDirectory()`);
+  }
+
+  /**
+   * List every file and directory in the project
+   * @param {string} ref - Branch, tag or commit (source default when omitted)
+   * @returns {Promise<Object>} { entries: [{ name, path, type, size, sha }], truncated }
+   */
+  async listTree(ref) {
+    throw new Error(`${this.name} source does not implement listTree()`);
+  }
+
+  /**
+   * Read a file
+   * @param {string} path - File path relative to the project root
+   * @param {string} ref - Branch, tag or commit (source default when omitted)
+   * @returns {Promise<string>} UTF-8 content
+   */
+  async readFile(path, ref) {
+    throw new Error(`${this.name} source does not implement readFile()`);
+  }
+
+  /**
+   * Describe the source for status output
+   * @returns {Object} { source, location, ref }
+   */
+  getInfo() {
+    return { source: this.name };
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Filesystem Project Source
+ * Reads project files from a local working copy
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { ProjectSource, SKIPPED_DIRS } from './base.js';
+import { logger } from '../../config/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+export class FileSystemSource extends ProjectSource {
+  /**
+   * @param {string} root - Directory of the working copy
+   */
+  constructor(root) {
+    super('fs');
+    this.root = path.resolve(root);
+    this.realRoot = null; // Root with symlinks resolved, looked up on first use
+    this.ignoreWarned = false;
+    this.shas = new Map(); // path -> { mtimeMs, size, sha }; a file is only hashed again once it changes
+  }
+
+  async listDirectory(dirPath = '', ref) {
+    this.assertNoRef(ref);
+    return this.readDirectory(dirPath, await this.getIgnoredPaths(dirPath));
+  }
+
+  async listTree(ref) {
+    this.assertNoRef(ref);
+    const ignored = await this.getIgnoredPaths();
+    const entries = [];
+    const queue = [''];
+
+    while (queue.length > 0) {
+      for (const item of await this.readDirectory(queue.shift(), ignored)) {
+        entries.push(item);
+        // Skipped folders are listed but not walked: they are large and never part of the repository tree
+        if (item.type === 'dir' && !SKIPPED_DIRS.includes(item.name)) {
+          queue.push(item.path);
+        }
+      }
+    }
+
+    return { entries, truncated: false };
+  }
+
+  async readFile(filePath, ref) {
+    this.assertNoRef(ref);
+    const resolved = await this.resolve(filePath);
+    const stat = await fs.stat(resolved);
+    if (!stat.isFile()) {
+      throw new Error('Path is not a file');
+    }
+    return fs.readFile(resolved, 'utf-8');
+  }
+
+  getInfo() {
+    return { source: this.name, location: this.root };
+  }
+
+  /**
+   * Helper: List a directory, leaving out git-ignored paths
+   * @param {string} dirPath - Directory relative to the project root
+   * @param {Set<string>} ignored - Paths git ignores (see getIgnoredPaths)
+   * @returns {Promise<Array>} Entries as { name, path, type, size, sha }
+   */
+  async readDirectory(dirPath, ignored) {
+    const entries = await fs.readdir(await this.resolve(dirPath), { withFileTypes: true });
+    const items = [];
+
+    for (const entry of entries) {
+      // The git directory is not part of the project (GitHub never lists it either)
+      if (entry.name === '.git') continue;
+
+      const itemPath = dirPath ? `${dirPath}/${entry.name}` : entry.name;
+      // Ignored files (.env, local secrets, build output) are never committed, so not part of the project
+      if (ignored.has(itemPath)) continue;
+
+      if (entry.isDirectory()) {
+        items.push({ name: entry.name, path: itemPath, type: 'dir', size: 0, sha: null });
+      } else if (entry.isFile()) {
+        const stat = await fs.stat(await this.resolve(itemPath));
+        items.push({
+          name: entry.name,
+          path: itemPath,
+          type: 'file',
+          size: stat.size,
+          sha: await this.getSha(itemPath, stat),
+        });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Helper: Paths under a directory that .gitignore (and the other git exclude files) ignore
+   * A directory whose whole content is ignored is given as the directory itself
+   * @param {string} dirPath - Directory relative to the project root ('' for the whole project)
+   * @returns {Promise<Set<string>>} Paths relative to the project root, empty when the root is not a git checkout
+   */
+  async getIgnoredPaths(dirPath = '') {
+    try {
+      const { stdout } = await execFileAsync(
+        'git',
+        ['ls-files', '-z', '--others', '--ignored', '--exclude-standard', '--directory', '--', dirPath || '.'],
+        { cwd: this.root, maxBuffer: 16 * 1024 * 1024 }
+      );
+      return new Set(stdout.split('\0').filter(Boolean).map((p) => p.replace(/\/$/, '')));
+    } catch (error) {
+      if (!this.ignoreWarned) {
+        this.ignoreWarned = true;
+        logger.warn('Cannot read .gitignore rules (not a git checkout?), listing every file', {
+          root: this.root,
+          error: error.message,
+        });
+      }
+      return new Set();
+    }
+  }
+
+  /**
+   * Helper: A working copy has exactly one version of each file
+   * @param {string} ref - Requested ref
+   * @throws {Error} When a ref is requested
+   */
+  assertNoRef(ref) {
+    if (ref) {
+      throw new Error(`The fs project source reads the working copy and cannot select ref "${ref}"`);
+    }
+  }
+
+  /**
+   * Helper: Resolve a project path with symlinks followed, refusing paths outside the root
+   * @param {string} filePath - Path relative to the project root
+   * @returns {Promise<string>} Absolute real path
+   * @throws {Error} When the path, or the target of a symlink on it, is outside the root
+   */
+  async resolve(filePath) {
+    const resolved = path.resolve(this.root, filePath);
+    if (!FileSystemSource.isInside(this.root, resolved)) {
+      throw new Error(`Path is outside the project: ${filePath}`);
+    }
+
+    this.realRoot ??= await fs.realpath(this.root);
+    const real = await fs.realpath(resolved);
+    if (!FileSystemSource.isInside(this.realRoot, real)) {
+      throw new Error(`Path is outside the project: ${filePath}`);
+    }
+    return real;
+  }
+
+  /**
+   * Helper: Check whether a path is a directory or something below it
+   * @param {string} dir - Absolute directory
+   * @param {string} target - Absolute path
+   * @returns {boolean} True when target is dir or inside it
+   */
+  static isInside(dir, target) {
+    return target === dir || target.startsWith(dir + path.sep);
+  }
+
+  /**
+   * Helper: Blob SHA of a file, reusing the last one while its mtime and size are unchanged
+   * @param {string} filePath - Path relative to the project root
+   * @param {fs.Stats} stat - File stats
+   * @returns {Promise<string>} SHA-1 hex digest
+   */
+  async getSha(filePath, stat) {
+    const cached = this.shas.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.sha;
+    }
+
+    const sha = FileSystemSource.blobSha(await fs.readFile(await this.resolve(filePath)));
+    this.shas.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, sha });
+    return sha;
+  }
+
+  /**
+   * Helper: Git blob SHA of file content, so unchanged files keep the same sha as on GitHub
+   * @param {Buffer} content - File content
+   * @returns {string} SHA-1 hex digest
+   */
+  static blobSha(content) {
+    return crypto
+      .createHash('sha1')
+      .update(`blob ${content.length}\0`)
+      .update(content)
+      .digest('hex');
+  }
+}
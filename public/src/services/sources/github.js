@@ -0,0 +1,55 @@
+/**
+ * GitHub Project Source
+ * Reads project files through the GitHub contents API
+ */
+
+import { ProjectSource } from './base.js';
+import { githubService } from '../github.js';
+import { config } from '../../config/env.js';
+
+export class GitHubSource extends ProjectSource {
+  constructor() {
+    super('github');
+    this.mockFallback = true;
+  }
+
+  async listDirectory(path = '', ref = config.GITHUB_BRANCH) {
+    const items = await githubService.listFiles(path, ref);
+    return items.map((item) => ({
+      name: item.name,
+      path: item.path,
+      type: item.type,
+      size: item.size,
+      sha: item.sha,
+    }));
+  }
+
+  async listTree(ref = config.GITHUB_BRANCH) {
+    const { tree, truncated } = await githubService.getTree(ref);
+    const entries = tree
+      .filter((item) => item.type === 'blob' || item.type === 'tree')
+      .map((item) => ({
+        name: item.path.split('/').pop(),
+        path: item.path,
+        type: item.type === 'blob' ? 'file' : 'dir',
+        size: item.size || 0,
+        sha: item.sha,
+      }));
+    return { entries, truncated };
+  }
+
+  async readFile(path, ref = config.GITHUB_BRANCH) {
+    const response = await githubService.getFileContents(path, ref);
+
+    if (response.type === 'file') {
+      // Decode base64 content
+      return Buffer.from(response.content, 'base64').toString('utf-8');
+    }
+
+    throw new Error('Path is not a file');
+  }
+
+  getInfo() {
+    return { source: this.name, location: config.GITHUB_REPO, ref: config.GITHUB_BRANCH };
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Project Source Factory
+ * Builds the configured project source from environment configuration
+ */
+
+import { GitHubSource } from './github.js';
+import { FileSystemSource } from './fs.js';
+
+/**
+ * Create the project source selected by config.PROJECT_SOURCE
+ * @param {Object} config - Application config
+ * @returns {ProjectSource} Source instance
+ */
+export function createSource(config) {
+  const source = config.PROJECT_SOURCE;
+
+  if (source === 'github') {
+    return new GitHubSource();
+  }
+  if (source.startsWith('fs:') && source.length > 3) {
+    return new FileSystemSource(source.slice(3));
+  }
+
+  throw new Error(`Unknown PROJECT_SOURCE: ${source} (expected github or fs:/path/to/checkout)`);
+}
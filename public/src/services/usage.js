@@ -0,0 +1,186 @@
+/**
+ * Usage Tracker
+ * Per-day LLM request and token counters, broken down by task and model, persisted so restarts
+ * keep counting against the quota
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+const RETENTION_DAYS = 31;
+
+class UsageTracker {
+  constructor() {
+    this.file = path.resolve(config.LLM_USAGE_FILE);
+    this.prices = UsageTracker.parsePrices(config.LLM_PRICES);
+    this.days = this.load();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Parse the model price table
+   * @param {string} json - JSON { "<model>": { "input": usd, "output": usd } } per 1M tokens
+   * @returns {Object} Prices by model
+   * @throws {Error} When the JSON is malformed
+   */
+  static parsePrices(json) {
+    if (!json) return {};
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid LLM_PRICES: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load counters from disk
+   * @returns {Object} Counters by date (YYYY-MM-DD)
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load usage counters', { error: error.message });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Persist counters (writes are serialized)
+   */
+  save() {
+    this.saving = this.saving
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(this.file, JSON.stringify(this.days, null, 2));
+      })
+      .catch((error) => logger.warn('Failed to save usage counters', { error: error.message }));
+  }
+
+  /**
+   * Record one model call
+   * @param {Object} usage - { task, model, inputTokens, outputTokens, error }
+   */
+  record({ task = 'other', model = 'unknown', inputTokens = 0, outputTokens = 0, error = false }) {
+    const day = this.getDay(UsageTracker.today());
+    const cost = this.getCost(model, inputTokens, outputTokens);
+    day.tasks[task] = day.tasks[task] || UsageTracker.emptyCounters();
+    day.models[model] = day.models[model] || UsageTracker.emptyCounters();
+
+    for (const counters of [day, day.tasks[task], day.models[model]]) {
+      counters.requests++;
+      counters.inputTokens += inputTokens;
+      counters.outputTokens += outputTokens;
+      counters.cost += cost;
+      if (error) counters.errors++;
+    }
+
+    this.prune();
+    this.save();
+  }
+
+  /**
+   * Price a call from the LLM_PRICES table
+   * @param {string} model - Model identifier
+   * @param {number} inputTokens - Input tokens
+   * @param {number} outputTokens - Output tokens
+   * @returns {number} Cost in USD (0 when the model has no price)
+   */
+  getCost(model, inputTokens, outputTokens) {
+    const price = this.prices[model];
+    if (!price) return 0;
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+  }
+
+  /**
+   * Check whether today's remaining quota covers an upcoming job
+   * @param {Object} reserve - { requests, tokens } the job is expected to need
+   * @returns {boolean} True when the job fits (limits of 0 are unlimited)
+   */
+  hasBudget({ requests = 0, tokens = 0 } = {}) {
+    const remaining = this.getRemaining();
+    return (remaining.requests === null || remaining.requests >= requests) &&
+      (remaining.tokens === null || remaining.tokens >= tokens);
+  }
+
+  /**
+   * Get today's remaining quota
+   * @returns {Object} { requests, tokens }, null when unlimited
+   */
+  getRemaining() {
+    const day = this.getDay(UsageTracker.today());
+    const tokens = day.inputTokens + day.outputTokens;
+    return {
+      requests: config.LLM_DAILY_REQUEST_LIMIT ? Math.max(0, config.LLM_DAILY_REQUEST_LIMIT - day.requests) : null,
+      tokens: config.LLM_DAILY_TOKEN_LIMIT ? Math.max(0, config.LLM_DAILY_TOKEN_LIMIT - tokens) : null,
+    };
+  }
+
+  /**
+   * Get usage summary
+   * @returns {Object} Today's counters (with `tasks` and `models` breakdowns), remaining quota and history
+   */
+  getStats() {
+    const date = UsageTracker.today();
+    return {
+      date,
+      today: this.getDay(date),
+      remaining: this.getRemaining(),
+      limits: {
+        dailyRequests: config.LLM_DAILY_REQUEST_LIMIT,
+        dailyTokens: config.LLM_DAILY_TOKEN_LIMIT,
+      },
+      pricedModels: Object.keys(this.prices),
+      history: this.days,
+    };
+  }
+
+  /**
+   * Helper: Get (or create) the counters for a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object} Counters
+   */
+  getDay(date) {
+    if (!this.days[date]) {
+      this.days[date] = { ...UsageTracker.emptyCounters(), tasks: {}, models: {} };
+    }
+    // Days recorded before the task/model breakdown existed
+    const day = this.days[date];
+    day.tasks = day.tasks || {};
+    day.models = day.models || {};
+    day.cost = day.cost || 0;
+    return day;
+  }
+
+  /**
+   * Helper: Zeroed counters
+   * @returns {Object} Counters
+   */
+  static emptyCounters() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, errors: 0, cost: 0 };
+  }
+
+  /**
+   * Helper: Drop counters older than the retention window
+   */
+  prune() {
+    const dates = Object.keys(this.days).sort();
+    for (const date of dates.slice(0, Math.max(0, dates.length - RETENTION_DAYS))) {
+      delete this.days[date];
+    }
+  }
+
+  /**
+   * Helper: Current quota day (UTC)
+   * @returns {string} YYYY-MM-DD
+   */
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
+
+export const usageTracker = new UsageTracker();
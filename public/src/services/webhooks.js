@@ -0,0 +1,307 @@
+/**
+ * Webhook Service
+ * Verifies GitHub webhook deliveries and routes events to scans, reviews and issue triage
+ */
+
+import crypto from 'crypto';
+import { projectService } from './project.js';
+import { searchService } from './search.js';
+import { historyService } from './history.js';
+import { githubService } from './github.js';
+import { usageTracker } from './usage.js';
+import { scannerAgent } from '../agents/scanner.js';
+import { reviewerAgent } from '../agents/reviewer.js';
+import { triageAgent } from '../agents/triage.js';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+// GitHub may redeliver; remember this many delivery IDs
+const MAX_DELIVERIES = 1000;
+const PULL_REQUEST_ACTIONS = ['opened', 'synchronize', 'reopened'];
+// Push payloads list at most this many commits
+const PUSH_PAYLOAD_COMMITS = 20;
+
+class WebhookService {
+  constructor() {
+    this.deliveries = new Set(); // insertion-ordered, oldest first
+    this.pendingFiles = new Set();
+    this.scanRunning = false;
+    this.handlers = {
+      ping: (payload) => this.handlePing(payload),
+      push: (payload) => this.handlePush(payload),
+      pull_request: (payload) => this.handlePullRequest(payload),
+      issues: (payload) => this.handleIssues(payload),
+    };
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Header value, "sha256=<hex>"
+   * @returns {boolean} True when the signature matches GITHUB_WEBHOOK_SECRET
+   */
+  verifySignature(rawBody, signature) {
+    if (!config.GITHUB_WEBHOOK_SECRET || !signature) return false;
+
+    const expected = `sha256=${WebhookService.sign(rawBody, config.GITHUB_WEBHOOK_SECRET)}`;
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * HMAC-SHA256 of a payload, as GitHub computes it
+   * @param {Buffer|string} body - Payload
+   * @param {string} secret - Webhook secret
+   * @returns {string} Hex digest
+   */
+  static sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  /**
+   * Check whether a delivery was already handled
+   * @param {string} deliveryId - X-GitHub-Delivery header
+   * @returns {boolean} True for a redelivery of a handled event
+   */
+  hasDelivery(deliveryId) {
+    return this.deliveries.has(deliveryId);
+  }
+
+  /**
+   * Remember a handled delivery ID
+   * Only called once the event was handled, so a delivery that failed can be redelivered
+   * @param {string} deliveryId - X-GitHub-Delivery header
+   * @returns {boolean} False when the delivery was already seen
+   */
+  recordDelivery(deliveryId) {
+    if (this.deliveries.has(deliveryId)) return false;
+
+    this.deliveries.add(deliveryId);
+    if (this.deliveries.size > MAX_DELIVERIES) {
+      this.deliveries.delete(this.deliveries.values().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Route an event to its handler
+   * Handlers return quickly; scans run in the background
+   * @param {string} event - X-GitHub-Event header
+   * @param {Object} payload - Parsed payload
+   * @returns {Object} { handled, action } describing what was done
+   */
+  handleEvent(event, payload) {
+    const handler = this.handlers[event];
+    if (!handler) {
+      logger.debug('Ignoring webhook event', { event });
+      return { handled: false, action: `Event ${event} is not handled` };
+    }
+    return { handled: true, ...handler(payload) };
+  }
+
+  /**
+   * Handle ping (sent when the webhook is created)
+   * @param {Object} payload - Ping payload
+   * @returns {Object} { action }
+   */
+  handlePing(payload) {
+    logger.info('Webhook ping received', { hookId: payload.hook_id });
+    return { action: 'pong' };
+  }
+
+  /**
+   * Handle push: refresh caches and scan the changed files of the tracked branch
+   * @param {Object} payload - Push payload
+   * @returns {Object} { action, files }
+   */
+  handlePush(payload) {
+    if (payload.ref !== `refs/heads/${config.GITHUB_BRANCH}`) {
+      return { action: `Ignored push to ${payload.ref}` };
+    }
+    if (payload.deleted) {
+      return { action: 'Ignored branch deletion' };
+    }
+
+    projectService.invalidate();
+    searchService.invalidate();
+    historyService.invalidate();
+
+    const commits = payload.commits || [];
+    if (commits.length >= PUSH_PAYLOAD_COMMITS || payload.size > commits.length) {
+      logger.info('Push to tracked branch lists only part of its commits', { after: payload.after, size: payload.size });
+      this.scanComparedFiles(payload.before, payload.after).catch((error) =>
+        logger.error('Push scan failed', { error: error.message, after: payload.after })
+      );
+      return { action: 'Incremental scan queued for the files changed between before and after' };
+    }
+
+    const files = WebhookService.changedFiles(commits);
+    logger.info('Push to tracked branch', { after: payload.after, files: files.length });
+
+    this.scheduleScan(files);
+    return { action: 'Incremental scan queued', files };
+  }
+
+  /**
+   * Handle pull_request: post an AI review when ENABLE_AUTO_REVIEW is set,
+   * otherwise scan the files the pull request changes at its head commit
+   * @param {Object} payload - Pull request payload
+   * @returns {Object} { action }
+   */
+  handlePullRequest(payload) {
+    const { action, pull_request: pr } = payload;
+    if (!PULL_REQUEST_ACTIONS.includes(action)) {
+      return { action: `Ignored pull_request ${action}` };
+    }
+
+    logger.info('Pull request updated', { prNumber: pr.number, action, head: pr.head.sha });
+
+    if (config.ENABLE_AUTO_REVIEW) {
+      this.reviewPullRequest(pr).catch((error) =>
+        logger.error('Pull request review failed', { error: error.message, prNumber: pr.number })
+      );
+      return { action: `Review queued for pull request #${pr.number}` };
+    }
+
+    this.scanPullRequest(pr).catch((error) =>
+      logger.error('Pull request scan failed', { error: error.message, prNumber: pr.number })
+    );
+    return { action: `Scan queued for pull request #${pr.number}` };
+  }
+
+  /**
+   * Handle issues: triage newly opened issues when ENABLE_AUTO_TRIAGE is set
+   * @param {Object} payload - Issues payload
+   * @returns {Object} { action }
+   */
+  handleIssues(payload) {
+    const { action, issue } = payload;
+    if (action !== 'opened') {
+      return { action: `Ignored issues ${action}` };
+    }
+    if (!config.ENABLE_AUTO_TRIAGE) {
+      return { action: 'Auto triage disabled' };
+    }
+
+    this.triageIssue(issue).catch((error) =>
+      logger.error('Issue triage failed', { error: error.message, issueNumber: issue.number })
+    );
+    return { action: `Triage queued for issue #${issue.number}` };
+  }
+
+  /**
+   * Helper: Triage an issue unless today's LLM quota is nearly used up
+   * @param {Object} issue - Issue from the payload
+   * @returns {Promise<Object|null>} Triage result, or null when skipped
+   */
+  async triageIssue(issue) {
+    const reserve = {
+      requests: config.LLM_SCAN_RESERVE_REQUESTS,
+      tokens: config.LLM_SCAN_RESERVE_TOKENS,
+    };
+    if (!usageTracker.hasBudget(reserve)) {
+      logger.warn('Skipping issue triage: daily LLM quota nearly exhausted', { issueNumber: issue.number });
+      return null;
+    }
+
+    return triageAgent.triageOpenIssues({ issueNumber: issue.number });
+  }
+
+  /**
+   * Helper: Review a pull request unless today's LLM quota is nearly used up
+   * @param {Object} pr - Pull request from the payload
+   * @returns {Promise<Object|null>} Review result, or null when skipped
+   */
+  async reviewPullRequest(pr) {
+    const reserve = {
+      requests: config.LLM_SCAN_RESERVE_REQUESTS,
+      tokens: config.LLM_SCAN_RESERVE_TOKENS,
+    };
+    if (!usageTracker.hasBudget(reserve)) {
+      logger.warn('Skipping pull request review: daily LLM quota nearly exhausted', { prNumber: pr.number });
+      return null;
+    }
+
+    return reviewerAgent.reviewPullRequest(pr.number);
+  }
+
+  /**
+   * Helper: Scan the files changed by a pull request at its head commit
+   * @param {Object} pr - Pull request from the payload
+   * @returns {Promise<Object|null>} Scan report
+   */
+  async scanPullRequest(pr) {
+    const files = (await githubService.listPullRequestFiles(pr.number))
+      .filter((f) => f.status !== 'removed')
+      .map((f) => f.filename);
+
+    return scannerAgent.performScheduledScan({ files, ref: pr.head.sha, trigger: 'pull_request' });
+  }
+
+  /**
+   * Helper: Queue a scan of the files changed between two commits
+   * Used for large pushes, whose payload does not list every commit
+   * @param {string} before - Commit the branch pointed to before the push
+   * @param {string} after - Commit it points to now
+   */
+  async scanComparedFiles(before, after) {
+    // One page is enough: the files are only listed on the first one
+    const { files } = await githubService.compareCommits(before, after, 1);
+    this.scheduleScan(files.filter((f) => f.status !== 'removed').map((f) => f.filename));
+  }
+
+  /**
+   * Helper: Queue an incremental scan; pushes arriving while a scan runs are merged into the next one
+   * @param {Array} files - Changed paths
+   */
+  scheduleScan(files) {
+    files.forEach((file) => this.pendingFiles.add(file));
+    if (this.scanRunning) return;
+
+    this.scanRunning = true;
+    this.drainScans().finally(() => {
+      this.scanRunning = false;
+    });
+  }
+
+  /**
+   * Helper: Run queued incremental scans until nothing is pending
+   */
+  async drainScans() {
+    while (this.pendingFiles.size > 0) {
+      const files = [...this.pendingFiles];
+      this.pendingFiles.clear();
+      await scannerAgent.performScheduledScan({ files, trigger: 'push' });
+    }
+  }
+
+  /**
+   * Helper: Paths added or modified across a push's commits
+   * @param {Array} commits - Push payload commits
+   * @returns {Array} Unique paths, minus files deleted later in the push
+   */
+  static changedFiles(commits) {
+    const files = new Set();
+    for (const commit of commits) {
+      [...(commit.added || []), ...(commit.modified || [])].forEach((file) => files.add(file));
+      (commit.removed || []).forEach((file) => files.delete(file));
+    }
+    return [...files];
+  }
+
+  /**
+   * Get webhook statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      configured: Boolean(config.GITHUB_WEBHOOK_SECRET),
+      deliveriesSeen: this.deliveries.size,
+      scanRunning: this.scanRunning,
+      pendingFiles: this.pendingFiles.size,
+    };
+  }
+}
+
+export const webhookService = new WebhookService();
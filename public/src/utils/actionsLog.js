@@ -0,0 +1,65 @@
+/**
+ * GitHub Actions Log Parser
+ * Reads the plain-text job logs returned by the Actions API
+ */
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z ?/;
+const ANSI_CODES = /\x1b\[[0-9;]*m/g;
+const STEP_HEADER = /^##\[group\]Run (.+)$/;
+const ERROR_MARKER = /^##\[error\]/;
+// Lines that read like errors even without the ##[error] marker
+const ERROR_TEXT = /\b(error|failed|failure|fatal|exception|denied|invalid|not found|no such file|cannot|unable to)\b/i;
+const MAX_ERROR_LINES = 20;
+const MAX_LINE_CHARS = 500;
+
+/**
+ * Split a job log into step sections and pull out the part where the job failed
+ * The failing section is the first one with an ##[error] line (the last section when there is none)
+ * @param {string} log - Job log text
+ * @param {Object} options - { contextLines: lines kept before the first error }
+ * @returns {Object} { command, errorLines, excerpt, totalLines }; command is the `Run ...` header of the
+ *   failing section, or null for output outside any step (e.g. job setup)
+ */
+export function parseJobLog(log = '', { contextLines = 60 } = {}) {
+  const lines = log.split(/\r?\n/).map(cleanLine);
+  const sections = [];
+  let current = { command: null, lines: [] };
+  sections.push(current);
+
+  for (const line of lines) {
+    const header = line.match(STEP_HEADER);
+    if (header) {
+      current = { command: header[1], lines: [] };
+      sections.push(current);
+      continue;
+    }
+    if (line.startsWith('##[group]') || line.startsWith('##[endgroup]')) continue;
+    current.lines.push(line);
+  }
+
+  const failing = sections.find((s) => s.lines.some((l) => ERROR_MARKER.test(l))) || sections[sections.length - 1];
+  const firstError = failing.lines.findIndex((l) => ERROR_MARKER.test(l));
+  const end = firstError >= 0 ? firstError + 1 : failing.lines.length;
+  const excerpt = failing.lines.slice(Math.max(0, end - contextLines), end).filter((l) => l.trim());
+
+  const errorLines = [
+    ...failing.lines.filter((l) => ERROR_MARKER.test(l)).map((l) => l.replace(ERROR_MARKER, '')),
+    ...failing.lines.filter((l) => !ERROR_MARKER.test(l) && ERROR_TEXT.test(l)),
+  ];
+
+  return {
+    command: failing.command,
+    errorLines: [...new Set(errorLines.map((l) => l.trim()))].filter(Boolean).slice(0, MAX_ERROR_LINES),
+    excerpt: excerpt.join('\n'),
+    totalLines: lines.length,
+  };
+}
+
+/**
+ * Drop the timestamp and color codes from a log line and cap its length
+ * @param {string} line - Raw log line
+ * @returns {string} Clean line
+ */
+function cleanLine(line) {
+  return line.replace(TIMESTAMP, '').replace(ANSI_CODES, '').slice(0, MAX_LINE_CHARS);
+}
@@ -0,0 +1,82 @@
+/**
+ * BM25 Keyword Index
+ * Local ranking used when no embedding model is available
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into lower-case search terms, also breaking camelCase and snake_case identifiers
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of text.match(/[A-Za-z_$][\w$]*|\d+/g) || []) {
+    const lower = word.toLowerCase();
+    terms.push(lower);
+
+    const parts = word
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .map((p) => p.toLowerCase())
+      .filter((p) => p && p !== lower);
+    if (parts.length > 1) terms.push(...parts);
+  }
+  return terms.filter((t) => t.length > 1);
+}
+
+export class BM25Index {
+  constructor() {
+    this.docs = []; // { id, length, termFreq: Map }
+    this.docFreq = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Add a document
+   * @param {*} id - Document ID returned by search()
+   * @param {string} text - Document text
+   */
+  add(id, text) {
+    const terms = tokenize(text);
+    const termFreq = new Map();
+    for (const term of terms) {
+      termFreq.set(term, (termFreq.get(term) || 0) + 1);
+    }
+    for (const term of termFreq.keys()) {
+      this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+    }
+
+    this.docs.push({ id, length: terms.length, termFreq });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Rank documents against a query
+   * @param {string} query - Query text
+   * @param {number} limit - Maximum results
+   * @returns {Array<Object>} { id, score } sorted by score, zero scores left out
+   */
+  search(query, limit = 10) {
+    const terms = [...new Set(tokenize(query))];
+    const avgLength = this.totalLength / (this.docs.length || 1);
+
+    return this.docs
+      .map((doc) => {
+        let score = 0;
+        for (const term of terms) {
+          const freq = doc.termFreq.get(term);
+          if (!freq) continue;
+          const df = this.docFreq.get(term);
+          const idf = Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+          score += idf * (freq * (K1 + 1)) / (freq + K1 * (1 - B + B * doc.length / avgLength));
+        }
+        return { id: doc.id, score };
+      })
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Token Budgeter
+ * Estimates token counts and splits source files into chunks at function/class boundaries
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Declarations at top level or one indent deep (class members)
+const DECLARATION_PATTERNS = [
+  /^\s{0,4}(export\s+)?(default\s+)?(async\s+)?(function\*?|class|interface|type|enum)\s/,
+  /^\s{0,4}(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*(async\s*)?(\([^)]*\)|[\w$]+)\s*=>/,
+  /^\s{0,4}(static\s+|async\s+|get\s+|set\s+|\*\s*)*(?!(if|for|while|switch|catch|return)\b)[A-Za-z_$][\w$]*\s*\([^)]*\)\s*\{\s*$/,
+  /^\s{0,4}(async\s+)?(def|class)\s/, // Python
+  /^(func|type)\s/, // Go
+  /^\s{0,4}(public|private|protected)\s[^=;]*\(/, // Java
+];
+
+const COMMENT_PATTERN = /^\s*(\/\*\*|\*|\*\/|\/\/|#|@)/;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} Approximate tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split source code into chunks that fit a token budget
+ * Chunks break before declarations (including their leading doc comments);
+ * a single declaration larger than the budget is split by lines
+ * @param {string} content - Source code
+ * @param {Object} options - { maxTokens }
+ * @returns {Array<Object>} Chunks as { content, startLine, endLine } (1-based, inclusive)
+ */
+export function chunkSource(content, { maxTokens }) {
+  const lines = content.split('\n');
+
+  if (estimateTokens(content) <= maxTokens) {
+    return [{ content, startLine: 1, endLine: lines.length }];
+  }
+
+  const segments = splitAtBoundaries(lines);
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = null;
+  };
+
+  for (const segment of segments) {
+    const text = segment.lines.join('\n');
+
+    if (estimateTokens(text) > maxTokens) {
+      flush();
+      chunks.push(...splitByLines(segment, maxTokens));
+      continue;
+    }
+
+    if (current && estimateTokens(`${current.content}\n${text}`) > maxTokens) {
+      flush();
+    }
+
+    if (current) {
+      current.content += `\n${text}`;
+      current.endLine = segment.endLine;
+    } else {
+      current = { content: text, startLine: segment.startLine, endLine: segment.endLine };
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Group lines into segments that each start at a declaration
+ * @param {Array<string>} lines - Source lines
+ * @returns {Array<Object>} Segments as { lines, startLine, endLine }
+ */
+function splitAtBoundaries(lines) {
+  const boundaries = new Set([0]);
+
+  lines.forEach((line, i) => {
+    if (!DECLARATION_PATTERNS.some((pattern) => pattern.test(line))) return;
+
+    // Pull the boundary up to include the doc comment / decorators above
+    let start = i;
+    while (start > 0 && COMMENT_PATTERN.test(lines[start - 1])) {
+      start--;
+    }
+    boundaries.add(start);
+  });
+
+  const starts = [...boundaries].sort((a, b) => a - b);
+  return starts.map((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1] : lines.length;
+    return {
+      lines: lines.slice(start, end),
+      startLine: start + 1,
+      endLine: end,
+    };
+  });
+}
+
+/**
+ * Split an oversized segment into line-based chunks
+ * @param {Object} segment - Segment
+ * @param {number} maxTokens - Token budget
+ * @returns {Array<Object>} Chunks
+ */
+function splitByLines(segment, maxTokens) {
+  const chunks = [];
+  let buffer = [];
+  let startLine = segment.startLine;
+
+  segment.lines.forEach((line, i) => {
+    if (buffer.length > 0 && estimateTokens([...buffer, line].join('\n')) > maxTokens) {
+      chunks.push({ content: buffer.join('\n'), startLine, endLine: startLine + buffer.length - 1 });
+      startLine = segment.startLine + i;
+      buffer = [];
+    }
+    buffer.push(line);
+  });
+
+  if (buffer.length > 0) {
+    chunks.push({ content: buffer.join('\n'), startLine, endLine: startLine + buffer.length - 1 });
+  }
+
+  return chunks;
+}
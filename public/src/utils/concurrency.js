@@ -0,0 +1,26 @@
+/**
+ * Concurrency Helpers
+ * Bounded parallelism for batches of API calls
+ */
+
+/**
+ * Map items with an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum calls in flight
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
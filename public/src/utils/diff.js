@@ -0,0 +1,37 @@
+/**
+ * Diff Parser
+ * Reads unified diff patches (as returned by the GitHub pull request files API)
+ */
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * Split a patch into hunks, numbered by the new version of the file
+ * Removed lines are dropped: review comments and analysis refer to the new file
+ * @param {string} patch - Unified diff for one file
+ * @returns {Array} Hunks as { startLine, endLine, lines: [{ number, content, added }] }
+ */
+export function parsePatch(patch = '') {
+  const hunks = [];
+  let current = null;
+  let lineNumber = 0;
+
+  for (const line of patch.split('\n')) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      lineNumber = parseInt(header[1], 10);
+      current = { startLine: lineNumber, endLine: lineNumber - 1, lines: [] };
+      hunks.push(current);
+      continue;
+    }
+
+    // "\ No newline at end of file" and removed lines don't exist in the new file
+    if (!current || line.startsWith('-') || line.startsWith('\\')) continue;
+
+    current.lines.push({ number: lineNumber, content: line.slice(1), added: line.startsWith('+') });
+    current.endLine = lineNumber;
+    lineNumber++;
+  }
+
+  return hunks.filter((hunk) => hunk.lines.length > 0);
+}
@@ -0,0 +1,65 @@
+/**
+ * Error Types
+ * Errors callers can tell apart from real content
+ */
+
+/**
+ * The language model could not produce a response (quota, outage, network, ...)
+ */
+export class LLMUnavailableError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { provider, status, retryable, attempts, cause }
+   */
+  constructor(message, { provider, status, retryable = false, attempts = 1, cause } = {}) {
+    super(message);
+    this.name = 'LLMUnavailableError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The GitHub API rate limit is (nearly) used up and resets too far in the future to wait for
+ */
+export class GitHubRateLimitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { resource, resetAt }
+   */
+  constructor(message, { resource, resetAt } = {}) {
+    super(message);
+    this.name = 'GitHubRateLimitError';
+    this.status = 429;
+    this.resource = resource;
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * Get the HTTP status of a provider/API error, if any
+ * Handles axios errors, Octokit errors and the Gemini SDK's "[429 Too Many Requests]" messages
+ * @param {Error} error - Error
+ * @returns {number|undefined} HTTP status
+ */
+export function getErrorStatus(error) {
+  if (error.status) return error.status;
+  if (error.response?.status) return error.response.status;
+  const match = error.message?.match(/\[(\d{3}) /);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Check whether an error is worth retrying (rate limits, server errors, network failures)
+ * @param {Error} error - Error
+ * @returns {boolean} True when retryable
+ */
+export function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ECONNABORTED'].includes(error.code) ||
+    /fetch failed|network|timeout/i.test(error.message || '');
+}
@@ -0,0 +1,88 @@
+/**
+ * Finding Fingerprints
+ * Stable identifiers for scan findings, so the same problem is recognized across runs
+ */
+
+import crypto from 'crypto';
+
+// Findings of the same type in the same file this many lines apart are taken to be the same problem
+const LINE_PROXIMITY = 10;
+
+/**
+ * Fingerprint a scan issue by type, file and rule
+ * The rule is the finding's `rule` key from the analysis schema, or its message when it has none
+ * (static checks, whose messages are fixed). Line numbers are left out: they move when code above changes
+ * @param {Object} issue - { type, file, rule, message }
+ * @param {number} occurrence - 1 for the first finding with this key in the file, 2 for the next, ...
+ * @returns {string} 12-character hex fingerprint
+ */
+export function fingerprintIssue(issue, occurrence = 1) {
+  const key = `${issue.type}|${issue.file}|${ruleKey(issue)}${occurrence > 1 ? `#${occurrence}` : ''}`;
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Fingerprint this scan's issues against the previous scan's findings
+ * Issues keep their exact fingerprint when it was seen before. The rest take over an unclaimed previous
+ * finding with the same file and type within LINE_PROXIMITY lines (the closest one), so a finding whose
+ * rule was worded differently this time is not reported as resolved plus new
+ * @param {Array} issues - Issues from this scan ({ type, file, line, rule, message })
+ * @param {Object} previous - Findings by fingerprint ({ type, file, line })
+ * @returns {Array<string>} One fingerprint per issue, in the same order
+ */
+export function matchFingerprints(issues, previous = {}) {
+  // Repeats of a key in one file are numbered top to bottom
+  const occurrences = new Map();
+  const fingerprints = new Array(issues.length);
+  const byLine = issues.map((_, index) => index).sort((a, b) => (issues[a].line || 0) - (issues[b].line || 0));
+  for (const index of byLine) {
+    const base = fingerprintIssue(issues[index]);
+    const occurrence = (occurrences.get(base) || 0) + 1;
+    occurrences.set(base, occurrence);
+    fingerprints[index] = fingerprintIssue(issues[index], occurrence);
+  }
+
+  const claimed = new Set(fingerprints.filter((fp) => previous[fp]));
+
+  return fingerprints.map((fp, index) => {
+    if (previous[fp]) return fp;
+
+    const issue = issues[index];
+    const nearest = Object.entries(previous)
+      .filter(([prevFp, finding]) => !claimed.has(prevFp) && isNearby(finding, issue))
+      .sort(([, a], [, b]) => Math.abs(a.line - issue.line) - Math.abs(b.line - issue.line))[0];
+    if (!nearest) return fp;
+
+    claimed.add(nearest[0]);
+    return nearest[0];
+  });
+}
+
+/**
+ * Normalized rule key: lowercase words joined by dashes, digits masked
+ * @param {Object} issue - { rule, message }
+ * @returns {string} Key
+ */
+function ruleKey(issue) {
+  return String(issue.rule || issue.message || '')
+    .toLowerCase()
+    .replace(/\d+/g, '#')
+    .replace(/[^a-z#]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Whether a previous finding is close enough to an issue to be the same problem
+ * @param {Object} finding - Previous finding
+ * @param {Object} issue - Issue from this scan
+ * @returns {boolean} Same file and type, both with lines within LINE_PROXIMITY
+ */
+function isNearby(finding, issue) {
+  return (
+    finding.file === issue.file &&
+    finding.type === issue.type &&
+    Number.isInteger(finding.line) &&
+    Number.isInteger(issue.line) &&
+    Math.abs(finding.line - issue.line) <= LINE_PROXIMITY
+  );
+}
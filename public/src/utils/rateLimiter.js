@@ -0,0 +1,87 @@
+/**
+ * Rate Limiter
+ * Sliding one-minute window limiting requests and tokens per minute
+ */
+
+import { logger } from '../config/logger.js';
+
+const WINDOW_MS = 60 * 1000;
+
+export class RateLimiter {
+  /**
+   * @param {Object} limits - { requestsPerMinute, tokensPerMinute } (0 = unlimited)
+   */
+  constructor({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+    this.events = []; // { time, tokens }
+  }
+
+  /**
+   * Wait until a request of the given size fits in the window, then reserve it
+   * @param {number} tokens - Estimated tokens for the request
+   * @returns {Promise<Object>} Reservation; pass to adjust() once actual usage is known
+   */
+  async acquire(tokens = 0) {
+    for (;;) {
+      const wait = this.getWaitTime(tokens);
+      if (wait <= 0) break;
+
+      logger.debug('Rate limit reached, waiting', { waitMs: wait });
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    const reservation = { time: Date.now(), tokens };
+    this.events.push(reservation);
+    return reservation;
+  }
+
+  /**
+   * Correct a reservation with the actual token count
+   * @param {Object} reservation - Value returned by acquire()
+   * @param {number} tokens - Actual tokens used
+   */
+  adjust(reservation, tokens) {
+    reservation.tokens = tokens;
+  }
+
+  /**
+   * Milliseconds until a request of the given size is allowed
+   * @param {number} tokens - Estimated tokens
+   * @returns {number} Wait time (0 when allowed now)
+   */
+  getWaitTime(tokens) {
+    const now = Date.now();
+    this.events = this.events.filter((e) => now - e.time < WINDOW_MS);
+    if (this.events.length === 0) return 0;
+
+    const oldest = this.events[0].time;
+    const untilOldestExpires = oldest + WINDOW_MS - now + 1;
+
+    if (this.requestsPerMinute && this.events.length >= this.requestsPerMinute) {
+      return untilOldestExpires;
+    }
+
+    const used = this.events.reduce((sum, e) => sum + e.tokens, 0);
+    // A single request larger than the whole budget is let through once the window is empty
+    if (this.tokensPerMinute && used + tokens > this.tokensPerMinute) {
+      return untilOldestExpires;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Get current window usage
+   * @returns {Object} Requests and tokens in the last minute, with limits
+   */
+  getStats() {
+    this.getWaitTime(0);
+    return {
+      requestsLastMinute: this.events.length,
+      tokensLastMinute: this.events.reduce((sum, e) => sum + e.tokens, 0),
+      requestsPerMinute: this.requestsPerMinute,
+      tokensPerMinute: this.tokensPerMinute,
+    };
+  }
+}
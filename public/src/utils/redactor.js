@@ -0,0 +1,256 @@
+/**
+ * Secret Redactor
+ * Masks credentials in text before it is sent to a language model
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../config/logger.js';
+
+// `group` names the capture group holding the secret when the match includes surrounding context;
+// `skipWords` leaves short plain words alone (`token_type: 'installation'` is not a secret) unless the
+// `key` group names a password or secret
+const BUILT_IN_PATTERNS = [
+  { name: 'private-key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'google-api-key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'openai-key', regex: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}\b/g },
+  { name: 'aws-access-key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'slack-token', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+  { name: 'huggingface-token', regex: /\bhf_[A-Za-z0-9]{30,}\b/g },
+  { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    name: 'secret-assignment',
+    regex: /(?<key>[\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|credentials?)[\w.-]*)["']?\s*[:=]\s*["'`](?<secret>[^\s"'`]{8,})["'`]/gi,
+    group: 'secret',
+    skipWords: true,
+  },
+  {
+    name: 'env-secret',
+    regex: /^\s*(?:export\s+)?(?<key>[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|CREDENTIALS?)[A-Z0-9_]*)\s*=\s*["']?(?<secret>[^\s"'#]{8,})/gm,
+    group: 'secret',
+    skipWords: true,
+  },
+];
+
+// Keys whose values are secret whatever they look like (`password = "correcthorsebattery"`)
+const ALWAYS_SECRET_KEY = /passw(?:or)?d|secret|credential/i;
+// Setting-like values skipped under other keys: one short word (`installation`, `bearer`, `disabled`)
+const PLAIN_WORD = /^[A-Za-z._-]{1,15}$/;
+
+// Candidates for the entropy check: long runs of base64/URL-safe characters (`=` only as padding)
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/_-]{24,}={0,2}/g;
+
+// Obvious placeholders in templates and docs are never secrets
+const PLACEHOLDER = /^(?:your[_-]|<|\$\{|\$[A-Z_]+$|process\.env)|_here$|^(?:x+|\*+|changeme)$/i;
+
+export class Redactor {
+  /**
+   * @param {Object} options - { enabled, entropyThreshold, patterns, allowlist }
+   *   patterns: extra [{ name, regex, group? }]
+   *   allowlist: strings or RegExps; matching values are left as is
+   */
+  constructor({ enabled = true, entropyThreshold = 4, patterns = [], allowlist = [] } = {}) {
+    this.enabled = enabled;
+    this.entropyThreshold = entropyThreshold;
+    // Matched with indices (`d`) so a secret group can be replaced in place
+    this.patterns = [...BUILT_IN_PATTERNS, ...patterns].map((p) => ({ ...p, regex: withIndices(p.regex) }));
+    this.allowlist = allowlist;
+  }
+
+  /**
+   * Build a redactor from config, including REDACT_RULES_FILE
+   * @param {Object} config - Application config
+   * @returns {Redactor} Redactor
+   */
+  static fromConfig(config) {
+    const rules = Redactor.loadRules(config.REDACT_RULES_FILE);
+    const allowlist = [
+      ...config.REDACT_ALLOWLIST.split(',').map((s) => s.trim()).filter(Boolean),
+      ...(rules.allowlist || []),
+    ].map(toMatcher);
+
+    return new Redactor({
+      enabled: config.REDACT_ENABLED,
+      entropyThreshold: config.REDACT_ENTROPY_THRESHOLD,
+      patterns: (rules.patterns || []).map((p) => ({
+        name: p.name,
+        regex: new RegExp(p.pattern, p.flags?.includes('g') ? p.flags : `${p.flags || ''}g`),
+        group: p.group,
+        skipWords: p.skipWords,
+      })),
+      allowlist,
+    });
+  }
+
+  /**
+   * Load custom patterns and allowlist entries
+   * @param {string} rulesFile - JSON file: { patterns: [{ name, pattern, flags, group, skipWords }], allowlist: [...] }
+   * @returns {Object} Rules
+   */
+  static loadRules(rulesFile) {
+    if (!rulesFile) return {};
+    return JSON.parse(fs.readFileSync(rulesFile, 'utf-8'));
+  }
+
+  /**
+   * Mask secrets in a text; every redaction is logged (type, line and a fingerprint, never the value)
+   * @param {string} text - Text to send to the model
+   * @param {Object} context - Audit details for the log, e.g. { call: 'generate' }
+   * @returns {string} Text with secrets replaced by [REDACTED:<type>]
+   */
+  redact(text, context = {}) {
+    if (!this.enabled || !text) return text;
+
+    // Every pattern is matched against the original text, so audit line numbers stay right after
+    // a multi-line private key is collapsed; where matches overlap, the earlier pattern wins
+    const redactions = [];
+    const claim = (type, secret, start) => {
+      const end = start + secret.length;
+      if (redactions.some((r) => start < r.end && end > r.start)) return;
+      redactions.push({ type, secret, start, end });
+    };
+
+    for (const pattern of this.patterns) {
+      for (const match of text.matchAll(pattern.regex)) {
+        const [start] = (pattern.group ? match.indices.groups?.[pattern.group] : match.indices[0]) || [];
+        const secret = pattern.group ? match.groups?.[pattern.group] : match[0];
+
+        if (!secret || secret.includes('[REDACTED:') || this.isAllowed(secret)) continue;
+        if (pattern.skipWords && isPlainSetting(secret, match.groups?.key)) continue;
+        claim(pattern.name, secret, start);
+      }
+    }
+
+    for (const match of text.matchAll(HIGH_ENTROPY_CANDIDATE)) {
+      const candidate = match[0];
+      if (!isRandomLooking(candidate) || this.isAllowed(candidate)) continue;
+      if (shannonEntropy(candidate) < this.entropyThreshold) continue;
+      claim('high-entropy', candidate, match.index);
+    }
+
+    redactions.sort((a, b) => a.start - b.start);
+    let result = '';
+    let last = 0;
+    for (const redaction of redactions) {
+      result += `${text.slice(last, redaction.start)}[REDACTED:${redaction.type}]`;
+      last = redaction.end;
+
+      logger.warn('Redacted secret before LLM call', {
+        ...context,
+        type: redaction.type,
+        line: lineAt(text, redaction.start),
+        fingerprint: fingerprint(redaction.secret),
+        length: redaction.secret.length,
+      });
+    }
+
+    return result + text.slice(last);
+  }
+
+  /**
+   * Redact every string inside a value (objects and arrays are copied)
+   * @param {*} value - Value, e.g. a tool result
+   * @param {Object} context - Audit details for the log
+   * @returns {*} Redacted copy
+   */
+  redactValue(value, context = {}) {
+    if (typeof value === 'string') return this.redact(value, context);
+    if (Array.isArray(value)) return value.map((item) => this.redactValue(item, context));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item, context)]));
+    }
+    return value;
+  }
+
+  /**
+   * Check a value against placeholders and the allowlist
+   * @param {string} value - Candidate secret
+   * @returns {boolean} True when the value may be sent
+   */
+  isAllowed(value) {
+    if (PLACEHOLDER.test(value)) return true;
+    return this.allowlist.some((entry) => (entry instanceof RegExp ? entry.test(value) : entry === value));
+  }
+}
+
+/**
+ * Turn an allowlist entry into a literal or RegExp ('/.../flags' strings are regexes)
+ * @param {string} entry - Allowlist entry
+ * @returns {string|RegExp} Matcher
+ */
+function toMatcher(entry) {
+  const regex = entry.match(/^\/(.*)\/([a-z]*)$/s);
+  return regex ? new RegExp(regex[1], regex[2]) : entry;
+}
+
+/**
+ * Copy a pattern's regex with the global and indices flags set
+ * @param {RegExp} regex - Pattern regex
+ * @returns {RegExp} Regex usable with matchAll and match.indices
+ */
+function withIndices(regex) {
+  const flags = [...new Set(`${regex.flags}gd`)].join('');
+  return new RegExp(regex.source, flags);
+}
+
+/**
+ * Whether an assigned value reads as a setting rather than a secret
+ * @param {string} value - Assigned value
+ * @param {string} key - Key it is assigned to, when the pattern captures it
+ * @returns {boolean} True for a short plain word under a key that is not a password or secret
+ */
+function isPlainSetting(value, key = '') {
+  return PLAIN_WORD.test(value) && !ALWAYS_SECRET_KEY.test(key);
+}
+
+/**
+ * Heuristic: random tokens mix letters and digits and are not plain identifiers or paths
+ * @param {string} candidate - Candidate string
+ * @returns {boolean} True when it could be a key
+ */
+function isRandomLooking(candidate) {
+  return /\d/.test(candidate) && /[a-z]/.test(candidate) && /[A-Z]/.test(candidate) &&
+    !/^[a-z]+(?:[A-Z][a-z]+)+\d*$/.test(candidate);
+}
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} text - Text
+ * @returns {number} Entropy
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Short hash of a secret so the audit log can correlate redactions without revealing them
+ * @param {string} secret - Secret
+ * @returns {string} Fingerprint
+ */
+function fingerprint(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 12);
+}
+
+/**
+ * 1-based line number of an offset
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+export const redactor = Redactor.fromConfig(config);
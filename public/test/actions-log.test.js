@@ -0,0 +1,66 @@
+/**
+ * Actions Log Tests
+ * Finding the failing step in a GitHub Actions job log and the lines that explain the failure
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJobLog } from '../src/utils/actionsLog.js';
+
+const LOG = [
+  '2026-10-19T10:00:00.0000000Z ##[group]Run actions/checkout@v4',
+  '2026-10-19T10:00:01.0000000Z Syncing repository: acme/widgets',
+  '2026-10-19T10:00:02.0000000Z ##[endgroup]',
+  '2026-10-19T10:00:03.0000000Z ##[group]Run npm ci',
+  '2026-10-19T10:00:04.0000000Z npm ci',
+  '2026-10-19T10:00:05.0000000Z ##[endgroup]',
+  '2026-10-19T10:00:06.0000000Z added 312 packages in 9s',
+  '2026-10-19T10:00:07.0000000Z ##[group]Run npm test',
+  '2026-10-19T10:00:08.0000000Z > widgets@1.0.0 test',
+  '2026-10-19T10:00:09.0000000Z \x1b[31mnot ok 3 - todos are filtered by owner\x1b[0m',
+  '2026-10-19T10:00:10.0000000Z   Error: expected 2 todos, got 0',
+  '2026-10-19T10:00:11.0000000Z ##[error]Process completed with exit code 1.',
+  '2026-10-19T10:00:12.0000000Z Post job cleanup.',
+].join('\n');
+
+test('the first step with an ##[error] line is the failing one', () => {
+  const parsed = parseJobLog(LOG);
+
+  assert.equal(parsed.command, 'npm test');
+  assert.equal(parsed.totalLines, 13);
+  assert.deepEqual(parsed.errorLines, ['Process completed with exit code 1.', 'Error: expected 2 todos, got 0']);
+});
+
+test('the excerpt ends at the first error, without timestamps, colors or group markers', () => {
+  const { excerpt } = parseJobLog(LOG);
+
+  assert.equal(excerpt, [
+    '> widgets@1.0.0 test',
+    'not ok 3 - todos are filtered by owner',
+    '  Error: expected 2 todos, got 0',
+    '##[error]Process completed with exit code 1.',
+  ].join('\n'));
+  assert.equal(parseJobLog(LOG, { contextLines: 2 }).excerpt.split('\n').length, 2);
+});
+
+test('without an ##[error] line the last section is used and error-like text is collected', () => {
+  const log = [
+    '##[group]Run ./deploy.sh',
+    'Uploading build',
+    'fatal: unable to access https://deploy.example.com',
+    'Permission denied',
+  ].join('\r\n');
+
+  const parsed = parseJobLog(log);
+
+  assert.equal(parsed.command, './deploy.sh');
+  assert.deepEqual(parsed.errorLines, ['fatal: unable to access https://deploy.example.com', 'Permission denied']);
+});
+
+test('failures before the first step have no command', () => {
+  const parsed = parseJobLog('Prepare workflow directory\n##[error]Unable to resolve action actions/setup-nod@v4');
+
+  assert.equal(parsed.command, null);
+  assert.deepEqual(parsed.errorLines, ['Unable to resolve action actions/setup-nod@v4']);
+  assert.deepEqual(parseJobLog(''), { command: null, errorLines: [], excerpt: '', totalLines: 1 });
+});
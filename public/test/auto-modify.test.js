@@ -0,0 +1,190 @@
+/**
+ * Auto-Modification Tests
+ * Generated changes are proposed in one pull request, and scans that find nothing new leave it alone
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.LOG_LEVEL = 'error';
+
+let scannerAgent;
+let githubService;
+let geminiService;
+let github; // Fake repository: files per branch, and the calls that changed it
+
+before(async () => {
+  ({ scannerAgent } = await import('../src/agents/scanner.js'));
+  ({ githubService } = await import('../src/services/github.js'));
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  const { docGeneratorAgent } = await import('../src/agents/doc-generator.js');
+  const { projectService } = await import('../src/services/project.js');
+
+  docGeneratorAgent.generateReadme = async () => ({ content: '# Widgets\n', prompt: 'docs-readme@v1' });
+  // Generated docs differ from run to run
+  docGeneratorAgent.generateFileDocumentation = async (filePath) => ({ content: `Docs for ${filePath} (${Math.random()})\n` });
+  projectService.getFileContent = async () => JSON.stringify({ name: 'widgets', scripts: { start: 'node src/app.js' } });
+  geminiService.generateCommitMessage = async () => '```\ndocs: add project documentation\n\nGenerated by the scanner\n```';
+
+  githubService.getFileText = async (path, ref) => github.refs[ref][path] ?? null;
+  githubService.listOpenPullRequests = async () => github.pulls.map((pr) => ({ number: pr.number, head: { ref: pr.head } }));
+  githubService.createBranch = async (name) => {
+    github.branches.push(name);
+    github.refs[name] = { ...github.refs.main };
+  };
+  githubService.commitFiles = async (branch, files, message) => {
+    github.commits.push({ branch, files, message });
+    for (const file of files) github.refs[branch][file.path] = file.content;
+  };
+  githubService.createPullRequest = async (pr) => {
+    const number = 7 + github.pulls.length;
+    github.pulls.push({ ...pr, number });
+    return { number, html_url: `https://github.com/acme/widgets/pull/${number}` };
+  };
+  githubService.updateIssue = async (number, changes) => github.updates.push({ number, ...changes });
+});
+
+/**
+ * Start from a repository with only package.json and src/app.js on main
+ */
+function resetRepository() {
+  github = {
+    refs: { main: { 'package.json': '{}\n', 'src/app.js': 'console.log(1);\n' } },
+    branches: [],
+    commits: [],
+    pulls: [],
+    updates: [],
+  };
+}
+
+/**
+ * A scan report for a project without README.md and .gitignore
+ * @returns {Object} Report
+ */
+function scanReport() {
+  return {
+    structure: {
+      files: [
+        { name: 'package.json', path: 'package.json' },
+        { name: 'app.js', path: 'src/app.js' },
+      ],
+      directories: [{ name: 'src', path: 'src' }],
+    },
+    analysis: { files: [{ name: 'app.js', path: 'src/app.js' }] },
+  };
+}
+
+test('all changes go into one commit on a new branch with a pull request', async () => {
+  resetRepository();
+
+  const pr = await scannerAgent.performAutoModifications(scanReport());
+
+  assert.equal(pr.number, 7);
+  assert.equal(github.branches.length, 1);
+  const [branch] = github.branches;
+  assert.match(branch, /^ai-agent\/auto-modifications-\d+$/);
+
+  const [commit] = github.commits;
+  assert.equal(commit.branch, branch);
+  assert.equal(commit.message, 'docs: add project documentation\n\nGenerated by the scanner');
+  assert.deepEqual(commit.files.map((f) => f.path).sort(), [
+    '.gitignore',
+    'ARCHITECTURE.md',
+    'README.md',
+    'docs/src/app.js.md',
+    'package.json',
+  ]);
+  const pkg = JSON.parse(commit.files.find((f) => f.path === 'package.json').content);
+  assert.deepEqual(Object.keys(pkg.scripts), ['start', 'test', 'build', 'dev']);
+
+  const [pull] = github.pulls;
+  assert.equal(pull.head, branch);
+  assert.equal(pull.title, 'docs: add project documentation');
+  assert.match(pull.body, /- ✅ Added README\.md\n- ✅ Added \.gitignore\n/);
+  assert.match(pull.body, /- ✅ Added documentation for src\/app\.js/);
+  assert.doesNotMatch(pull.body + github.refs[branch]['ARCHITECTURE.md'], /\d{4}-\d{2}-\d{2}T/);
+});
+
+test('a second scan with the same result opens no pull request and commits nothing', async () => {
+  resetRepository();
+
+  const first = await scannerAgent.performAutoModifications(scanReport());
+  const second = await scannerAgent.performAutoModifications(scanReport());
+
+  assert.equal(second.number, first.number);
+  assert.equal(github.branches.length, 1);
+  assert.equal(github.commits.length, 1);
+  assert.equal(github.pulls.length, 1);
+  assert.equal(github.updates.length, 0);
+});
+
+test('an open auto-modification pull request gets the changes its branch lacks', async () => {
+  resetRepository();
+  await scannerAgent.performAutoModifications(scanReport());
+  const [branch] = github.branches;
+  delete github.refs[branch]['.gitignore'];
+
+  const pr = await scannerAgent.performAutoModifications(scanReport());
+
+  assert.equal(pr.number, 7);
+  assert.equal(github.pulls.length, 1);
+  assert.deepEqual(github.commits[1].files.map((f) => f.path), ['.gitignore']);
+  assert.equal(github.commits[1].branch, branch);
+  assert.equal(github.updates[0].number, 7);
+  assert.match(github.updates[0].body, /- ✅ Added \.gitignore\n/);
+});
+
+test('files that exist on the base branch are left alone', async () => {
+  resetRepository();
+  const generated = JSON.stringify({ name: 'widgets', scripts: {
+    start: 'node src/app.js',
+    test: 'echo "Tests coming soon"',
+    build: 'echo "Build step not needed for this project"',
+    dev: 'node --watch src/server.js',
+  } }, null, 2);
+  Object.assign(github.refs.main, {
+    'README.md': '# Hand-written\n',
+    '.gitignore': 'node_modules/\n',
+    'ARCHITECTURE.md': '# Hand-written architecture\n',
+    'docs/src/app.js.md': 'Hand-written docs\n',
+    'package.json': `${generated}\n`,
+  });
+
+  // The report's structure is stale: the files were added after the scan listed them
+  assert.equal(await scannerAgent.performAutoModifications(scanReport()), null);
+  assert.equal(github.commits.length, 0);
+  assert.equal(github.pulls.length, 0);
+});
+
+test('a fixed commit message is used when the model is unavailable', async () => {
+  resetRepository();
+  const generateCommitMessage = geminiService.generateCommitMessage;
+  geminiService.generateCommitMessage = async () => {
+    throw new Error('quota exceeded');
+  };
+
+  try {
+    await scannerAgent.performAutoModifications(scanReport());
+  } finally {
+    geminiService.generateCommitMessage = generateCommitMessage;
+  }
+
+  assert.equal(github.commits[0].message, 'chore: apply AI agent auto-modifications');
+  assert.equal(github.pulls[0].title, 'chore: apply AI agent auto-modifications');
+});
+
+test('a GitHub failure is logged and no pull request is reported', async () => {
+  resetRepository();
+  const createBranch = githubService.createBranch;
+  githubService.createBranch = async () => {
+    throw new Error('Reference already exists');
+  };
+
+  try {
+    assert.equal(await scannerAgent.performAutoModifications(scanReport()), null);
+  } finally {
+    githubService.createBranch = createBranch;
+  }
+  assert.equal(github.pulls.length, 0);
+});
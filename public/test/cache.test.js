@@ -0,0 +1,108 @@
+/**
+ * LLM Cache Tests
+ * Content-addressed keys, hits and bypasses, expiry, least-recently-used eviction and a shared index load
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+process.env.LLM_CACHE_DIR = cacheDir;
+process.env.LLM_CACHE_MAX_ENTRIES = '2';
+process.env.LOG_LEVEL = 'error';
+
+let llmCache;
+
+before(async () => {
+  ({ llmCache } = await import('../src/services/cache.js'));
+});
+
+after(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+const parts = { provider: 'gemini', model: 'flash', promptVersion: 'analyze-code@v1', kind: 'structured', input: 'code' };
+
+test('keys change with every part of the request', () => {
+  assert.equal(llmCache.key(parts), llmCache.key({ ...parts }));
+
+  const variants = [
+    { provider: 'openai' },
+    { model: 'pro' },
+    { promptVersion: 'analyze-code@v2' },
+    { kind: 'generate' },
+    { input: 'other code' },
+  ];
+  for (const change of variants) {
+    assert.notEqual(llmCache.key({ ...parts, ...change }), llmCache.key(parts), JSON.stringify(change));
+  }
+});
+
+test('a cached value is returned without computing it again, and noCache bypasses it', async () => {
+  let calls = 0;
+  const compute = async () => ({ answer: ++calls });
+  const keyParts = { ...parts, input: 'hit test' };
+
+  assert.deepEqual(await llmCache.wrap(keyParts, {}, compute), { answer: 1 });
+  assert.deepEqual(await llmCache.wrap(keyParts, {}, compute), { answer: 1 });
+  assert.deepEqual(await llmCache.wrap(keyParts, { noCache: true }, compute), { answer: 2 });
+  assert.equal(calls, 2);
+  assert.ok(fs.existsSync(path.join(cacheDir, `${llmCache.key(keyParts)}.json`)));
+});
+
+test('expired entries are misses and are removed', async () => {
+  const key = llmCache.key({ ...parts, input: 'expiry test' });
+  const ttl = llmCache.ttl;
+  llmCache.ttl = -1;
+  try {
+    await llmCache.set(key, 'stale');
+  } finally {
+    llmCache.ttl = ttl;
+  }
+
+  assert.equal(await llmCache.get(key), undefined);
+  assert.ok(!fs.existsSync(path.join(cacheDir, `${key}.json`)));
+});
+
+test('the least recently used entry is evicted past the entry limit', async () => {
+  await llmCache.clear();
+  const [a, b, c] = ['a', 'b', 'c'].map((input) => llmCache.key({ ...parts, input }));
+
+  await llmCache.set(a, 'A');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await llmCache.set(b, 'B');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(await llmCache.get(a), 'A'); // a is now more recent than b
+  await llmCache.set(c, 'C');
+
+  assert.equal(await llmCache.get(b), undefined);
+  assert.equal(await llmCache.get(a), 'A');
+  assert.equal(await llmCache.get(c), 'C');
+  assert.equal((await llmCache.getStats()).entries, 2);
+});
+
+test('lookups made while the index loads wait for it instead of missing', async () => {
+  const key = llmCache.key({ ...parts, input: 'restart test' });
+  await llmCache.set(key, 'kept');
+
+  // As after a restart: the entry is only on disk
+  llmCache.index = null;
+  llmCache.loading = null;
+  const readdir = fs.promises.readdir;
+  let loads = 0;
+  fs.promises.readdir = (...args) => {
+    loads++;
+    return readdir(...args);
+  };
+
+  try {
+    const values = await Promise.all([llmCache.get(key), llmCache.get(key), llmCache.getStats()]);
+    assert.deepEqual(values.slice(0, 2), ['kept', 'kept']);
+    assert.equal(loads, 1);
+  } finally {
+    fs.promises.readdir = readdir;
+  }
+});
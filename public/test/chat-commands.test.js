@@ -0,0 +1,78 @@
+/**
+ * Chat Command Tests
+ * A slash command is recognized only when it is the exact first word of the message
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-commands-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: path.join(tmpDir, 'usage.json'),
+  SEARCH_CHAT_RESULTS: '0',
+  LOG_LEVEL: 'error',
+});
+
+let chatAgent;
+let usageTracker;
+const handled = []; // [command handler, message]
+
+before(async () => {
+  const { projectService } = await import('../src/services/project.js');
+  projectService.getProjectStructure = async () => ({ files: [], directories: [] });
+  projectService.getReadme = async () => null;
+
+  ({ chatAgent } = await import('../src/agents/chat.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+
+  for (const name of ['handleScanCommand', 'handleReviewCommand', 'handleReleaseNotesCommand', 'handleCICommand']) {
+    chatAgent[name] = async (message) => {
+      handled.push([name, typeof message === 'string' ? message : null]);
+      return `${name} ran`;
+    };
+  }
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('only an exact first word is a command', () => {
+  for (const message of ['/scan', '/scan now', '/ci 123', '/ci\n123', '/release-notes v1.0 v1.1', '/help']) {
+    assert.equal(chatAgent.isCommand(message), true, message);
+  }
+  for (const message of ['/scanner is broken', '/cicd pipeline?', '/circle', '/reviews', 'what does /scan do?', ' /scan']) {
+    assert.equal(chatAgent.isCommand(message), false, message);
+  }
+});
+
+test('commands are dispatched by their exact name', async () => {
+  handled.length = 0;
+
+  assert.equal(await chatAgent.handleCommand('/ci 42', {}), 'handleCICommand ran');
+  assert.equal(await chatAgent.handleCommand('/release-notes v1.0', {}), 'handleReleaseNotesCommand ran');
+  assert.equal(await chatAgent.handleCommand('/review #3', {}), 'handleReviewCommand ran');
+  assert.equal(await chatAgent.handleCommand('/scan', {}), 'handleScanCommand ran');
+  assert.match(await chatAgent.handleCommand('/help', {}), /Available Commands/);
+
+  assert.deepEqual(handled, [
+    ['handleCICommand', '/ci 42'],
+    ['handleReleaseNotesCommand', '/release-notes v1.0'],
+    ['handleReviewCommand', '/review #3'],
+    ['handleScanCommand', null],
+  ]);
+});
+
+test('a message that only starts like a command goes to the model', async () => {
+  handled.length = 0;
+
+  const reply = await chatAgent.processMessage(`commands-${Date.now()}`, '/cicd pipeline keeps failing, why?');
+
+  assert.deepEqual(handled, []);
+  assert.match(reply.content, /^Mock chat reply: Received message '\/cicd pipeline keeps failing, why\?'/);
+});
@@ -0,0 +1,172 @@
+/**
+ * Chat Session Isolation Tests
+ * Two sessions talking at the same time must each send only their own history and system prompt
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-sessions-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_CACHE_DIR: path.join(tmpDir, 'llm'),
+  LLM_USAGE_FILE: path.join(tmpDir, 'usage.json'),
+  SEARCH_CHAT_RESULTS: '0',
+  CHAT_TOOLS_ENABLED: 'false',
+  LOG_LEVEL: 'error',
+});
+
+let chatAgent;
+let geminiService;
+let projectService;
+let usageTracker;
+let calls;
+
+before(async () => {
+  ({ chatAgent } = await import('../src/agents/chat.js'));
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ projectService } = await import('../src/services/project.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+
+  // Record what each provider call receives; the first session's calls are slower so the two interleave
+  const provider = geminiService.provider;
+  const chat = provider.chat.bind(provider);
+  const chatStream = provider.chatStream.bind(provider);
+  provider.chat = async (messages, options) => {
+    calls.push({ messages, systemPrompt: options.systemPrompt });
+    await delay(messages[messages.length - 1].content.includes('alice') ? 20 : 5);
+    return chat(messages, options);
+  };
+  provider.chatStream = async function* (messages, options) {
+    calls.push({ messages, systemPrompt: options.systemPrompt });
+    for await (const chunk of chatStream(messages, options)) {
+      await delay(messages[messages.length - 1].content.includes('alice') ? 4 : 1);
+      yield chunk;
+    }
+  };
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Start a session whose project context names its owner, so its system prompt is recognizable
+ * @param {string} name - Session owner
+ * @returns {string} Session ID
+ */
+function startSession(name) {
+  const sessionId = `${name}-${Math.random().toString(36).slice(2)}`;
+  const context = chatAgent.startConversation(sessionId);
+  context.projectContext = { files: [], directories: [], readme: `README owned by ${name}` };
+  return sessionId;
+}
+
+/**
+ * Collect a streamed reply
+ * @param {AsyncGenerator<string>} stream - Reply chunks
+ * @returns {Promise<string>} Full reply
+ */
+async function collect(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Assert that every recorded call for one session mentions only that session
+ * @param {string} name - Session owner
+ * @param {string} other - The other session's owner
+ */
+function assertIsolated(name, other) {
+  const own = calls.filter((c) => c.messages[c.messages.length - 1].content.includes(name));
+  assert.ok(own.length > 0, `no calls recorded for ${name}`);
+
+  for (const call of own) {
+    assert.match(call.systemPrompt, new RegExp(`README owned by ${name}`));
+    assert.doesNotMatch(call.systemPrompt, new RegExp(other));
+    for (const message of call.messages) {
+      assert.doesNotMatch(message.content, new RegExp(other), `${name}'s history contains ${other}'s messages`);
+    }
+  }
+}
+
+test('concurrent handleMessage calls keep history and system prompt per session', async () => {
+  calls = [];
+  const alice = startSession('alice');
+  const bob = startSession('bob');
+
+  for (let turn = 1; turn <= 3; turn++) {
+    await Promise.all([
+      chatAgent.processMessage(alice, `alice question ${turn}`),
+      chatAgent.processMessage(bob, `bob question ${turn}`),
+    ]);
+  }
+
+  assertIsolated('alice', 'bob');
+  assertIsolated('bob', 'alice');
+
+  // The third call of each session carries its two earlier exchanges, in user/model order
+  const lastAlice = calls.filter((c) => c.messages.at(-1).content === 'alice question 3')[0];
+  assert.deepEqual(
+    lastAlice.messages.map((m) => m.role),
+    ['user', 'model', 'user', 'model', 'user']
+  );
+  assert.deepEqual(
+    lastAlice.messages.filter((m) => m.role === 'user').map((m) => m.content),
+    ['alice question 1', 'alice question 2', 'alice question 3']
+  );
+});
+
+test('concurrent streamMessage calls keep history and system prompt per session', async () => {
+  calls = [];
+  const alice = startSession('alice');
+  const bob = startSession('bob');
+
+  for (let turn = 1; turn <= 2; turn++) {
+    const [aliceReply, bobReply] = await Promise.all([
+      collect(chatAgent.streamMessage(alice, `alice streamed ${turn}`)),
+      collect(chatAgent.streamMessage(bob, `bob streamed ${turn}`)),
+    ]);
+    assert.match(aliceReply, new RegExp(`alice streamed ${turn}`));
+    assert.match(bobReply, new RegExp(`bob streamed ${turn}`));
+  }
+
+  assertIsolated('alice', 'bob');
+  assertIsolated('bob', 'alice');
+  assert.equal(chatAgent.getHistory(alice).length, 4);
+  assert.equal(chatAgent.getHistory(bob).length, 4);
+});
+
+test('loading project context does not change the shared project structure', async () => {
+  const structure = { files: [{ path: 'src/server.js' }], directories: [] };
+  const getProjectStructure = projectService.getProjectStructure;
+  const getReadme = projectService.getReadme;
+  projectService.getProjectStructure = async () => structure;
+  projectService.getReadme = async () => '# Shared readme';
+
+  try {
+    const first = await chatAgent.getConversation(`first-${Date.now()}`);
+    const second = await chatAgent.getConversation(`second-${Date.now()}`);
+
+    assert.equal(first.projectContext.readme, '# Shared readme');
+    assert.notEqual(first.projectContext, second.projectContext);
+    assert.equal(structure.readme, undefined);
+  } finally {
+    projectService.getProjectStructure = getProjectStructure;
+    projectService.getReadme = getReadme;
+  }
+});
@@ -0,0 +1,107 @@
+/**
+ * Chat Streaming Tests
+ * Cancelling a stream must stop the upstream request and still count the tokens used so far
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-stream-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_CACHE_DIR: path.join(tmpDir, 'llm'),
+  LLM_USAGE_FILE: path.join(tmpDir, 'usage.json'),
+  LOG_LEVEL: 'error',
+});
+
+let geminiService;
+let usageTracker;
+let GeminiProvider;
+let records;
+
+before(async () => {
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+  ({ GeminiProvider } = await import('../src/services/providers/gemini.js'));
+
+  const record = usageTracker.record.bind(usageTracker);
+  usageTracker.record = (usage) => {
+    records.push(usage);
+    record(usage);
+  };
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const MESSAGE = 'one two three four five six seven eight';
+
+test('aborting a stream records the input and the partial output', async () => {
+  records = [];
+  const controller = new AbortController();
+  const chunks = [];
+
+  for await (const chunk of geminiService.chatStream(MESSAGE, { signal: controller.signal })) {
+    chunks.push(chunk);
+    if (chunks.length === 2) controller.abort();
+  }
+
+  assert.equal(chunks.length, 2);
+  assert.equal(records.length, 1);
+  assert.ok(records[0].inputTokens > 0);
+  assert.ok(records[0].outputTokens > 0);
+  assert.equal(records[0].error, undefined);
+});
+
+test('a consumer that stops reading early still gets its usage recorded', async () => {
+  records = [];
+
+  for await (const chunk of geminiService.chatStream(MESSAGE)) {
+    assert.ok(chunk);
+    break;
+  }
+
+  assert.equal(records.length, 1);
+  assert.ok(records[0].outputTokens > 0);
+});
+
+test('the Gemini provider passes the abort signal to the HTTP request', async () => {
+  const fetch = globalThis.fetch;
+  let requestSignal;
+  globalThis.fetch = async (url, init) => {
+    requestSignal = init.signal;
+    const body = new ReadableStream({
+      start(stream) {
+        const data = { candidates: [{ content: { role: 'model', parts: [{ text: 'partial ' }] }, index: 0 }] };
+        stream.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(data)}\r\n\r\n`));
+        // Never finishes on its own: only the abort ends it
+        init.signal.addEventListener('abort', () => stream.error(new DOMException('Aborted', 'AbortError')));
+      },
+    });
+    return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+  };
+
+  try {
+    const provider = new GeminiProvider({ apiKey: 'test', model: 'gemini-test' });
+    const controller = new AbortController();
+    const chunks = [];
+
+    await assert.rejects(async () => {
+      for await (const chunk of provider.chatStream([{ role: 'user', content: 'hi' }], { signal: controller.signal })) {
+        chunks.push(chunk);
+        controller.abort();
+      }
+    });
+
+    assert.deepEqual(chunks, ['partial ']);
+    assert.ok(requestSignal, 'no signal passed to fetch');
+    assert.equal(requestSignal.aborted, true);
+  } finally {
+    globalThis.fetch = fetch;
+  }
+});
@@ -0,0 +1,201 @@
+/**
+ * Chat Tool Tests
+ * Argument validation in runTool, the loop that feeds tool results back to the model and streamed tool replies
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-tools-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: path.join(tmpDir, 'usage.json'),
+  CHAT_TOOLS_ENABLED: 'true',
+  CHAT_MAX_TOOL_STEPS: '3',
+  SEARCH_CHAT_RESULTS: '0',
+  LOG_LEVEL: 'error',
+});
+
+const FILES = { Dockerfile: 'FROM node:20-alpine\nCMD ["node", "server.js"]\n' };
+
+let runTool;
+let chatAgent;
+let geminiService;
+let usageTracker;
+let ScriptedProvider;
+
+before(async () => {
+  const { projectService } = await import('../src/services/project.js');
+  projectService.getProjectStructure = async () => ({
+    files: Object.keys(FILES).map((p) => ({ path: p, name: p, size: FILES[p].length })),
+    directories: [],
+  });
+  projectService.getReadme = async () => null;
+  projectService.getFileContent = async (filePath) => {
+    if (!(filePath in FILES)) throw new Error(`File not found: ${filePath}`);
+    return FILES[filePath];
+  };
+
+  ({ runTool } = await import('../src/agents/tools.js'));
+  ({ chatAgent } = await import('../src/agents/chat.js'));
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+  ({ ScriptedProvider } = await import('../src/services/providers/scripted.js'));
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Run a message through the chat agent with the given provider
+ * @param {Object} provider - Provider answering chatWithTools
+ * @param {string} message - User message
+ * @returns {Promise<Object>} { content, toolCalls }
+ */
+async function ask(provider, message) {
+  const original = geminiService.provider;
+  geminiService.provider = provider;
+  try {
+    return await chatAgent.processMessage(`tools-${Date.now()}-${Math.random()}`, message);
+  } finally {
+    geminiService.provider = original;
+  }
+}
+
+test('runTool rejects unknown tools and arguments that do not match the schema', async () => {
+  assert.deepEqual(await runTool('deleteRepository', {}), { error: 'Unknown tool: deleteRepository' });
+  assert.deepEqual(await runTool('getFileContent', {}), { error: 'Invalid arguments: args.path: is required' });
+  assert.deepEqual(await runTool('getFileContent', { path: 42 }), {
+    error: 'Invalid arguments: args.path: expected string, got number',
+  });
+  assert.deepEqual(await runTool('listIssues', { state: 'merged' }), {
+    error: 'Invalid arguments: args.state: must be one of open, closed, all (got "merged")',
+  });
+});
+
+test('runTool returns tool failures as errors instead of throwing', async () => {
+  assert.deepEqual(await runTool('getFileContent', { path: 'missing.js' }), { error: 'File not found: missing.js' });
+  assert.deepEqual(await runTool('getFileContent', { path: 'Dockerfile' }), {
+    path: 'Dockerfile',
+    content: FILES.Dockerfile,
+    truncated: false,
+  });
+});
+
+test('tool results are sent back to the model until it answers in text', async () => {
+  const provider = new ScriptedProvider({
+    rules: [
+      {
+        match: 'base image',
+        toolCalls: [
+          { name: 'getFileContent', args: { path: 'Dockerfile' } },
+          { name: 'getFileContent', args: { path: 'missing.js' } },
+        ],
+      },
+    ],
+  });
+
+  const reply = await ask(provider, 'Which base image does the Dockerfile use?');
+
+  assert.deepEqual(reply.toolCalls, [
+    { name: 'getFileContent', args: { path: 'Dockerfile' } },
+    { name: 'getFileContent', args: { path: 'missing.js' }, error: 'File not found: missing.js' },
+  ]);
+  assert.match(reply.content, /^Mock tool reply: getFileContent returned .*node:20-alpine.*; getFileContent returned \{"error"/);
+});
+
+test('the loop stops after CHAT_MAX_TOOL_STEPS model calls', async () => {
+  let calls = 0;
+  const provider = {
+    name: 'stub',
+    model: 'stub',
+    async chatWithTools() {
+      calls++;
+      return { text: '', toolCalls: [{ id: `call_${calls}`, name: 'getProjectStructure', args: {} }] };
+    },
+  };
+
+  const reply = await ask(provider, 'Keep looking');
+
+  assert.equal(calls, 3);
+  assert.equal(reply.toolCalls.length, 3);
+  assert.match(reply.content, /^I stopped after 3 steps without finishing/);
+});
+
+test('streamed replies run the tool steps first and then stream the answer with their results', async () => {
+  const events = [];
+  let streamed;
+  const provider = {
+    name: 'stub',
+    model: 'stub',
+    async chatWithTools(messages) {
+      events.push('chatWithTools');
+      if (messages[messages.length - 1].role === 'tool') return { text: 'unused', toolCalls: [] };
+      return { text: '', toolCalls: [{ id: 'call_0', name: 'getFileContent', args: { path: 'Dockerfile' } }] };
+    },
+    async *chatStream(messages) {
+      streamed = messages;
+      yield 'It uses ';
+      yield 'node:20-alpine.';
+    },
+  };
+
+  const original = geminiService.provider;
+  geminiService.provider = provider;
+  const sessionId = `tools-stream-${Date.now()}`;
+  try {
+    const stream = chatAgent.streamMessage(sessionId, 'Which base image?', {
+      onToolCall: (call) => events.push(`tool ${call.name}`),
+    });
+    for await (const chunk of stream) events.push(`token ${chunk}`);
+  } finally {
+    geminiService.provider = original;
+  }
+
+  assert.deepEqual(events, [
+    'chatWithTools',
+    'tool getFileContent',
+    'chatWithTools',
+    'token It uses ',
+    'token node:20-alpine.',
+  ]);
+  assert.deepEqual(streamed.slice(-3).map((m) => m.role), ['user', 'model', 'tool']);
+  assert.equal(streamed.at(-1).result.content, FILES.Dockerfile);
+
+  const { messages } = await chatAgent.getConversation(sessionId);
+  assert.equal(messages.at(-1).content, 'It uses node:20-alpine.');
+  assert.deepEqual(messages.at(-1).toolCalls, [{ name: 'getFileContent', args: { path: 'Dockerfile' } }]);
+});
+
+test('a streamed reply that hits the step limit is not streamed again', async () => {
+  let streams = 0;
+  const provider = {
+    name: 'stub',
+    model: 'stub',
+    async chatWithTools() {
+      return { text: '', toolCalls: [{ id: 'call_0', name: 'getProjectStructure', args: {} }] };
+    },
+    async *chatStream() {
+      streams++;
+      yield 'unused';
+    },
+  };
+
+  const original = geminiService.provider;
+  geminiService.provider = provider;
+  const chunks = [];
+  try {
+    for await (const chunk of chatAgent.streamMessage(`tools-limit-${Date.now()}`, 'Keep looking')) chunks.push(chunk);
+  } finally {
+    geminiService.provider = original;
+  }
+
+  assert.equal(streams, 0);
+  assert.equal(chunks.length, 1);
+  assert.match(chunks[0], /^I stopped after 3 steps/);
+});
@@ -0,0 +1,148 @@
+/**
+ * Check Run Tests
+ * Annotations sent in batches of 50, and scan findings turned into a check conclusion and annotations
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, {
+  GITHUB_OWNER: 'acme',
+  GITHUB_REPO: 'acme/widgets',
+  LLM_PROVIDER: 'scripted',
+  LOG_LEVEL: 'error',
+});
+
+let githubService;
+let scannerAgent;
+
+before(async () => {
+  ({ githubService } = await import('../src/services/github.js'));
+  ({ scannerAgent } = await import('../src/agents/scanner.js'));
+});
+
+/**
+ * Run fn against an Octokit stub that records checks API calls
+ * @param {Function} fn - async () => result
+ * @returns {Promise<Object>} { result, requests: [{ method, params }] }
+ */
+async function withChecksApi(fn) {
+  const { octokit, initialized } = githubService;
+  const requests = [];
+  githubService.initialized = true;
+  githubService.octokit = {
+    checks: {
+      create: async (params) => {
+        requests.push({ method: 'create', params });
+        return { data: { id: 31, html_url: 'https://github.com/acme/widgets/runs/31' } };
+      },
+      update: async (params) => {
+        requests.push({ method: 'update', params });
+        return { data: { id: params.check_run_id } };
+      },
+    },
+  };
+
+  try {
+    return { result: await fn(), requests };
+  } finally {
+    Object.assign(githubService, { octokit, initialized });
+  }
+}
+
+const annotation = (i) => ({
+  path: 'src/app.js',
+  start_line: i + 1,
+  end_line: i + 1,
+  annotation_level: 'warning',
+  title: 'lint',
+  message: `Finding ${i}`,
+});
+
+test('annotations past the first 50 are appended in updates of 50', async () => {
+  const annotations = Array.from({ length: 120 }, (_, i) => annotation(i));
+
+  const { result, requests } = await withChecksApi(() => githubService.createCheckRun({
+    name: 'AI Scanner',
+    headSha: 'a'.repeat(40),
+    conclusion: 'neutral',
+    title: '120 finding(s)',
+    summary: 'Summary',
+    annotations,
+  }));
+
+  assert.equal(result.id, 31);
+  assert.deepEqual(requests.map((r) => [r.method, r.params.output.annotations.length]), [
+    ['create', 50],
+    ['update', 50],
+    ['update', 20],
+  ]);
+  assert.deepEqual(requests.flatMap((r) => r.params.output.annotations), annotations);
+
+  const [create, ...updates] = requests.map((r) => r.params);
+  assert.equal(create.head_sha, 'a'.repeat(40));
+  assert.equal(create.status, 'completed');
+  assert.equal(create.conclusion, 'neutral');
+  for (const update of updates) {
+    assert.equal(update.check_run_id, 31);
+    assert.equal(update.output.title, '120 finding(s)');
+    assert.equal(update.output.summary, 'Summary');
+  }
+});
+
+test('a check run without annotations is one request', async () => {
+  const { requests } = await withChecksApi(() => githubService.createCheckRun({
+    name: 'AI Scanner',
+    headSha: 'b'.repeat(40),
+    conclusion: 'success',
+    title: 'No findings',
+    summary: 'Summary',
+  }));
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].params.output.annotations, []);
+  assert.equal('text' in requests[0].params.output, false);
+});
+
+test('scan findings become annotations and the most severe one sets the conclusion', async () => {
+  const { createCheckRun, getCommit } = githubService;
+  let check;
+  githubService.getCommit = async (ref) => ({ sha: ref === 'main' ? 'c'.repeat(40) : null });
+  githubService.createCheckRun = async (params) => {
+    check = params;
+    return { id: 32, html_url: 'https://github.com/acme/widgets/runs/32' };
+  };
+
+  const report = {
+    ref: 'main',
+    trigger: 'manual',
+    duration: 12,
+    analysis: { files: [{ path: 'src/app.js' }] },
+    issues: [
+      { type: 'security', severity: 'medium', file: 'src/app.js', line: 7, endLine: 9, message: 'SQL built from input', suggestedFix: 'Use parameters' },
+      { type: 'missing_file', severity: 'low', file: 'README.md', message: 'Critical file missing: README.md' },
+    ],
+  };
+
+  try {
+    const published = await scannerAgent.publishCheckRun(report);
+
+    assert.deepEqual(published, { id: 32, url: 'https://github.com/acme/widgets/runs/32', conclusion: 'neutral', annotations: 1 });
+    assert.equal(check.headSha, 'c'.repeat(40));
+    assert.deepEqual(check.annotations, [{
+      path: 'src/app.js',
+      start_line: 7,
+      end_line: 9,
+      annotation_level: 'warning',
+      title: '[medium] security',
+      message: 'SQL built from input\n\nSuggested fix: Use parameters',
+    }]);
+    assert.equal(check.text, '- **[low]** Critical file missing: README.md (`README.md`)');
+    assert.match(check.summary, /^\*\*Conclusion:\*\* neutral \(fails at high, neutral at medium\)/);
+
+    assert.equal(scannerAgent.getCheckConclusion([{ severity: 'critical' }]), 'failure');
+    assert.equal(scannerAgent.getCheckConclusion([{ severity: 'low' }]), 'success');
+  } finally {
+    Object.assign(githubService, { createCheckRun, getCommit });
+  }
+});
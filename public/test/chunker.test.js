@@ -0,0 +1,78 @@
+/**
+ * Chunker Tests
+ * Large files split at declaration boundaries, keep their doc comments and original line numbers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkSource, estimateTokens } from '../src/utils/chunker.js';
+
+/**
+ * A documented function of roughly `bodyLines` lines
+ * @param {string} name - Function name
+ * @param {number} bodyLines - Statements in the body
+ * @returns {string} Source
+ */
+function documentedFunction(name, bodyLines) {
+  const body = Array.from({ length: bodyLines }, (_, i) => `  total += compute${name}(${i});`);
+  return ['/**', ` * ${name}`, ' */', `export function ${name}() {`, '  let total = 0;', ...body, '  return total;', '}'].join('\n');
+}
+
+test('a file within the budget is one chunk', () => {
+  const source = 'const a = 1;\nconst b = 2;';
+  assert.deepEqual(chunkSource(source, { maxTokens: 100 }), [{ content: source, startLine: 1, endLine: 2 }]);
+});
+
+test('chunks break before declarations and keep the doc comment with its function', () => {
+  const source = [documentedFunction('first', 10), documentedFunction('second', 10), documentedFunction('third', 10)].join('\n');
+  const chunks = chunkSource(source, { maxTokens: estimateTokens(documentedFunction('first', 10)) + 5 });
+
+  assert.equal(chunks.length, 3);
+  for (const chunk of chunks) {
+    assert.match(chunk.content, /^\/\*\*\n \* \w+\n \*\/\nexport function/);
+  }
+});
+
+test('line ranges cover the file exactly and match the chunk content', () => {
+  const source = [documentedFunction('a', 5), documentedFunction('b', 30), documentedFunction('c', 5)].join('\n');
+  const lines = source.split('\n');
+  const chunks = chunkSource(source, { maxTokens: 120 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].startLine, 1);
+  assert.equal(chunks.at(-1).endLine, lines.length);
+  chunks.forEach((chunk, i) => {
+    if (i > 0) assert.equal(chunk.startLine, chunks[i - 1].endLine + 1);
+    assert.equal(chunk.content, lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+  });
+});
+
+test('a declaration larger than the budget is split by lines within the budget', () => {
+  const chunks = chunkSource(documentedFunction('huge', 200), { maxTokens: 100 });
+
+  assert.ok(chunks.length > 5);
+  for (const chunk of chunks) {
+    assert.ok(estimateTokens(chunk.content) <= 100, `chunk at line ${chunk.startLine} is over budget`);
+  }
+});
+
+test('Python classes are boundaries and keep their decorators', () => {
+  const method = (name) => [`    def ${name}(self):`, ...Array.from({ length: 8 }, (_, i) => `        self.value += ${i}`)];
+  const source = [
+    '@dataclass',
+    'class Reader:',
+    ...method('read'),
+    '',
+    'class Writer:',
+    ...method('write'),
+  ].join('\n');
+  const chunks = chunkSource(source, { maxTokens: 60 });
+
+  assert.deepEqual(
+    chunks.map((c) => [c.startLine, c.content.split('\n')[0]]),
+    [
+      [1, '@dataclass'],
+      [13, 'class Writer:'],
+    ]
+  );
+});
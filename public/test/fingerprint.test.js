@@ -0,0 +1,65 @@
+/**
+ * Finding Fingerprint Tests
+ * A finding the model words differently on the next scan must keep its fingerprint
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintIssue, matchFingerprints } from '../src/utils/fingerprint.js';
+
+const finding = (line, message, rule = 'sql-injection') => ({
+  type: 'security',
+  file: 'src/db.js',
+  line,
+  rule,
+  message,
+  source: 'ai',
+});
+
+/**
+ * Previous findings keyed by fingerprint, as stored in the scanner issue marker
+ * @param {Array} issues - Issues of the earlier scan
+ * @returns {Object} Findings by fingerprint
+ */
+function marker(issues) {
+  const fingerprints = matchFingerprints(issues);
+  return Object.fromEntries(issues.map((issue, index) => [fingerprints[index], issue]));
+}
+
+test('the fingerprint ignores the message when the finding has a rule', () => {
+  assert.equal(
+    fingerprintIssue(finding(12, 'User input is concatenated into the SQL query')),
+    fingerprintIssue(finding(40, 'Query built from request parameters allows SQL injection'))
+  );
+  assert.equal(
+    fingerprintIssue(finding(12, 'x', 'SQL Injection')),
+    fingerprintIssue(finding(12, 'x', 'sql-injection'))
+  );
+});
+
+test('a finding with a different rule name nearby keeps the previous fingerprint', () => {
+  const previous = marker([finding(12, 'SQL built by string concatenation', 'sql-injection')]);
+  const [fp] = matchFingerprints([finding(15, 'Unparameterized query', 'unsanitized-sql-query')], previous);
+
+  assert.deepEqual([fp], Object.keys(previous));
+});
+
+test('findings far away or of another type are new', () => {
+  const previous = marker([finding(12, 'SQL built by string concatenation', 'sql-injection')]);
+  const far = finding(80, 'Unparameterized query', 'unsanitized-sql-query');
+  const otherType = { ...finding(13, 'Slow loop', 'n-plus-one-query'), type: 'performance' };
+
+  for (const fp of matchFingerprints([far, otherType], previous)) {
+    assert.equal(previous[fp], undefined);
+  }
+});
+
+test('repeats of a rule in one file get their own fingerprints and keep them when lines move', () => {
+  const before = [finding(10, 'first'), finding(50, 'second')];
+  const previous = marker(before);
+  assert.equal(Object.keys(previous).length, 2);
+
+  // Five lines were added at the top of the file
+  const after = matchFingerprints([finding(55, 'second, reworded'), finding(15, 'first, reworded')], previous);
+  assert.deepEqual(after, [...Object.keys(previous)].reverse());
+});
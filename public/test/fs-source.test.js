@@ -0,0 +1,120 @@
+/**
+ * Local Checkout Source Tests
+ * Listings take sizes from stat, hash a file only when it changes, and do not walk build folders.
+ * Git-ignored files are not listed, and no path or symlink reaches outside the root
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-source-'));
+process.env.LOG_LEVEL = 'error';
+
+let FileSystemSource;
+
+before(async () => {
+  ({ FileSystemSource } = await import('../src/services/sources/fs.js'));
+
+  for (const dir of ['src', 'dist', '.cache', 'node_modules/pkg']) {
+    fs.mkdirSync(path.join(tmpDir, dir), { recursive: true });
+  }
+  fs.writeFileSync(path.join(tmpDir, 'src/index.js'), 'export default 1;\n');
+  fs.writeFileSync(path.join(tmpDir, 'dist/bundle.js'), 'bundled');
+  fs.writeFileSync(path.join(tmpDir, '.cache/entry'), 'cached');
+  fs.writeFileSync(path.join(tmpDir, 'node_modules/pkg/index.js'), 'dependency');
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('listing a directory gives the stat size and the git blob SHA', async () => {
+  const source = new FileSystemSource(tmpDir);
+  const [file] = await source.listDirectory('src');
+  const content = fs.readFileSync(path.join(tmpDir, 'src/index.js'));
+
+  assert.equal(file.size, content.length);
+  assert.equal(file.sha, FileSystemSource.blobSha(content));
+});
+
+test('a file is hashed again only after it changes', async () => {
+  const source = new FileSystemSource(tmpDir);
+  const filePath = path.join(tmpDir, 'src/index.js');
+  const readFile = fs.promises.readFile;
+  let reads = 0;
+  fs.promises.readFile = (...args) => {
+    reads++;
+    return readFile(...args);
+  };
+
+  try {
+    const [first] = await source.listDirectory('src');
+    await source.listDirectory('src');
+    assert.equal(reads, 1);
+
+    fs.writeFileSync(filePath, 'export default 2; // changed\n');
+    const [changed] = await source.listDirectory('src');
+    assert.equal(reads, 2);
+    assert.notEqual(changed.sha, first.sha);
+  } finally {
+    fs.promises.readFile = readFile;
+  }
+});
+
+test('the tree lists skipped folders without walking them', async () => {
+  const source = new FileSystemSource(tmpDir);
+  const paths = (await source.listTree()).entries.map((item) => item.path);
+
+  assert.ok(paths.includes('src/index.js'));
+  for (const dir of ['dist', '.cache', 'node_modules']) {
+    assert.ok(paths.includes(dir), `${dir} is not listed`);
+    assert.ok(!paths.some((p) => p.startsWith(`${dir}/`)), `${dir} was walked`);
+  }
+});
+
+test('files git ignores are left out of listings', async () => {
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-source-git-'));
+  try {
+    execFileSync('git', ['init', '-q'], { cwd: repoDir });
+    fs.mkdirSync(path.join(repoDir, 'src'));
+    fs.mkdirSync(path.join(repoDir, 'secrets'));
+    fs.writeFileSync(path.join(repoDir, '.gitignore'), '.env\nsecrets/\n*.log\n');
+    fs.writeFileSync(path.join(repoDir, '.env'), 'GITHUB_TOKEN=ghp_secret\n');
+    fs.writeFileSync(path.join(repoDir, 'secrets/deploy.pem'), 'key');
+    fs.writeFileSync(path.join(repoDir, 'src/app.js'), 'export {};\n');
+    fs.writeFileSync(path.join(repoDir, 'src/debug.log'), 'trace');
+
+    const source = new FileSystemSource(repoDir);
+    const paths = (await source.listTree()).entries.map((item) => item.path).sort();
+    assert.deepEqual(paths, ['.gitignore', 'src', 'src/app.js']);
+    assert.deepEqual((await source.listDirectory('src')).map((item) => item.path), ['src/app.js']);
+  } finally {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+});
+
+test('paths and symlinks that lead outside the root are refused', async () => {
+  const outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-source-outside-'));
+  fs.writeFileSync(path.join(outsideDir, 'passwd'), 'root:x:0:0');
+  fs.symlinkSync(path.join(outsideDir, 'passwd'), path.join(tmpDir, 'src/escape.txt'));
+  fs.symlinkSync(outsideDir, path.join(tmpDir, 'linked-dir'));
+  fs.symlinkSync(path.join(tmpDir, 'src/index.js'), path.join(tmpDir, 'src/alias.js'));
+
+  try {
+    const source = new FileSystemSource(tmpDir);
+    await assert.rejects(source.readFile('../passwd'), /Path is outside the project: \.\.\/passwd/);
+    await assert.rejects(source.readFile('src/escape.txt'), /Path is outside the project: src\/escape\.txt/);
+    await assert.rejects(source.readFile('linked-dir/passwd'), /Path is outside the project/);
+    await assert.rejects(source.listDirectory('linked-dir'), /Path is outside the project/);
+
+    // A symlink to a file inside the project is fine
+    assert.equal(await source.readFile('src/alias.js'), fs.readFileSync(path.join(tmpDir, 'src/index.js'), 'utf-8'));
+  } finally {
+    for (const link of ['src/escape.txt', 'linked-dir', 'src/alias.js']) fs.rmSync(path.join(tmpDir, link));
+    fs.rmSync(outsideDir, { recursive: true, force: true });
+  }
+});
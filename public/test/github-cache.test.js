@@ -0,0 +1,76 @@
+/**
+ * GitHub ETag Cache Tests
+ * The conditional request cache is bounded by body size and keeps only JSON responses
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, {
+  GITHUB_ETAG_CACHE_SIZE: '100',
+  GITHUB_ETAG_CACHE_BYTES: '10000',
+  LOG_LEVEL: 'error',
+});
+
+let githubService;
+
+before(async () => {
+  ({ githubService } = await import('../src/services/github.js'));
+});
+
+const endpoint = (options) => ({ url: options.url });
+
+/**
+ * Send a GET through the service with a stubbed Octokit request
+ * @param {string} url - Request URL
+ * @param {*} data - Response body
+ * @param {string} contentType - Response content type
+ * @returns {Promise<Object>} Response
+ */
+function get(url, data, contentType = 'application/json; charset=utf-8') {
+  const request = async () => ({ status: 200, url, data, headers: { etag: `"${url}"`, 'content-type': contentType } });
+  return githubService.sendRequest(request, { method: 'GET', url, headers: {} }, endpoint);
+}
+
+test('non-JSON and oversized responses are not cached', async () => {
+  await get('/logs', 'a plain text job log', 'text/plain');
+  await get('/huge', { blob: 'x'.repeat(2000) });
+
+  assert.equal(githubService.etags.has('/logs'), false);
+  assert.equal(githubService.etags.has('/huge'), false);
+});
+
+test('the least recently used responses go once the byte limit is reached', async () => {
+  for (let i = 0; i < 20; i++) {
+    await get(`/items/${i}`, { payload: 'x'.repeat(900) });
+  }
+
+  const stats = githubService.getRateLimitStats();
+  assert.ok(stats.cachedBytes <= 10000, `${stats.cachedBytes} bytes cached`);
+  assert.equal(githubService.etags.has('/items/0'), false);
+  assert.equal(githubService.etags.has('/items/19'), true);
+
+  const recomputed = [...githubService.etags.values()].reduce((sum, entry) => sum + entry.size, 0);
+  assert.equal(stats.cachedBytes, recomputed);
+});
+
+test('a 304 returns the cached body', async () => {
+  await get('/repo', { name: 'repo' });
+
+  let sentEtag;
+  const notModified = async () => {
+    throw Object.assign(new Error('Not modified'), { status: 304, response: { headers: {} } });
+  };
+  const options = { method: 'GET', url: '/repo', headers: {} };
+  const response = await githubService.sendRequest(
+    () => {
+      sentEtag = options.headers['if-none-match'];
+      return notModified();
+    },
+    options,
+    endpoint
+  );
+
+  assert.equal(sentEtag, '"/repo"');
+  assert.deepEqual(response.data, { name: 'repo' });
+});
@@ -0,0 +1,71 @@
+/**
+ * History Service Tests
+ * Commit file lists are fetched a few at a time and kept across history invalidation
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+let historyService;
+let githubService;
+
+before(async () => {
+  ({ historyService } = await import('../src/services/history.js'));
+  ({ githubService } = await import('../src/services/github.js'));
+});
+
+/**
+ * Commit as returned by the list commits API
+ * @param {number} n - Commit number
+ * @returns {Object} Commit
+ */
+function listedCommit(n) {
+  return {
+    sha: `sha${n}`,
+    parents: [{ sha: `sha${n - 1}` }],
+    author: { login: 'dev' },
+    commit: { message: `Commit ${n}\n\nBody`, author: { date: new Date().toISOString() } },
+  };
+}
+
+test('commit files are fetched concurrently and only once per commit', async () => {
+  const listCommits = githubService.listCommits;
+  const getCommit = githubService.getCommit;
+  let listed = Array.from({ length: 20 }, (_, i) => listedCommit(20 - i));
+  const fetched = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  githubService.listCommits = async () => listed;
+  githubService.getCommit = async (sha) => {
+    fetched.push(sha);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight--;
+    return { files: [{ filename: `${sha}.js`, status: 'modified', additions: 1, deletions: 0 }] };
+  };
+
+  try {
+    const history = await historyService.getHistory({ days: 30, ref: 'main' });
+    assert.equal(history.commits.length, 20);
+    assert.deepEqual(history.commits.map((c) => c.sha), listed.map((c) => c.sha));
+    assert.equal(history.commits[0].files[0].path, 'sha20.js');
+    assert.ok(maxInFlight > 1, 'commits were fetched one at a time');
+    assert.ok(maxInFlight <= 8, `${maxInFlight} requests in flight`);
+
+    // A push adds one commit and clears the history cache; only the new commit is fetched
+    listed = [listedCommit(21), ...listed];
+    fetched.length = 0;
+    historyService.invalidate();
+    const updated = await historyService.getHistory({ days: 30, ref: 'main' });
+
+    assert.equal(updated.commits.length, 21);
+    assert.deepEqual(fetched, ['sha21']);
+  } finally {
+    githubService.listCommits = listCommits;
+    githubService.getCommit = getCommit;
+  }
+});
@@ -0,0 +1,110 @@
+/**
+ * Project Structure Tests
+ * The nested tree built from a flat recursive listing, and structures cached per ref
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const TREE = [
+  { name: 'server.js', path: 'src/api/server.js', type: 'file', size: 40, sha: 's1' },
+  { name: 'README.md', path: 'README.md', type: 'file', size: 10, sha: 'r1' },
+  { name: 'src', path: 'src', type: 'dir', sha: 'd1' },
+  // A truncated listing can miss parent directories (here src/api)
+  { name: 'index.js', path: 'src/index.js', type: 'file', size: 20, sha: 'i1' },
+  { name: 'chalk.js', path: 'node_modules/chalk/chalk.js', type: 'file', size: 5, sha: 'c1' },
+];
+
+let projectService;
+const listed = []; // Refs passed to listTree
+
+before(async () => {
+  ({ projectService } = await import('../src/services/project.js'));
+  projectService.source = {
+    name: 'stub',
+    mockFallback: false,
+    getInfo: () => ({ source: 'stub', ref: 'main' }),
+    async listTree(ref) {
+      listed.push(ref);
+      return { entries: TREE, truncated: ref === 'huge' };
+    },
+  };
+});
+
+test('a flat listing becomes a nested tree with root files and directories', () => {
+  const structure = projectService.buildStructure(TREE, 'v1.0');
+
+  assert.equal(structure.ref, 'v1.0');
+  assert.equal(structure.fileCount, 4);
+  assert.deepEqual(structure.files, [{ name: 'README.md', path: 'README.md', size: 10 }]);
+  assert.deepEqual(structure.directories.map((d) => d.path), ['node_modules', 'src']);
+
+  const src = structure.tree.find((node) => node.path === 'src');
+  assert.equal(src.sha, 'd1');
+  assert.deepEqual(src.children.map((node) => [node.path, node.type]), [
+    ['src/api', 'dir'],
+    ['src/index.js', 'file'],
+  ]);
+  assert.deepEqual(src.children[0].children.map((node) => node.path), ['src/api/server.js']);
+  assert.equal(projectService.buildStructure([], undefined).ref, 'main');
+});
+
+test('structures are cached per ref until they expire', async () => {
+  listed.length = 0;
+  projectService.cachedStructures.clear();
+
+  const main = await projectService.getProjectStructure();
+  await projectService.getProjectStructure();
+  const tag = await projectService.getProjectStructure('v1.0');
+  const huge = await projectService.getProjectStructure('huge');
+
+  assert.deepEqual(listed, [undefined, 'v1.0', 'huge']);
+  assert.equal(main.ref, 'main');
+  assert.equal(tag.ref, 'v1.0');
+  assert.equal(huge.truncated, true);
+
+  const ttl = projectService.CACHE_TTL;
+  projectService.CACHE_TTL = -1;
+  projectService.cachedStructures.clear();
+  try {
+    await projectService.getProjectStructure('v1.0');
+    await projectService.getProjectStructure('v1.0');
+  } finally {
+    projectService.CACHE_TTL = ttl;
+  }
+  assert.deepEqual(listed.slice(3), ['v1.0', 'v1.0']);
+});
+
+test('expired structures are dropped and at most 20 refs are kept', async () => {
+  projectService.cachedStructures.clear();
+  const ttl = projectService.CACHE_TTL;
+  projectService.CACHE_TTL = -1;
+  try {
+    await projectService.getProjectStructure('old');
+    projectService.CACHE_TTL = ttl;
+    await projectService.getProjectStructure('new');
+    assert.deepEqual([...projectService.cachedStructures.keys()], ['old', 'new']);
+
+    // Reading the expired entry replaces it
+    listed.length = 0;
+    await projectService.getProjectStructure('old');
+    assert.deepEqual(listed, ['old']);
+    assert.ok(projectService.cachedStructures.get('old').expiry > Date.now());
+  } finally {
+    projectService.CACHE_TTL = ttl;
+  }
+
+  projectService.cachedStructures.clear();
+  for (let i = 0; i < 25; i++) await projectService.getProjectStructure(`pr-${i}`);
+  assert.equal(projectService.cachedStructures.size, 20);
+  assert.equal(projectService.cachedStructures.has('pr-4'), false);
+  assert.equal(projectService.cachedStructures.has('pr-5'), true);
+});
+
+test('listAllFiles leaves out dependency folders', async () => {
+  const files = await projectService.listAllFiles();
+  assert.deepEqual(files.map((f) => f.path), ['src/api/server.js', 'README.md', 'src/index.js']);
+  assert.deepEqual(Object.keys(files[0]), ['name', 'path', 'size', 'sha']);
+});
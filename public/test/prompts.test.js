@@ -0,0 +1,85 @@
+/**
+ * Prompt Registry Tests
+ * Version selection and pins, per-repo overrides and variable checking when rendering
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const overridesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-overrides-'));
+const repoDir = path.join(overridesDir, 'acme', 'widgets');
+process.env.PROMPT_OVERRIDES_DIR = overridesDir;
+process.env.GITHUB_REPO = 'acme/widgets';
+process.env.PROMPT_VERSIONS = 'commit-message=1';
+process.env.LOG_LEVEL = 'error';
+
+let promptRegistry;
+
+before(async () => {
+  fs.mkdirSync(repoDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(repoDir, 'commit-message.v9.md'),
+    '---\ndescription: Terse\n---\nOne line for {{files}}\n'
+  );
+  fs.writeFileSync(
+    path.join(repoDir, 'greeting.v1.md'),
+    'Hello {{name}}, welcome to {{ project }}. Bye {{name}}.\n'
+  );
+  fs.writeFileSync(path.join(repoDir, 'docs-file.v1.md'), 'Repo-specific docs for {{filePath}}\n');
+
+  ({ promptRegistry } = await import('../src/services/prompts.js'));
+});
+
+after(() => {
+  fs.rmSync(overridesDir, { recursive: true, force: true });
+});
+
+test('the highest version is used unless the template is pinned', () => {
+  const greeting = promptRegistry.get('greeting');
+  assert.equal(greeting.id, 'greeting@v1');
+  assert.deepEqual(greeting.variables, ['name', 'project']);
+
+  // commit-message=1 is pinned although the override adds v9
+  assert.equal(promptRegistry.get('commit-message').id, 'commit-message@v1');
+  assert.equal(promptRegistry.get('commit-message').source, 'builtin');
+
+  const latest = promptRegistry.get('commit-message', 9);
+  assert.equal(latest.source, 'override');
+  assert.equal(latest.description, 'Terse');
+  assert.equal(latest.body, 'One line for {{files}}');
+
+  const listed = promptRegistry.list().find((t) => t.name === 'commit-message');
+  assert.equal(listed.activeVersion, 1);
+  assert.deepEqual(listed.versions.map((v) => v.id), ['commit-message@v1', 'commit-message@v9']);
+});
+
+test('a repo override replaces the built-in template of the same version', () => {
+  const template = promptRegistry.get('docs-file', 1);
+  assert.equal(template.source, 'override');
+  assert.deepEqual(template.variables, ['filePath']);
+});
+
+test('render fills every occurrence of each variable', () => {
+  assert.deepEqual(promptRegistry.render('greeting', { name: 'Ada', project: 'widgets', unused: 'x' }), {
+    id: 'greeting@v1',
+    text: 'Hello Ada, welcome to widgets. Bye Ada.',
+  });
+  // Falsy values are still values
+  assert.equal(promptRegistry.render('greeting', { name: '', project: 0 }).text, 'Hello , welcome to 0. Bye .');
+});
+
+test('render names the variables that are missing', () => {
+  assert.throws(
+    () => promptRegistry.render('greeting', { name: 'Ada' }),
+    /^Error: Missing variables for prompt greeting@v1: project$/
+  );
+  assert.throws(() => promptRegistry.render('commit-message', {}, 9), /commit-message@v9: files/);
+});
+
+test('unknown templates and versions are rejected', () => {
+  assert.throws(() => promptRegistry.get('no-such-prompt'), /Unknown prompt template: no-such-prompt/);
+  assert.throws(() => promptRegistry.get('greeting', 2), /Unknown prompt template version: greeting@v2/);
+});
@@ -0,0 +1,107 @@
+/**
+ * LLM Provider Tests
+ * Provider selection from config, scripted rules and the OpenAI-compatible request format
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { createProvider } from '../src/services/providers/index.js';
+import { ScriptedProvider } from '../src/services/providers/scripted.js';
+import { OpenAICompatibleProvider } from '../src/services/providers/openai.js';
+import { ReplayProvider } from '../src/services/providers/replay.js';
+
+const baseConfig = {
+  LLM_PROVIDER: 'scripted',
+  LLM_RECORD_MODE: 'off',
+  LLM_MODEL: '',
+  GEMINI_API_KEY: '',
+  OPENAI_BASE_URL: 'http://localhost:11434/v1/',
+  OPENAI_API_KEY: '',
+  LLM_TIMEOUT: 1000,
+  LLM_SCRIPT_FILE: '',
+};
+
+test('createProvider builds the configured backend', () => {
+  assert.ok(createProvider(baseConfig) instanceof ScriptedProvider);
+
+  const openai = createProvider({ ...baseConfig, LLM_PROVIDER: 'openai', LLM_MODEL: 'llama3' });
+  assert.ok(openai instanceof OpenAICompatibleProvider);
+  assert.equal(openai.model, 'llama3');
+  assert.equal(openai.baseUrl, 'http://localhost:11434/v1');
+
+  assert.equal(createProvider({ ...baseConfig, LLM_PROVIDER: 'openai' }).model, 'gpt-4o-mini');
+});
+
+test('replay mode serves fixtures without building a backend', () => {
+  const provider = createProvider({
+    ...baseConfig,
+    LLM_PROVIDER: 'gemini',
+    LLM_RECORD_MODE: 'replay',
+    LLM_FIXTURES_DIR: 'missing-fixtures',
+  });
+  assert.ok(provider instanceof ReplayProvider);
+  assert.equal(provider.offline, true);
+});
+
+test('Gemini without an API key falls back to the scripted provider', () => {
+  assert.ok(createProvider({ ...baseConfig, LLM_PROVIDER: 'gemini' }) instanceof ScriptedProvider);
+});
+
+test('an unknown provider name is rejected', () => {
+  assert.throws(() => createProvider({ ...baseConfig, LLM_PROVIDER: 'claude' }), /Unknown LLM_PROVIDER: claude/);
+});
+
+test('the scripted provider answers from the first matching rule', async () => {
+  const provider = new ScriptedProvider({
+    rules: [
+      { match: /^Summarize/, response: 'A summary' },
+      { match: 'findings', response: { summary: 'ok', findings: [] } },
+    ],
+  });
+
+  assert.equal(await provider.generate('Summarize this file'), 'A summary');
+  assert.deepEqual(await provider.generateStructured('Return findings as JSON'), { summary: 'ok', findings: [] });
+  assert.match(await provider.generate('Something else'), /^Mock response for prompt: Something else/);
+  assert.equal(
+    await provider.chat([{ role: 'user', content: 'Hi' }]),
+    "Mock chat reply: Received message 'Hi'"
+  );
+});
+
+test('the OpenAI-compatible provider sends the system prompt and maps model turns to assistant', async () => {
+  const post = axios.post;
+  let request;
+  axios.post = async (url, body, options) => {
+    request = { url, body, options };
+    return { data: { choices: [{ message: { content: 'Hello again' } }] } };
+  };
+
+  try {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1', apiKey: 'key', model: 'm' });
+    const reply = await provider.chat(
+      [
+        { role: 'user', content: 'Hi' },
+        { role: 'model', content: 'Hello' },
+        { role: 'user', content: 'Again' },
+      ],
+      { systemPrompt: 'Be brief', temperature: 0.2 }
+    );
+
+    assert.equal(reply, 'Hello again');
+    assert.equal(request.url, 'http://llm.local/v1/chat/completions');
+    assert.equal(request.options.headers.Authorization, 'Bearer key');
+    assert.equal(request.body.temperature, 0.2);
+    assert.deepEqual(
+      request.body.messages.map((m) => [m.role, m.content]),
+      [
+        ['system', 'Be brief'],
+        ['user', 'Hi'],
+        ['assistant', 'Hello'],
+        ['user', 'Again'],
+      ]
+    );
+  } finally {
+    axios.post = post;
+  }
+});
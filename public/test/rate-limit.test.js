@@ -0,0 +1,128 @@
+/**
+ * Rate Limit and Retry Tests
+ * The per-minute window, retries on transient provider errors and the daily quota
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-usage-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: path.join(usageDir, 'usage.json'),
+  LLM_MAX_RETRIES: '2',
+  LLM_RETRY_BASE_DELAY: '1',
+  LLM_DAILY_REQUEST_LIMIT: '10',
+  LOG_LEVEL: 'error',
+});
+
+let RateLimiter;
+let LLMUnavailableError;
+let isRetryableError;
+let geminiService;
+let usageTracker;
+
+before(async () => {
+  ({ RateLimiter } = await import('../src/utils/rateLimiter.js'));
+  ({ LLMUnavailableError, isRetryableError } = await import('../src/utils/errors.js'));
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+/**
+ * A provider call that throws the given errors in order, then returns 'done'
+ * @param {Array<Error>} errors - Errors for the first attempts
+ * @returns {Function} Call, with a `calls` counter
+ */
+function failingCall(errors) {
+  const call = async () => {
+    call.calls++;
+    if (errors.length) throw errors.shift();
+    return 'done';
+  };
+  call.calls = 0;
+  return call;
+}
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { status });
+
+test('the window holds requests past the per-minute request limit', async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 2 });
+
+  await limiter.acquire();
+  await limiter.acquire();
+
+  const wait = limiter.getWaitTime(0);
+  assert.ok(wait > 59000 && wait <= 60001, `waited ${wait}ms`);
+});
+
+test('token reservations are corrected to the actual usage', async () => {
+  const limiter = new RateLimiter({ tokensPerMinute: 100 });
+  const reservation = await limiter.acquire(80);
+
+  assert.ok(limiter.getWaitTime(40) > 0);
+  limiter.adjust(reservation, 30);
+  assert.equal(limiter.getWaitTime(40), 0);
+  assert.equal(limiter.getStats().tokensLastMinute, 30);
+
+  // Larger than the whole budget: allowed once nothing else is in the window
+  assert.equal(new RateLimiter({ tokensPerMinute: 100 }).getWaitTime(500), 0);
+});
+
+test('rate limits, server errors and network failures are retryable, client errors are not', () => {
+  assert.ok(isRetryableError(httpError(429)));
+  assert.ok(isRetryableError(httpError(503)));
+  assert.ok(isRetryableError(new Error('[429 Too Many Requests] Resource exhausted')));
+  assert.ok(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+  assert.ok(!isRetryableError(httpError(400)));
+  assert.ok(!isRetryableError(new Error('[403 Forbidden] API key not valid')));
+});
+
+test('transient errors are retried until the call succeeds', async () => {
+  const call = failingCall([httpError(503), httpError(429)]);
+  const start = { ...usageTracker.getStats().today };
+
+  assert.equal(await geminiService.callProvider('prompt', call), 'done');
+
+  assert.equal(call.calls, 3);
+  const today = usageTracker.getStats().today;
+  assert.equal(today.requests - start.requests, 3);
+  assert.equal(today.errors - start.errors, 2);
+});
+
+test('a client error fails at once, and exhausted retries report the attempts', async () => {
+  const badRequest = failingCall([httpError(400)]);
+  await assert.rejects(geminiService.callProvider('prompt', badRequest), (error) => {
+    assert.ok(error instanceof LLMUnavailableError);
+    assert.equal(error.status, 400);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+  assert.equal(badRequest.calls, 1);
+
+  const outage = failingCall([httpError(503), httpError(503), httpError(503)]);
+  await assert.rejects(geminiService.callProvider('prompt', outage), (error) => {
+    assert.equal(error.status, 503);
+    assert.equal(error.retryable, true);
+    assert.equal(error.attempts, 3);
+    return true;
+  });
+  assert.equal(outage.calls, 3);
+});
+
+test('the daily quota counts every call and refuses jobs that no longer fit', () => {
+  const remaining = usageTracker.getRemaining();
+
+  assert.equal(remaining.requests, 10 - usageTracker.getStats().today.requests);
+  assert.equal(remaining.tokens, null);
+  assert.ok(usageTracker.hasBudget({ requests: remaining.requests }));
+  assert.ok(!usageTracker.hasBudget({ requests: remaining.requests + 1 }));
+});
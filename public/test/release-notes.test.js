@@ -0,0 +1,143 @@
+/**
+ * Release Notes Tests
+ * Mainline commits and merged pull requests grouped into release sections, and the draft release
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-notes-'));
+Object.assign(process.env, {
+  GITHUB_REPO: 'acme/widgets',
+  GITHUB_BRANCH: 'main',
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: path.join(usageDir, 'usage.json'),
+  LOG_LEVEL: 'error',
+});
+
+/**
+ * A compare API commit
+ * @param {string} sha - Commit SHA
+ * @param {string} message - Commit message
+ * @param {Array<string>} parents - Parent SHAs
+ * @returns {Object} Commit
+ */
+function commit(sha, message, parents) {
+  return {
+    sha,
+    parents: parents.map((parent) => ({ sha: parent })),
+    author: sha === 'c3' ? null : { login: 'grace' },
+    commit: { message, author: { name: 'Grace Hopper' }, committer: { date: '2026-10-01T00:00:00Z' } },
+  };
+}
+
+// Oldest first, as the compare API returns them
+const COMMITS = [
+  commit('c1', 'feat(api): add todo filters', ['c0']),
+  commit('f1', 'wip: owner filter', ['c1']), // On the pull request branch
+  commit('m1', 'Merge pull request #12 from acme/owner-filter', ['c1', 'f1']),
+  commit('c2', 'fix: require a request body\n\nBREAKING CHANGE: empty bodies are rejected', ['m1']),
+  commit('m2', "Merge branch 'main' into release", ['c2', 'x1']),
+  commit('c3', 'Update README', ['m2']),
+];
+const PULLS = [
+  { number: 12, title: 'Filter todos by owner', labels: [{ name: 'enhancement' }], merge_commit_sha: 'm1', user: { login: 'ada' } },
+  { number: 9, title: 'fix: older change', labels: [], merge_commit_sha: 'old', user: { login: 'ada' } },
+];
+
+let releaseNotesAgent;
+let githubService;
+let usageTracker;
+const calls = {};
+
+before(async () => {
+  ({ githubService } = await import('../src/services/github.js'));
+  const { geminiService } = await import('../src/services/gemini.js');
+  ({ releaseNotesAgent } = await import('../src/agents/release-notes.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+
+  githubService.getLatestRelease = async () => ({ tag_name: 'v1.2.0' });
+  githubService.compareCommits = async (from, to) => {
+    calls.compare = [from, to];
+    return { commits: from === to ? [] : COMMITS, truncated: false };
+  };
+  githubService.listMergedPullRequests = async (since) => {
+    calls.pullsSince = since;
+    return PULLS;
+  };
+  githubService.createRelease = async (release) => {
+    calls.release = release;
+    return { id: 77, html_url: 'https://github.com/acme/widgets/releases/77', draft: true };
+  };
+  geminiService.provider = {
+    name: 'stub',
+    model: 'stub',
+    async generate(prompt) {
+      calls.prompt = prompt;
+      return '  Owners can now filter their todos.\n';
+    },
+  };
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+test('mainline commits and merged pull requests are grouped by type, newest first', async () => {
+  const notes = await releaseNotesAgent.generateReleaseNotes({ tag: 'v1.3.0', noCache: true });
+
+  assert.deepEqual(calls.compare, ['v1.2.0', 'main']);
+  assert.equal(calls.pullsSince, COMMITS[0].commit.committer.date);
+  assert.equal(notes.summary, 'Owners can now filter their todos.');
+  assert.equal(notes.pullRequests, 1);
+  assert.equal(notes.commits, 3);
+
+  const titles = Object.fromEntries(Object.entries(notes.sections).map(([key, entries]) => [key, entries.map((e) => e.ref)]));
+  assert.deepEqual(titles, {
+    other: ['c3'],
+    breaking: ['c2'],
+    feat: ['#12', 'c1'],
+  });
+
+  assert.match(notes.markdown, /^## v1\.3\.0 \(\d{4}-\d{2}-\d{2}\)\n\nOwners can now filter their todos\.\n\n### ⚠️ Breaking Changes\n/);
+  assert.match(notes.markdown, /### ✨ Features\n- Filter todos by owner \(#12\) @ada\n- add todo filters \(c1\) @grace\n/);
+  assert.match(notes.markdown, /### Other Changes\n- Update README \(c3\) @Grace Hopper\n/);
+  assert.doesNotMatch(notes.markdown, /wip|Merge branch|older change/);
+  assert.match(notes.markdown, /\*\*Full changelog:\*\* https:\/\/github\.com\/acme\/widgets\/compare\/v1\.2\.0\.\.\.main\n$/);
+  assert.match(calls.prompt, /### ✨ Features\n- Filter todos by owner \(#12\) @ada/);
+});
+
+test('an empty range needs no summary from the model', async () => {
+  calls.prompt = undefined;
+
+  const notes = await releaseNotesAgent.generateReleaseNotes({ from: 'v1.3.0', to: 'v1.3.0' });
+
+  assert.equal(calls.prompt, undefined);
+  assert.equal(notes.summary, 'No changes in this range.');
+  assert.deepEqual(notes.sections, {});
+  assert.doesNotMatch(notes.markdown, /###/);
+});
+
+test('without a "from" ref the latest release is required', async () => {
+  const getLatestRelease = githubService.getLatestRelease;
+  githubService.getLatestRelease = async () => null;
+
+  try {
+    await assert.rejects(releaseNotesAgent.generateReleaseNotes(), /the repository has no published releases/);
+  } finally {
+    githubService.getLatestRelease = getLatestRelease;
+  }
+});
+
+test('notes are published as a draft release for the tag', async () => {
+  const notes = { to: 'main', markdown: '## v1.3.0\n' };
+
+  const release = await releaseNotesAgent.publishDraftRelease(notes, 'v1.3.0');
+
+  assert.deepEqual(calls.release, { tagName: 'v1.3.0', name: 'v1.3.0', body: '## v1.3.0\n', targetCommitish: 'main', draft: true });
+  assert.deepEqual(release, { id: 77, url: 'https://github.com/acme/widgets/releases/77', tag: 'v1.3.0', draft: true });
+});
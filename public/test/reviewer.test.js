@@ -0,0 +1,150 @@
+/**
+ * Pull Request Reviewer Tests
+ * Diff hunks mapped to new-file line numbers, and findings placed as inline comments only on diff lines
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePatch } from '../src/utils/diff.js';
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reviewer-'));
+process.env.LLM_PROVIDER = 'scripted';
+process.env.LLM_USAGE_FILE = path.join(usageDir, 'usage.json');
+process.env.LOG_LEVEL = 'error';
+
+// Two hunks of src/app.js: lines 10-13 and 40-41 of the new file
+const PATCH = `@@ -10,4 +10,4 @@ import express from 'express';
+ const app = express();
+-app.use(cors());
++app.use(cors({ origin: '*' }));
+ app.use(express.json());
++app.use(helmet());
+@@ -38,2 +40,2 @@ app.get('/todos', async (req, res) => {
+-  const rows = await db.all('SELECT * FROM todos');
++  const rows = await db.all(\`SELECT * FROM todos WHERE owner = '\${req.query.owner}'\`);
+   res.json(rows);
+\\ No newline at end of file`;
+
+const finding = (line, severity) => ({ line, severity, category: 'security', message: `Issue at ${line}`, suggestedFix: '' });
+
+let reviewerAgent;
+let githubService;
+let geminiService;
+let usageTracker;
+
+before(async () => {
+  ({ reviewerAgent } = await import('../src/agents/reviewer.js'));
+  ({ githubService } = await import('../src/services/github.js'));
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+/**
+ * Swap in an analyzeCode that reports the given findings for every hunk, recording its calls
+ * @param {Function} findingsFor - (startLine) => findings
+ * @returns {Object} { calls, restore }
+ */
+function stubAnalysis(findingsFor) {
+  const analyzeCode = geminiService.analyzeCode;
+  const calls = [];
+  geminiService.analyzeCode = async (code, language, options) => {
+    calls.push({ code, language, startLine: options.startLine, source: options.source });
+    return { summary: `Hunk at ${options.startLine}.`, findings: findingsFor(options.startLine) };
+  };
+  return { calls, restore: () => (geminiService.analyzeCode = analyzeCode) };
+}
+
+test('hunks are numbered by the new file and drop removed lines', () => {
+  const hunks = parsePatch(PATCH);
+
+  assert.deepEqual(hunks.map(({ startLine, endLine }) => [startLine, endLine]), [[10, 13], [40, 41]]);
+  assert.deepEqual(hunks[0].lines, [
+    { number: 10, content: 'const app = express();', added: false },
+    { number: 11, content: "app.use(cors({ origin: '*' }));", added: true },
+    { number: 12, content: 'app.use(express.json());', added: false },
+    { number: 13, content: 'app.use(helmet());', added: true },
+  ]);
+  assert.deepEqual(parsePatch(''), []);
+  assert.deepEqual(parsePatch('@@ -1,1 +0,0 @@\n-gone'), []);
+});
+
+test('each hunk is analyzed at its line offset and only diff lines get inline comments', async () => {
+  const { calls, restore } = stubAnalysis((startLine) => [finding(startLine + 1, 'medium'), finding(startLine + 100, 'low')]);
+
+  try {
+    const file = await reviewerAgent.reviewFile({ filename: 'src/app.js', patch: PATCH });
+
+    assert.deepEqual(calls.map((c) => [c.startLine, c.language, c.source]), [
+      [10, 'javascript', 'src/app.js'],
+      [40, 'javascript', 'src/app.js'],
+    ]);
+    assert.equal(calls[1].code.split('\n').length, 2);
+    assert.deepEqual(file.comments.map((c) => [c.path, c.line]), [['src/app.js', 11], ['src/app.js', 41]]);
+    assert.equal(file.outsideDiff, 2);
+    assert.equal(file.summary, 'Hunk at 10. Hunk at 40.');
+  } finally {
+    restore();
+  }
+});
+
+test('analysis prompts number lines from the hunk start', async () => {
+  const provider = geminiService.provider;
+  let prompt;
+  geminiService.provider = {
+    name: 'stub',
+    model: 'stub',
+    async generateStructured(text) {
+      prompt = text;
+      return { summary: 'ok', findings: [] };
+    },
+  };
+
+  try {
+    await geminiService.analyzeCode('a();\nb();', 'javascript', { startLine: 40, noCache: true });
+  } finally {
+    geminiService.provider = provider;
+  }
+  assert.match(prompt, /\n40: a\(\);\n41: b\(\);/);
+});
+
+test('blocking findings request changes, posted as a comment when GitHub refuses', async () => {
+  const { restore } = stubAnalysis((startLine) => (startLine === 40 ? [finding(40, 'critical')] : []));
+  const { getPullRequest, listPullRequestFiles, createReview } = githubService;
+  const reviews = [];
+  githubService.getPullRequest = async () => ({ title: 'Filter todos by owner', head: { sha: 'abc123' } });
+  githubService.listPullRequestFiles = async () => [
+    { filename: 'src/app.js', status: 'modified', patch: PATCH },
+    { filename: 'src/legacy.js', status: 'removed', patch: '@@ -1 +0,0 @@\n-old' },
+    { filename: 'logo.png', status: 'added' },
+  ];
+  githubService.createReview = async (prNumber, review) => {
+    reviews.push(review);
+    if (review.event === 'REQUEST_CHANGES') {
+      throw Object.assign(new Error('Can not request changes on your own pull request'), { status: 422 });
+    }
+    return { id: 9, html_url: 'https://github.com/acme/widgets/pull/5#review-9', state: 'COMMENTED' };
+  };
+
+  try {
+    const result = await reviewerAgent.reviewPullRequest(5);
+
+    assert.equal(result.verdict, 'changes_requested');
+    assert.deepEqual(result.skipped, ['src/legacy.js', 'logo.png']);
+    assert.deepEqual(reviews.map((r) => r.event), ['REQUEST_CHANGES', 'COMMENT']);
+    assert.equal(reviews[1].commitId, 'abc123');
+    assert.deepEqual(reviews[1].comments.map((c) => c.line), [40]);
+    assert.match(reviews[1].body, /\*\*Verdict:\*\* 🔴 Changes requested/);
+    assert.deepEqual(result.review, { id: 9, url: 'https://github.com/acme/widgets/pull/5#review-9', event: 'COMMENTED' });
+  } finally {
+    restore();
+    Object.assign(githubService, { getPullRequest, listPullRequestFiles, createReview });
+  }
+});
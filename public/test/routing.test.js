@@ -0,0 +1,115 @@
+/**
+ * Model Routing Tests
+ * MODEL_ROUTES validation, per-task generation options and the task/model usage breakdown
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-routing-'));
+const usageFile = path.join(usageDir, 'usage.json');
+const today = new Date().toISOString().slice(0, 10);
+
+// Counters written before the breakdown existed
+fs.writeFileSync(usageFile, JSON.stringify({ [today]: { requests: 2, inputTokens: 10, outputTokens: 5, errors: 0 } }));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: usageFile,
+  MODEL_ROUTES: JSON.stringify({ analyzeCode: { model: 'large', temperature: 0 }, chat: { model: 'small' } }),
+  LLM_PRICES: JSON.stringify({ large: { input: 2, output: 8 } }),
+  LOG_LEVEL: 'error',
+});
+
+let GeminiService;
+let geminiService;
+let usageTracker;
+
+before(async () => {
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+  GeminiService = geminiService.constructor;
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+/**
+ * Swap in a provider that records generate() options and reports fixed token counts
+ * @returns {Object} { calls, restore }
+ */
+function recordingProvider() {
+  const original = geminiService.provider;
+  const calls = [];
+  geminiService.provider = {
+    name: 'stub',
+    model: 'default-model',
+    async generate(prompt, { onUsage, ...options }) {
+      calls.push(options);
+      onUsage({ inputTokens: 1000, outputTokens: 500 });
+      return 'ok';
+    },
+  };
+  return { calls, restore: () => (geminiService.provider = original) };
+}
+
+test('MODEL_ROUTES rejects malformed JSON, unknown tasks and unknown options', () => {
+  assert.deepEqual(GeminiService.parseRoutes(''), {});
+  assert.throws(() => GeminiService.parseRoutes('{analyzeCode:'), /^Error: Invalid MODEL_ROUTES: /);
+  assert.throws(() => GeminiService.parseRoutes('{"summarize":{"model":"x"}}'), /Unknown task in MODEL_ROUTES: summarize \(expected chat, /);
+  assert.throws(
+    () => GeminiService.parseRoutes('{"chat":{"model":"x","topP":1,"seed":2}}'),
+    /Unknown option for chat in MODEL_ROUTES: topP, seed/
+  );
+});
+
+test('a task gets its routed model and parameters, and caller options win', async () => {
+  const { calls, restore } = recordingProvider();
+
+  try {
+    await geminiService.generate('Analyze', { task: 'analyzeCode', noCache: true });
+    await geminiService.generate('Analyze', { task: 'analyzeCode', temperature: 0.5, noCache: true });
+    await geminiService.generate('Summarize', { noCache: true });
+  } finally {
+    restore();
+  }
+
+  assert.deepEqual(
+    calls.map(({ task, model, temperature }) => ({ task, model, temperature })),
+    [
+      { task: 'analyzeCode', model: 'large', temperature: 0 },
+      { task: 'analyzeCode', model: 'large', temperature: 0.5 },
+      { task: 'other', model: undefined, temperature: undefined },
+    ]
+  );
+  assert.equal(geminiService.getRoutes().chat.model, 'small');
+  assert.equal(geminiService.getRoutes().docs.model, geminiService.provider.model);
+});
+
+test('usage is broken down by task and model, priced from the provider token counts', async () => {
+  const { restore } = recordingProvider();
+  const start = structuredClone(usageTracker.getStats().today);
+
+  try {
+    await geminiService.generate('Analyze again', { task: 'analyzeCode', noCache: true });
+  } finally {
+    restore();
+  }
+
+  const day = usageTracker.getStats().today;
+  const large = day.models.large;
+  assert.ok(start.requests >= 2, 'counters from before the breakdown are kept');
+  assert.equal(day.requests, start.requests + 1);
+  assert.equal(large.requests, start.models.large.requests + 1);
+  assert.equal(large.inputTokens - start.models.large.inputTokens, 1000);
+  assert.equal(large.outputTokens - start.models.large.outputTokens, 500);
+  assert.equal(day.tasks.analyzeCode.requests, large.requests);
+  assert.equal(day.models['default-model'].cost, 0);
+  // 1000 input at $2/M + 500 output at $8/M
+  assert.ok(Math.abs(large.cost - large.requests * 0.006) < 1e-9);
+});
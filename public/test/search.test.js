@@ -0,0 +1,201 @@
+/**
+ * Code Search Tests
+ * Identifier-aware BM25 ranking, incremental background index builds and embedding search
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BM25Index, tokenize } from '../src/utils/bm25.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: path.join(tmpDir, 'usage.json'),
+  SEARCH_INDEX_FILE: path.join(tmpDir, 'search-index.json'),
+  LOG_LEVEL: 'error',
+});
+
+const repo = {
+  'src/rateLimiter.js': { sha: 'a1', content: 'export class RateLimiter {\n  acquire(tokens) {}\n}\n' },
+  'src/server.js': { sha: 'b1', content: "import express from 'express';\nconst app = express();\n" },
+  'README.md': { sha: 'c1', content: '# Widgets\n\nServes widgets over HTTP.\n' },
+  'assets/logo.png': { sha: 'd1', content: 'binary' },
+};
+const fetched = [];
+let gate = null; // File reads wait for this promise while it is set
+let inFlight = 0;
+let maxInFlight = 0;
+
+let searchService;
+let geminiService;
+
+before(async () => {
+  const { projectService } = await import('../src/services/project.js');
+  projectService.listAllFiles = async () =>
+    Object.entries(repo).map(([filePath, { sha }]) => ({ name: path.basename(filePath), path: filePath, sha }));
+  projectService.getFileContent = async (filePath) => {
+    fetched.push(filePath);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    try {
+      await (gate || new Promise(setImmediate));
+      return repo[filePath].content;
+    } finally {
+      inFlight--;
+    }
+  };
+
+  ({ searchService } = await import('../src/services/search.js'));
+  ({ geminiService } = await import('../src/services/gemini.js'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('identifiers are split into their camelCase and snake_case words', () => {
+  assert.deepEqual(tokenize('getFileContent(max_file_chars, 1, x)'), [
+    'getfilecontent', 'get', 'file', 'content',
+    'max_file_chars', 'max', 'file', 'chars',
+  ]);
+});
+
+test('BM25 ranks rarer matching terms higher and leaves out documents without a match', () => {
+  const index = new BM25Index();
+  index.add('limiter', 'class RateLimiter handles rate limits per minute');
+  index.add('server', 'express server listens per request');
+  index.add('readme', 'nothing relevant here');
+
+  const results = index.search('rate limiter per request');
+  assert.deepEqual(results.map((r) => r.id), ['limiter', 'server']);
+  assert.ok(results[0].score > results[1].score);
+});
+
+/**
+ * Hold file reads until the returned function is called
+ * @returns {Function} Release
+ */
+function holdReads() {
+  let release;
+  gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  return () => {
+    gate = null;
+    release();
+  };
+}
+
+test('searches that do not wait get no results until the first build is done', async () => {
+  const release = holdReads();
+
+  assert.deepEqual(await searchService.search('rate limiter', { wait: false }), { mode: 'keyword', results: [] });
+  assert.ok(searchService.building, 'the first build was not started');
+
+  release();
+  await searchService.building;
+  const { results } = await searchService.search('rate limiter', { wait: false });
+  assert.equal(results[0].path, 'src/rateLimiter.js');
+});
+
+test('keyword search finds the chunk and its line range, skipping files that are not text', async () => {
+  await searchService.build();
+
+  assert.equal(searchService.getStats().mode, 'keyword');
+  assert.deepEqual(fetched.sort(), ['README.md', 'src/rateLimiter.js', 'src/server.js']);
+
+  const { mode, results } = await searchService.search('rate limiter');
+  assert.equal(mode, 'keyword');
+  assert.deepEqual(results[0], {
+    path: 'src/rateLimiter.js',
+    startLine: 1,
+    endLine: 4,
+    score: results[0].score,
+    snippet: repo['src/rateLimiter.js'].content,
+  });
+});
+
+test('a rebuild only reads files whose SHA changed', async () => {
+  fetched.length = 0;
+  repo['README.md'] = { sha: 'c2', content: '# Widgets\n\nNow with gadgets.\n' };
+
+  await searchService.build();
+
+  assert.deepEqual(fetched, ['README.md']);
+  const { results } = await searchService.search('gadgets');
+  assert.deepEqual(results.map((r) => r.path), ['README.md']);
+});
+
+test('the stale index is served while an invalidated index rebuilds in the background', async () => {
+  repo['README.md'] = { sha: 'c3', content: '# Widgets\n\nNow with sprockets.\n' };
+  const release = holdReads();
+
+  searchService.invalidate();
+
+  assert.ok(searchService.building, 'invalidate did not start a build');
+  assert.deepEqual((await searchService.search('gadgets')).results.map((r) => r.path), ['README.md']);
+  assert.deepEqual((await searchService.search('sprockets')).results, []);
+
+  release();
+  await searchService.building;
+  assert.deepEqual((await searchService.search('sprockets')).results.map((r) => r.path), ['README.md']);
+  assert.ok(searchService.getStats().builtAt);
+  assert.equal(searchService.building, null);
+});
+
+test('an index invalidated during its build stays stale', async () => {
+  repo['README.md'] = { sha: 'c4', content: '# Widgets\n\nNow with cogs.\n' };
+  const release = holdReads();
+
+  searchService.invalidate();
+  const building = searchService.building;
+  searchService.invalidate();
+  release();
+  await building;
+
+  assert.equal(searchService.getStats().builtAt, null);
+});
+
+test('files are read a few at a time', async () => {
+  for (let i = 0; i < 20; i++) {
+    repo[`src/generated/file${i}.js`] = { sha: `g${i}`, content: `export const value${i} = ${i};\n` };
+  }
+  maxInFlight = 0;
+
+  try {
+    await searchService.build();
+    assert.ok(maxInFlight > 1, 'files were read one by one');
+    assert.ok(maxInFlight <= 8, `${maxInFlight} reads at once`);
+    assert.equal((await searchService.search('value13')).results[0].path, 'src/generated/file13.js');
+  } finally {
+    for (let i = 0; i < 20; i++) delete repo[`src/generated/file${i}.js`];
+  }
+});
+
+test('embeddings are used when the provider has an embedding model', async () => {
+  const original = geminiService.provider;
+  geminiService.provider = {
+    name: 'stub',
+    model: 'stub',
+    embeddingModel: 'vectors',
+    // One dimension per topic, so similarity picks the file about the query's topic
+    async embed(texts) {
+      return texts.map((t) => [/limit/i.test(t) ? 1 : 0, /express|http/i.test(t) ? 1 : 0, 0.1]);
+    },
+  };
+
+  try {
+    await searchService.build();
+    assert.equal(searchService.getStats().mode, 'embedding');
+    assert.equal(searchService.getStats().embeddingModel, 'stub:vectors');
+
+    const { mode, results } = await searchService.search('throttling limits', { limit: 1 });
+    assert.equal(mode, 'embedding');
+    assert.deepEqual(results.map((r) => r.path), ['src/rateLimiter.js']);
+  } finally {
+    geminiService.provider = original;
+  }
+});
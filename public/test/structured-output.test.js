@@ -0,0 +1,128 @@
+/**
+ * Structured Output Tests
+ * Schema validation errors and the repair loop that re-prompts the model with them
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateSchema } from '../src/utils/schema.js';
+import { analysisSchema } from '../src/schemas/analysis.js';
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-usage-'));
+process.env.LLM_PROVIDER = 'scripted';
+process.env.LLM_USAGE_FILE = path.join(usageDir, 'usage.json');
+process.env.LOG_LEVEL = 'error';
+
+let geminiService;
+let usageTracker;
+
+before(async () => {
+  ({ geminiService } = await import('../src/services/gemini.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+const validFinding = {
+  line: 3,
+  severity: 'high',
+  category: 'bug',
+  message: 'Off-by-one in loop bound',
+  suggestedFix: 'Use < instead of <=',
+};
+
+/**
+ * Swap in a provider whose generateStructured returns the given replies in order
+ * @param {Array} replies - Parsed results, or Errors to throw
+ * @returns {Object} { prompts, restore }
+ */
+function scriptReplies(replies) {
+  const original = geminiService.provider;
+  const prompts = [];
+  geminiService.provider = {
+    name: 'stub',
+    model: 'stub',
+    async generateStructured(prompt) {
+      prompts.push(prompt);
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return reply;
+    },
+  };
+  return { prompts, restore: () => (geminiService.provider = original) };
+}
+
+test('validateSchema reports the path of every problem', () => {
+  assert.deepEqual(validateSchema({ summary: 'ok', findings: [validFinding] }, analysisSchema), []);
+
+  const errors = validateSchema(
+    { findings: [{ ...validFinding, line: 0, severity: 'urgent' }, 'not an object'] },
+    analysisSchema
+  );
+  assert.deepEqual(errors, [
+    '$.summary: is required',
+    '$.findings[0].line: must be >= 1',
+    '$.findings[0].severity: must be one of critical, high, medium, low (got "urgent")',
+    '$.findings[1]: expected object, got string',
+  ]);
+});
+
+test('invalid output is re-prompted with the validation errors', async () => {
+  const { prompts, restore } = scriptReplies([
+    { summary: 'ok', findings: [{ ...validFinding, severity: 'urgent' }] },
+    { summary: 'ok', findings: [validFinding] },
+  ]);
+
+  try {
+    const result = await geminiService.generateStructured('Analyze', { schema: analysisSchema, noCache: true });
+
+    assert.deepEqual(result.findings, [validFinding]);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[0], /Respond with JSON only, matching this JSON schema/);
+    assert.match(prompts[1], /Your previous response was invalid:\n- \$\.findings\[0\]\.severity: must be one of/);
+    assert.match(prompts[1], /"severity":"urgent"/);
+  } finally {
+    restore();
+  }
+});
+
+test('unparseable output is repaired like invalid output', async () => {
+  const parseError = Object.assign(new Error('Model did not return valid JSON'), { raw: 'Sure! {summary: ok' });
+  const { prompts, restore } = scriptReplies([parseError, { summary: 'ok', findings: [] }]);
+
+  try {
+    const result = await geminiService.generateStructured('Analyze', { schema: analysisSchema, noCache: true });
+
+    assert.deepEqual(result, { summary: 'ok', findings: [] });
+    assert.match(prompts[1], /- Model did not return valid JSON/);
+    assert.match(prompts[1], /Previous response:\nSure! \{summary: ok/);
+  } finally {
+    restore();
+  }
+});
+
+test('the call fails with the last errors once the repairs are used up', async () => {
+  const invalid = { summary: 'ok' };
+  const { prompts, restore } = scriptReplies([invalid, invalid, invalid]);
+
+  try {
+    await assert.rejects(
+      geminiService.generateStructured('Analyze', { schema: analysisSchema, maxRepairs: 2, noCache: true }),
+      (error) => {
+        assert.match(error.message, /invalid after 2 repair attempts/);
+        assert.deepEqual(error.validationErrors, ['$.findings: is required']);
+        assert.equal(error.raw, JSON.stringify(invalid));
+        return true;
+      }
+    );
+    assert.equal(prompts.length, 3);
+  } finally {
+    restore();
+  }
+});
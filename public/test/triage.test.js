@@ -0,0 +1,110 @@
+/**
+ * Issue Triage Tests
+ * Which issues are triaged, duplicate detection, and dry runs that change nothing on GitHub
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_USAGE_FILE: path.join(usageDir, 'usage.json'),
+  LOG_LEVEL: 'error',
+});
+
+const issue = (number, title, { state = 'open', labels = [], comments = 0, body = '' } = {}) =>
+  ({ number, title, body, state, labels, comments });
+
+const ISSUES = [
+  issue(1, 'Login fails with a 500 error when the password contains unicode', { state: 'closed' }),
+  issue(2, 'Already triaged', { labels: [{ name: 'ai-triaged' }] }),
+  issue(3, 'Filed by the scanner', { labels: ['ai-detected'] }),
+  issue(4, 'Label removed after triage', { comments: 2 }),
+  issue(5, 'Login fails with 500 error when password contains unicode characters', { comments: 1 }),
+  issue(6, 'Add a dark mode to the dashboard'),
+];
+const COMMENTS = {
+  4: [{ body: 'Thanks!' }, { body: '### 🏷️ Triage\n...\n<!-- ai-triage -->' }],
+  5: [{ body: 'Same here' }],
+};
+
+let triageAgent;
+let usageTracker;
+let github; // Label and comment writes
+
+before(async () => {
+  const { githubService } = await import('../src/services/github.js');
+  const { searchService } = await import('../src/services/search.js');
+  const { geminiService } = await import('../src/services/gemini.js');
+  ({ triageAgent } = await import('../src/agents/triage.js'));
+  ({ usageTracker } = await import('../src/services/usage.js'));
+
+  githubService.listIssues = async (state) => (state === 'all' ? ISSUES : ISSUES.filter((i) => i.state === state));
+  githubService.listIssueComments = async (number) => COMMENTS[number] || [];
+  githubService.addLabels = async (number, labels) => github.push({ number, labels });
+  githubService.addIssueComment = async (number, body) => github.push({ number, body });
+  searchService.search = async (query) => ({
+    mode: 'keyword',
+    results: /login/i.test(query)
+      ? [{ path: 'src/auth.js' }, { path: 'src/auth.js' }, { path: 'src/server.js' }]
+      : [],
+  });
+  geminiService.provider = {
+    name: 'stub',
+    model: 'stub',
+    async generateStructured(prompt) {
+      return /Login fails/.test(prompt)
+        ? { type: 'bug', severity: 'high', summary: 'Unicode passwords break login', affectedFiles: ['src/auth.js', 'src/made-up.js'] }
+        : { type: 'feature', severity: 'low', summary: 'Dark mode request', affectedFiles: [] };
+    },
+  };
+});
+
+after(async () => {
+  await usageTracker.saving;
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+test('a dry run triages untriaged open issues without touching GitHub', async () => {
+  github = [];
+
+  const { dryRun, triaged, skipped } = await triageAgent.triageOpenIssues({ dryRun: true, noCache: true });
+
+  assert.equal(dryRun, true);
+  assert.equal(skipped, 3);
+  assert.deepEqual(triaged.map((t) => t.issueNumber), [5, 6]);
+  assert.deepEqual(github, []);
+
+  const [login, darkMode] = triaged;
+  assert.equal(login.applied, false);
+  assert.deepEqual(login.labels, ['bug', 'severity:high', 'possible-duplicate', 'ai-triaged']);
+  assert.deepEqual(login.duplicates.map((d) => [d.number, d.state]), [[1, 'closed']]);
+  assert.ok(login.duplicates[0].similarity >= 0.6);
+  // Only files code search returned, without the one the model made up
+  assert.deepEqual(login.affectedFiles, ['src/auth.js']);
+  assert.match(login.comment, /- #1 Login fails .* \(\d+% similar, closed\)/);
+  assert.match(login.comment, /<!-- ai-triage -->$/);
+  assert.deepEqual(darkMode.labels, ['enhancement', 'severity:low', 'ai-triaged']);
+});
+
+test('outside a dry run the labels and the comment are written', async () => {
+  github = [];
+
+  const { triaged } = await triageAgent.triageOpenIssues({ dryRun: false, issueNumber: 6, noCache: true });
+
+  assert.equal(triaged.length, 1);
+  assert.equal(triaged[0].applied, true);
+  assert.deepEqual(github, [
+    { number: 6, labels: ['enhancement', 'severity:low', 'ai-triaged'] },
+    { number: 6, body: triaged[0].comment },
+  ]);
+});
+
+test('the limit caps the issues triaged per run', async () => {
+  const { triaged } = await triageAgent.triageOpenIssues({ dryRun: true, limit: 1, noCache: true });
+  assert.deepEqual(triaged.map((t) => t.issueNumber), [5]);
+});
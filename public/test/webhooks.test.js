@@ -0,0 +1,150 @@
+/**
+ * Webhook Route Tests
+ * Failed deliveries must stay redeliverable; handled ones are dropped as duplicates.
+ * Pushes too large for their payload to list every commit are scanned from the compare API
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const SECRET = 'test-secret';
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  GITHUB_WEBHOOK_SECRET: SECRET,
+  LOG_LEVEL: 'error',
+});
+
+let server;
+let baseUrl;
+let webhookService;
+let githubService;
+const scans = []; // Files of each incremental scan
+const compared = []; // [before, after] of each compare call
+
+before(async () => {
+  const express = (await import('express')).default;
+  const webhookRoutes = (await import('../src/api/webhooks.js')).default;
+
+  const app = express();
+  app.use('/api/webhooks', webhookRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks/github`;
+
+  ({ webhookService } = await import('../src/services/webhooks.js'));
+  ({ githubService } = await import('../src/services/github.js'));
+  const { scannerAgent } = await import('../src/agents/scanner.js');
+  const { searchService } = await import('../src/services/search.js');
+  const { historyService } = await import('../src/services/history.js');
+  const { projectService } = await import('../src/services/project.js');
+
+  for (const service of [searchService, historyService, projectService]) service.invalidate = () => {};
+  scannerAgent.performScheduledScan = async ({ files }) => scans.push(files);
+  githubService.compareCommits = async (before, after) => {
+    compared.push([before, after]);
+    return {
+      commits: [],
+      files: [
+        { filename: 'src/app.js', status: 'modified' },
+        { filename: 'src/old.js', status: 'removed' },
+        { filename: 'src/new.js', status: 'added' },
+      ],
+      totalCommits: 40,
+      truncated: true,
+    };
+  };
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/**
+ * Post a signed delivery
+ * @param {string} deliveryId - X-GitHub-Delivery
+ * @param {string} body - Raw payload
+ * @returns {Promise<Object>} { status, json }
+ */
+async function deliver(deliveryId, body) {
+  const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+  const response = await fetch(baseUrl, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-github-event': 'ping',
+      'x-github-delivery': deliveryId,
+      'x-hub-signature-256': `sha256=${signature}`,
+    },
+    body,
+  });
+  return { status: response.status, json: await response.json() };
+}
+
+test('a delivery that failed is processed when GitHub redelivers it', async () => {
+  const failed = await deliver('delivery-1', '{ not json');
+  assert.equal(failed.status, 400);
+
+  const redelivered = await deliver('delivery-1', JSON.stringify({ hook_id: 1 }));
+  assert.equal(redelivered.status, 202);
+  assert.equal(redelivered.json.duplicate, undefined);
+  assert.equal(redelivered.json.action, 'pong');
+});
+
+test('a handled delivery is dropped as a duplicate', async () => {
+  const body = JSON.stringify({ hook_id: 2 });
+  assert.equal((await deliver('delivery-2', body)).status, 202);
+
+  const again = await deliver('delivery-2', body);
+  assert.equal(again.status, 200);
+  assert.equal(again.json.duplicate, true);
+});
+
+/**
+ * A push to the tracked branch
+ * @param {number} listed - Commits listed in the payload
+ * @param {number} size - Commits in the push
+ * @returns {Object} Payload
+ */
+function pushPayload(listed, size = listed) {
+  return {
+    ref: 'refs/heads/main',
+    before: 'b'.repeat(40),
+    after: 'a'.repeat(40),
+    size,
+    commits: Array.from({ length: listed }, (_, i) => ({ id: `c${i}`, added: [], modified: ['README.md'], removed: [] })),
+  };
+}
+
+/**
+ * Wait until the queued incremental scans have run
+ */
+async function scansDone() {
+  while (webhookService.scanRunning || compared.length > scans.length) {
+    await new Promise(setImmediate);
+  }
+}
+
+test('a push listing all its commits is scanned from the payload', async () => {
+  scans.length = 0;
+  compared.length = 0;
+
+  const result = webhookService.handlePush(pushPayload(3));
+  await scansDone();
+
+  assert.deepEqual(result.files, ['README.md']);
+  assert.deepEqual(compared, []);
+  assert.deepEqual(scans, [['README.md']]);
+});
+
+test('pushes with 20 or more commits, or more than the payload lists, are scanned from the compare API', async () => {
+  for (const payload of [pushPayload(20), pushPayload(5, 8)]) {
+    scans.length = 0;
+    compared.length = 0;
+
+    webhookService.handlePush(payload);
+    await scansDone();
+
+    assert.deepEqual(compared, [['b'.repeat(40), 'a'.repeat(40)]]);
+    assert.deepEqual(scans, [['src/app.js', 'src/new.js']]);
+  }
+});
@@ -0,0 +1,42 @@
+/**
+ * Webhook Replay
+ * Posts a recorded GitHub webhook payload to a running server, signed with GITHUB_WEBHOOK_SECRET
+ *
+ * Usage: node tools/replay-webhook.js <event> <payload.json> [delivery-id]
+ *   WEBHOOK_URL overrides the target (default http://localhost:<PORT>/api/webhooks/github)
+ *   Reuse a delivery-id to check that redeliveries are ignored
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { config } from '../src/config/env.js';
+
+const [event, payloadFile, deliveryId = crypto.randomUUID()] = process.argv.slice(2);
+
+if (!event || !payloadFile) {
+  console.error('Usage: node tools/replay-webhook.js <event> <payload.json> [delivery-id]');
+  process.exit(1);
+}
+if (!config.GITHUB_WEBHOOK_SECRET) {
+  console.error('GITHUB_WEBHOOK_SECRET is not set');
+  process.exit(1);
+}
+
+const url = process.env.WEBHOOK_URL || `http://localhost:${config.PORT}/api/webhooks/github`;
+const body = await fs.readFile(payloadFile);
+const signature = crypto.createHmac('sha256', config.GITHUB_WEBHOOK_SECRET).update(body).digest('hex');
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'X-GitHub-Event': event,
+    'X-GitHub-Delivery': deliveryId,
+    'X-Hub-Signature-256': `sha256=${signature}`,
+  },
+  body,
+});
+
+console.log(`${response.status} ${response.statusText} (delivery ${deliveryId})`);
+console.log(JSON.stringify(await response.json(), null, 2));
+process.exit(response.ok ? 0 : 1);